@@ -0,0 +1,236 @@
+/**
+ * Alert Manager
+ * Subscribes to analysis events, evaluates alert rules and delivers alerts to
+ * the configured channels with deduplication and cooldown windows.
+ *
+ * Rules:
+ * - scoreThresholds: alert when blackswan_score crosses a threshold (up or down)
+ * - scoreDelta: alert when the score moves by at least N points versus the previous analysis
+ * - consecutiveFailures: alert when N analyses in a row fail
+ */
+
+const { createLogger } = require("../logging/logger");
+
+const log = createLogger("alerts");
+
+class AlertManager {
+  /**
+   * @param {object} options
+   * @param {object} options.rules - { scoreThresholds, scoreDelta, consecutiveFailures }
+   * @param {Array<object>} options.channels - Delivery channels ({ name, send(alert) })
+   * @param {number} options.cooldownMs - Minimum time between two alerts with the same key
+   * @param {Function} options.getHistoricalAnalyses - Returns recent analyses, newest first
+   */
+  constructor({ rules, channels, cooldownMs, getHistoricalAnalyses }) {
+    this.rules = rules;
+    this.channels = channels;
+    this.cooldownMs = cooldownMs;
+    this.getHistoricalAnalyses = getHistoricalAnalyses;
+
+    // Last delivery time per alert key, for dedup/cooldown
+    this.lastSent = new Map();
+
+    // Failure streak for the consecutive failures rule
+    this.consecutiveFailures = 0;
+  }
+
+  /**
+   * Whether any rule and channel are configured
+   * @returns {boolean}
+   */
+  isEnabled() {
+    const { scoreThresholds, scoreDelta, consecutiveFailures } = this.rules;
+    const hasRules =
+      scoreThresholds.length > 0 || scoreDelta > 0 || consecutiveFailures > 0;
+    return hasRules && this.channels.length > 0;
+  }
+
+  /**
+   * Subscribe to analysis events
+   * @param {EventEmitter} eventEmitter - Service event emitter
+   */
+  attach(eventEmitter) {
+    if (!this.isEnabled()) {
+      log.info("No alert rules or channels configured");
+      return;
+    }
+
+    eventEmitter.on("analysisComplete", (analysis) =>
+      this.handleAnalysisComplete(analysis)
+    );
+    eventEmitter.on("analysisError", (error) =>
+      this.handleAnalysisError(error)
+    );
+
+    log.info("Alerting enabled", {
+      channels: this.channels.map((channel) => channel.name),
+    });
+  }
+
+  /**
+   * Find the analysis that preceded the given one
+   * @param {object} analysis - Current analysis
+   * @returns {object|null} Previous analysis or null
+   */
+  findPreviousAnalysis(analysis) {
+    return (
+      (this.getHistoricalAnalyses() || []).find(
+        (entry) =>
+          entry.timestamp !== analysis.timestamp &&
+          typeof entry.blackswan_score === "number"
+      ) || null
+    );
+  }
+
+  /**
+   * Evaluate score rules for a completed analysis
+   * @param {object} analysis - Completed analysis
+   * @returns {Array<object>} Alerts to deliver
+   */
+  evaluateAnalysis(analysis) {
+    const alerts = [];
+    const score = analysis.blackswan_score;
+    const previous = this.findPreviousAnalysis(analysis);
+    const previousScore = previous ? previous.blackswan_score : null;
+    const base = {
+      score,
+      previous_score: previousScore,
+      certainty: analysis.certainty,
+      analysis_timestamp: analysis.timestamp,
+      summary: analysis.analysis,
+    };
+
+    // Threshold crossings (a first-ever analysis counts as crossing from 0)
+    this.rules.scoreThresholds.forEach((threshold) => {
+      const before = previousScore ?? 0;
+      if (before < threshold && score >= threshold) {
+        alerts.push({
+          ...base,
+          key: `score_threshold:${threshold}:up`,
+          rule: "score_threshold",
+          severity: "critical",
+          title: `Black Swan score crossed ${threshold}`,
+          message: `Score rose to ${score}/100 (previous ${
+            previousScore ?? "n/a"
+          }), certainty ${analysis.certainty}%.`,
+        });
+      } else if (
+        previousScore !== null &&
+        before >= threshold &&
+        score < threshold
+      ) {
+        alerts.push({
+          ...base,
+          key: `score_threshold:${threshold}:down`,
+          rule: "score_threshold",
+          severity: "info",
+          title: `Black Swan score back below ${threshold}`,
+          message: `Score fell to ${score}/100 (previous ${previousScore}).`,
+        });
+      }
+    });
+
+    // Jump versus the previous analysis
+    if (this.rules.scoreDelta > 0 && previousScore !== null) {
+      const delta = score - previousScore;
+      if (Math.abs(delta) >= this.rules.scoreDelta) {
+        alerts.push({
+          ...base,
+          key: `score_delta:${delta > 0 ? "up" : "down"}`,
+          rule: "score_delta",
+          severity: delta > 0 ? "warning" : "info",
+          title: `Black Swan score ${
+            delta > 0 ? "jumped" : "dropped"
+          } by ${Math.abs(delta)} points`,
+          message: `Score moved from ${previousScore} to ${score}/100, certainty ${analysis.certainty}%.`,
+        });
+      }
+    }
+
+    return alerts;
+  }
+
+  /**
+   * Handle a completed analysis
+   * @param {object} analysis - Completed analysis
+   */
+  async handleAnalysisComplete(analysis) {
+    this.consecutiveFailures = 0;
+    await Promise.all(
+      this.evaluateAnalysis(analysis).map((alert) => this.dispatch(alert))
+    );
+  }
+
+  /**
+   * Handle a failed analysis
+   * @param {Error} error - Analysis error
+   */
+  async handleAnalysisError(error) {
+    this.consecutiveFailures++;
+    const threshold = this.rules.consecutiveFailures;
+
+    if (threshold > 0 && this.consecutiveFailures >= threshold) {
+      await this.dispatch({
+        key: "consecutive_failures",
+        rule: "consecutive_failures",
+        severity: "critical",
+        title: `${this.consecutiveFailures} consecutive Black Swan analyses failed`,
+        message: `Latest error: ${error?.message || error}`,
+        failures: this.consecutiveFailures,
+      });
+    }
+  }
+
+  /**
+   * Deliver an alert to every channel unless it is inside its cooldown window
+   * @param {object} alert - Alert to deliver
+   * @returns {Promise<boolean>} True if the alert was delivered
+   */
+  async dispatch(alert) {
+    const now = Date.now();
+    const lastSent = this.lastSent.get(alert.key);
+    if (lastSent && now - lastSent < this.cooldownMs) {
+      log.info("Alert suppressed during cooldown", {
+        key: alert.key,
+        cooldown_remaining_s: Math.round(
+          (this.cooldownMs - (now - lastSent)) / 1000
+        ),
+      });
+      return false;
+    }
+    this.lastSent.set(alert.key, now);
+
+    const payload = { ...alert, timestamp: new Date(now).toISOString() };
+    log.info(payload.title, { key: alert.key, severity: alert.severity });
+
+    await Promise.all(
+      this.channels.map(async (channel) => {
+        try {
+          await channel.send(payload);
+        } catch (error) {
+          log.error("Alert delivery failed", {
+            channel: channel.name,
+            error: error.message,
+          });
+        }
+      })
+    );
+    return true;
+  }
+
+  /**
+   * Summary of the alerting configuration for status endpoints
+   * @returns {object}
+   */
+  getStatus() {
+    return {
+      enabled: this.isEnabled(),
+      rules: this.rules,
+      channels: this.channels.map((channel) => channel.name),
+      cooldown_ms: this.cooldownMs,
+      consecutive_failures: this.consecutiveFailures,
+    };
+  }
+}
+
+module.exports = AlertManager;
@@ -0,0 +1,119 @@
+/**
+ * Alert Delivery Channels
+ * Each channel formats an alert for its destination and delivers it over HTTP
+ */
+
+const axios = require("axios");
+
+const DELIVERY_TIMEOUT = 10000; // 10 seconds per delivery
+
+/**
+ * Render an alert as plain text for chat destinations
+ * @param {object} alert - Alert produced by AlertManager
+ * @returns {string}
+ */
+function formatAlertText(alert) {
+  return `🦢 ${alert.title}\n${alert.message}`;
+}
+
+/**
+ * Generic webhook: POSTs the full alert object as JSON
+ */
+class WebhookChannel {
+  /**
+   * @param {object} options
+   * @param {string} options.url - Webhook URL
+   */
+  constructor({ url }) {
+    this.name = `webhook:${new URL(url).host}`;
+    this.url = url;
+  }
+
+  async send(alert) {
+    await axios.post(
+      this.url,
+      { event: "blackswan_alert", alert },
+      { timeout: DELIVERY_TIMEOUT }
+    );
+  }
+}
+
+/**
+ * Slack-compatible incoming webhook ({ text } payload, also accepted by Mattermost)
+ */
+class SlackChannel {
+  /**
+   * @param {object} options
+   * @param {string} options.webhookUrl - Incoming webhook URL
+   */
+  constructor({ webhookUrl }) {
+    this.name = "slack";
+    this.webhookUrl = webhookUrl;
+  }
+
+  async send(alert) {
+    await axios.post(
+      this.webhookUrl,
+      { text: formatAlertText(alert) },
+      { timeout: DELIVERY_TIMEOUT }
+    );
+  }
+}
+
+/**
+ * Telegram-compatible Bot API sendMessage
+ */
+class TelegramChannel {
+  /**
+   * @param {object} options
+   * @param {string} options.botToken - Bot token
+   * @param {string} options.chatId - Target chat ID
+   * @param {string} [options.apiUrl] - Bot API base URL
+   */
+  constructor({ botToken, chatId, apiUrl = "https://api.telegram.org" }) {
+    this.name = "telegram";
+    this.url = `${apiUrl.replace(/\/+$/, "")}/bot${botToken}/sendMessage`;
+    this.chatId = chatId;
+  }
+
+  async send(alert) {
+    await axios.post(
+      this.url,
+      {
+        chat_id: this.chatId,
+        text: formatAlertText(alert),
+        disable_web_page_preview: true,
+      },
+      { timeout: DELIVERY_TIMEOUT }
+    );
+  }
+}
+
+/**
+ * Create all channels that have configuration
+ * @param {object} options
+ * @param {Array<string>} options.webhookUrls - Generic webhook URLs
+ * @param {string} [options.slackWebhookUrl] - Slack incoming webhook URL
+ * @param {object} [options.telegram] - { botToken, chatId, apiUrl }
+ * @returns {Array<object>} Channels
+ */
+function createAlertChannels({ webhookUrls = [], slackWebhookUrl, telegram }) {
+  const channels = webhookUrls.map((url) => new WebhookChannel({ url }));
+
+  if (slackWebhookUrl) {
+    channels.push(new SlackChannel({ webhookUrl: slackWebhookUrl }));
+  }
+  if (telegram?.botToken && telegram?.chatId) {
+    channels.push(new TelegramChannel(telegram));
+  }
+
+  return channels;
+}
+
+module.exports = {
+  createAlertChannels,
+  formatAlertText,
+  SlackChannel,
+  TelegramChannel,
+  WebhookChannel,
+};
@@ -0,0 +1,244 @@
+/**
+ * Backtesting
+ * Walks historical source documents by timestamp so the data an analysis
+ * would have seen at past ticks can be reconstructed, and summarizes the
+ * resulting score series
+ */
+
+const { describeDistribution } = require("./prompt-comparison");
+const { getSourceTimestamp } = require("../sources/registry");
+
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a tick interval such as "30m", "1h" or "1d"
+ * @param {string} value - Interval
+ * @returns {number} Interval in milliseconds
+ * @throws {Error} With status 400 if the interval is invalid
+ */
+function parseInterval(value) {
+  const match = /^(\d+)([mhd])$/.exec(String(value).trim());
+  if (!match || Number(match[1]) === 0) {
+    throw Object.assign(
+      new Error(`interval must look like 30m, 1h or 1d, got "${value}"`),
+      { status: 400 }
+    );
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+/**
+ * List the tick times between two dates
+ * @param {number} from - First tick, in ms
+ * @param {number} to - Last possible tick, in ms
+ * @param {number} stepMs - Interval between ticks
+ * @returns {Array<number>} Tick times in ascending order
+ */
+function buildTicks(from, to, stepMs) {
+  const ticks = [];
+  for (let tick = from; tick <= to; tick += stepMs) {
+    ticks.push(tick);
+  }
+  return ticks;
+}
+
+/**
+ * Cursor over the historical documents of one source
+ *
+ * Collection sources are read page by page in ascending timestamp order
+ * (document ID among equal timestamps), starting at the latest document at
+ * or before the first requested time, so only one page is held in memory.
+ * Sources with a fixed `document` keep no history: the current document is
+ * used once its timestamp has passed.
+ */
+class SourceHistory {
+  /**
+   * @param {Object} storage - Storage adapter
+   * @param {Object} source - Source definition from the registry
+   * @param {Object} options
+   * @param {number} options.pageSize - Documents read per query
+   */
+  constructor(storage, source, { pageSize = 100 } = {}) {
+    this.storage = storage;
+    this.source = source;
+    this.pageSize = pageSize;
+
+    // Latest document at or before the last requested time
+    this.current = null;
+
+    // Current page of documents and read position
+    this.page = [];
+    this.index = 0;
+    this.lastValue = undefined;
+    this.lastId = undefined;
+    this.started = false;
+    this.exhausted = false;
+  }
+
+  /**
+   * Whether the source has no history (a fixed document)
+   * @returns {boolean}
+   */
+  get fixedDocument() {
+    return !!this.source.document;
+  }
+
+  /**
+   * Latest document at or before a time
+   *
+   * Times must be requested in non-decreasing order.
+   *
+   * @param {number} time - Time in ms
+   * @returns {Promise<Object|null>} Document, or null if none existed yet
+   */
+  async latestAt(time) {
+    if (this.fixedDocument) {
+      if (this.page.length === 0 && !this.exhausted) {
+        const document = await this.storage.getDocument(
+          this.source.collection,
+          this.source.document
+        );
+        this.page = document ? [document] : [];
+        this.exhausted = true;
+      }
+      const document = this.page[0] || null;
+      return document && this.timeOf(document) <= time ? document : null;
+    }
+
+    if (!this.started) await this.seek(time);
+
+    for (;;) {
+      if (this.index >= this.page.length) {
+        if (this.exhausted) break;
+        await this.loadPage();
+        continue;
+      }
+
+      const document = this.page[this.index];
+      const documentTime = this.timeOf(document);
+      if (documentTime > time) break;
+      if (!Number.isNaN(documentTime)) this.current = document;
+      this.index++;
+    }
+
+    return this.current;
+  }
+
+  /**
+   * Position the cursor at the latest document at or before a time, so the
+   * history before it is never read
+   *
+   * @param {number} time - First requested time, in ms
+   */
+  async seek(time) {
+    this.started = true;
+    const orderBy = this.source.timestampFields[0];
+
+    // The bound must have the stored type: Firestore only compares values of
+    // the same type (Timestamps with Dates, strings with strings)
+    const [newest] = await this.storage.queryDocuments(this.source.collection, {
+      orderBy,
+      direction: "desc",
+      limit: 1,
+    });
+    if (!newest) {
+      this.exhausted = true;
+      return;
+    }
+    const bound =
+      typeof newest[orderBy] === "string"
+        ? new Date(time).toISOString()
+        : new Date(time);
+
+    const [start] = await this.storage.queryDocuments(this.source.collection, {
+      where: [{ field: orderBy, op: "<=", value: bound }],
+      orderBy,
+      direction: "desc",
+      limit: 1,
+    });
+    if (start) {
+      if (!Number.isNaN(this.timeOf(start))) this.current = start;
+      this.advancePast(start);
+    }
+  }
+
+  /**
+   * Continue reading after a document
+   * @param {Object} document - Last document read
+   */
+  advancePast(document) {
+    // Raw value, so Firestore Timestamps continue correctly
+    this.lastValue = document[this.source.timestampFields[0]];
+    this.lastId = document.id;
+  }
+
+  /**
+   * Read the next page of documents
+   */
+  async loadPage() {
+    const documents = await this.storage.queryDocuments(
+      this.source.collection,
+      {
+        orderBy: this.source.timestampFields[0],
+        direction: "asc",
+        startAfter: this.lastValue,
+        startAfterId: this.lastId,
+        limit: this.pageSize,
+      }
+    );
+
+    this.page = documents;
+    this.index = 0;
+    if (documents.length > 0) {
+      this.advancePast(documents[documents.length - 1]);
+    }
+    if (documents.length < this.pageSize) this.exhausted = true;
+  }
+
+  /**
+   * Timestamp of a document in ms
+   * @param {Object} document - Source document
+   * @returns {number} Time, or NaN if it has no parseable timestamp
+   */
+  timeOf(document) {
+    return Date.parse(getSourceTimestamp(document, this.source));
+  }
+}
+
+/**
+ * Summarize a backtest score series
+ * @param {Array<Object>} entries - Backtest entries ({ tick, blackswan_score } or { tick, error })
+ * @returns {Object} { ticks, analyzed, failed, score, certainty, peak }
+ */
+function summarizeBacktest(entries) {
+  const analyzed = entries.filter((entry) => !entry.error);
+  const peak = analyzed.reduce(
+    (highest, entry) =>
+      !highest || entry.blackswan_score > highest.blackswan_score
+        ? entry
+        : highest,
+    null
+  );
+
+  return {
+    ticks: entries.length,
+    analyzed: analyzed.length,
+    failed: entries.length - analyzed.length,
+    score: describeDistribution(analyzed.map((entry) => entry.blackswan_score)),
+    certainty: describeDistribution(analyzed.map((entry) => entry.certainty)),
+    peak: peak
+      ? { tick: peak.tick, blackswan_score: peak.blackswan_score }
+      : null,
+  };
+}
+
+module.exports = {
+  SourceHistory,
+  buildTicks,
+  parseInterval,
+  summarizeBacktest,
+};
@@ -0,0 +1,140 @@
+/**
+ * Data Quality Policy
+ * Minimum input quality an analysis must meet before its result is published
+ * as a regular analysis: required sources, a minimum number of sources with
+ * data and a maximum number of stale sources.
+ *
+ * When any check fails, the policy action decides what happens:
+ * - 'warn': analyze and publish normally (the decision is still recorded)
+ * - 'provisional': analyze, but mark the result provisional
+ * - 'cap': analyze, but cap certainty at the configured value
+ * - 'block': refuse the run
+ */
+
+const DATA_QUALITY_ACTIONS = ["warn", "provisional", "cap", "block"];
+
+/**
+ * Build the policy from settings
+ *
+ * @param {Object} options
+ * @param {string} options.action - One of DATA_QUALITY_ACTIONS
+ * @param {Array<string>} options.requiredSources - Sources that must have data
+ * @param {number} options.minSources - Minimum sources with data (fresh or stale)
+ * @param {number} options.maxStaleSources - Stale sources allowed
+ * @param {number} options.certaintyCap - Certainty cap for the 'cap' action
+ * @param {Array<Object>} options.sources - Registered sources
+ * @returns {Object} Policy
+ * @throws {Error} If a required source is not registered
+ */
+function createDataQualityPolicy({
+  action,
+  requiredSources,
+  minSources,
+  maxStaleSources,
+  certaintyCap,
+  sources,
+}) {
+  const registered = sources.map((source) => source.name);
+  const unknown = requiredSources.filter((name) => !registered.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(
+      `DATA_QUALITY_REQUIRED_SOURCES lists unregistered sources: ${unknown.join(
+        ", "
+      )} (registered: ${registered.join(", ")})`
+    );
+  }
+
+  return { action, requiredSources, minSources, maxStaleSources, certaintyCap };
+}
+
+/**
+ * Check aggregated data against the policy
+ *
+ * @param {Object} dataQuality - `data_quality` of aggregated data
+ * @param {Object} policy - Policy from createDataQualityPolicy
+ * @returns {Object} Decision, stored on the analysis: { action, passed,
+ *   violations: [{ check, message }], provisional, certainty_cap, ... }
+ */
+function evaluateDataQuality(dataQuality, policy) {
+  const statuses = Object.entries(dataQuality.service_status);
+  const withData = statuses
+    .filter(([, status]) => status === "available" || status === "stale")
+    .map(([serviceName]) => serviceName);
+  const staleSources = statuses
+    .filter(([, status]) => status === "stale")
+    .map(([serviceName]) => serviceName);
+  const missingRequired = policy.requiredSources.filter(
+    (name) => !withData.includes(name)
+  );
+
+  const violations = [];
+  if (missingRequired.length > 0) {
+    violations.push({
+      check: "required_sources",
+      message: `Required sources unavailable: ${missingRequired.join(", ")}`,
+    });
+  }
+  if (withData.length < policy.minSources) {
+    violations.push({
+      check: "min_sources",
+      message: `${withData.length} of ${statuses.length} sources have data, minimum is ${policy.minSources}`,
+    });
+  }
+  if (staleSources.length > policy.maxStaleSources) {
+    violations.push({
+      check: "max_stale_sources",
+      message: `${staleSources.length} stale sources (${staleSources.join(
+        ", "
+      )}) exceed the limit of ${policy.maxStaleSources}`,
+    });
+  }
+
+  const passed = violations.length === 0;
+  return {
+    action: policy.action,
+    passed,
+    violations,
+    required_sources: policy.requiredSources,
+    min_sources: policy.minSources,
+    max_stale_sources: policy.maxStaleSources,
+    sources_with_data: withData.length,
+    stale_sources: staleSources,
+    missing_required_sources: missingRequired,
+    provisional: !passed && policy.action === "provisional",
+    certainty_cap:
+      !passed && policy.action === "cap" ? policy.certaintyCap : null,
+    original_certainty: null,
+  };
+}
+
+/**
+ * Apply the decision's certainty cap to one result
+ *
+ * A run's decision is shared by every result generated from its data
+ * (ensemble members, shadow and re-runs), so each result gets its own copy
+ * of the decision, recording its own original certainty.
+ *
+ * @param {Object} result - Analysis result; its certainty is lowered in place
+ * @param {Object|null} decision - Decision from evaluateDataQuality
+ * @returns {Object|null} Decision to store on the result
+ */
+function applyCertaintyCap(result, decision) {
+  if (!decision) return null;
+  if (
+    !Number.isFinite(decision.certainty_cap) ||
+    result.certainty <= decision.certainty_cap
+  ) {
+    return { ...decision };
+  }
+
+  const capped = { ...decision, original_certainty: result.certainty };
+  result.certainty = decision.certainty_cap;
+  return capped;
+}
+
+module.exports = {
+  DATA_QUALITY_ACTIONS,
+  applyCertaintyCap,
+  createDataQualityPolicy,
+  evaluateDataQuality,
+};
@@ -0,0 +1,177 @@
+/**
+ * Ensemble Scoring
+ * Combines validated analyses from several models into one result and
+ * measures how much the models disagree
+ */
+
+const ENSEMBLE_METHODS = ["median", "trimmed_mean"];
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Non-empty list of numbers
+ * @returns {number}
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+}
+
+/**
+ * Mean after dropping the given share of values from each end
+ * @param {Array<number>} values - Non-empty list of numbers
+ * @param {number} trimRatio - Share of values to drop at each end (0-0.5)
+ * @returns {number}
+ */
+function trimmedMean(values, trimRatio) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const trim = Math.min(
+    Math.floor(sorted.length * trimRatio),
+    Math.floor((sorted.length - 1) / 2)
+  );
+  const kept = sorted.slice(trim, sorted.length - trim);
+  return kept.reduce((sum, value) => sum + value, 0) / kept.length;
+}
+
+/**
+ * Population standard deviation
+ * @param {Array<number>} values - Non-empty list of numbers
+ * @returns {number}
+ */
+function standardDeviation(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance =
+    values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return Math.sqrt(variance);
+}
+
+/**
+ * Aggregate a list of scores with the configured method
+ * @param {Array<number>} values - Scores from each model
+ * @param {string} method - 'median' or 'trimmed_mean'
+ * @param {number} trimRatio - Trim ratio for 'trimmed_mean'
+ * @returns {number} Aggregated score rounded to an integer
+ */
+function aggregateValues(values, method, trimRatio) {
+  const aggregated =
+    method === "trimmed_mean" ? trimmedMean(values, trimRatio) : median(values);
+  return Math.round(aggregated);
+}
+
+/**
+ * Merge risk factor lists, ranking factors named by more models first
+ * @param {Array<Array<string>>} factorLists - Risk factors from each model
+ * @param {number} limit - Maximum number of factors to keep
+ * @returns {Array<string>} Merged risk factors
+ */
+function mergeRiskFactors(factorLists, limit = 5) {
+  const merged = new Map();
+
+  factorLists.forEach((factors, listIndex) => {
+    (factors || []).forEach((factor, position) => {
+      const key = factor.trim().toLowerCase();
+      if (!merged.has(key)) {
+        merged.set(key, {
+          factor: factor.trim(),
+          models: new Set(),
+          order: listIndex * 100 + position,
+        });
+      }
+      merged.get(key).models.add(listIndex);
+    });
+  });
+
+  return Array.from(merged.values())
+    .sort((a, b) => b.models.size - a.models.size || a.order - b.order)
+    .slice(0, limit)
+    .map((entry) => entry.factor);
+}
+
+/**
+ * Measure disagreement between model outputs
+ * @param {Array<Object>} results - Validated analyses from each model
+ * @param {number} divergenceThreshold - Score range above which models are considered divergent
+ * @returns {Object} Disagreement metrics
+ */
+function measureDisagreement(results, divergenceThreshold) {
+  const scores = results.map((result) => result.blackswan_score);
+  const certainties = results.map((result) => result.certainty);
+  const scoreRange = Math.max(...scores) - Math.min(...scores);
+
+  return {
+    score_min: Math.min(...scores),
+    score_max: Math.max(...scores),
+    score_range: scoreRange,
+    score_stddev: Number(standardDeviation(scores).toFixed(2)),
+    certainty_range: Math.max(...certainties) - Math.min(...certainties),
+    certainty_stddev: Number(standardDeviation(certainties).toFixed(2)),
+    divergence_threshold: divergenceThreshold,
+    diverged: scoreRange > divergenceThreshold,
+  };
+}
+
+/**
+ * Combine per-model analyses into a single ensemble analysis
+ *
+ * Scores and certainty are aggregated with the chosen method, risk factors are
+ * merged across models, and the narrative fields are taken from the model whose
+ * score is closest to the aggregated score.
+ *
+ * @param {Array<{model: string, result: Object}>} modelResults - Successful per-model analyses
+ * @param {Object} options
+ * @param {string} options.method - 'median' or 'trimmed_mean'
+ * @param {number} options.trimRatio - Trim ratio for 'trimmed_mean'
+ * @param {number} options.divergenceThreshold - Score range that counts as divergence
+ * @returns {{ combined: Object, representative: Object, disagreement: Object }}
+ */
+function combineEnsembleResults(
+  modelResults,
+  { method, trimRatio, divergenceThreshold }
+) {
+  const results = modelResults.map(({ result }) => result);
+  const blackswanScore = aggregateValues(
+    results.map((result) => result.blackswan_score),
+    method,
+    trimRatio
+  );
+  const certainty = aggregateValues(
+    results.map((result) => result.certainty),
+    method,
+    trimRatio
+  );
+
+  // The representative model supplies the narrative fields
+  const representative = [...modelResults].sort(
+    (a, b) =>
+      Math.abs(a.result.blackswan_score - blackswanScore) -
+        Math.abs(b.result.blackswan_score - blackswanScore) ||
+      b.result.certainty - a.result.certainty
+  )[0];
+
+  return {
+    combined: {
+      blackswan_score: blackswanScore,
+      analysis: representative.result.analysis,
+      certainty,
+      primary_risk_factors: mergeRiskFactors(
+        results.map((result) => result.primary_risk_factors)
+      ),
+      current_market_indicators:
+        representative.result.current_market_indicators,
+      reasoning: representative.result.reasoning,
+    },
+    representative,
+    disagreement: measureDisagreement(results, divergenceThreshold),
+  };
+}
+
+module.exports = {
+  ENSEMBLE_METHODS,
+  combineEnsembleResults,
+  measureDisagreement,
+  mergeRiskFactors,
+  median,
+  trimmedMean,
+};
@@ -0,0 +1,183 @@
+/**
+ * Analysis History Query
+ * Parses history API query parameters (date range, filters, cursor, field
+ * projection) into a storage query over the analyses collection
+ */
+
+const FIELD_PATH_PATTERN =
+  /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+
+/**
+ * Build a 400 error for an invalid query parameter
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function invalidParameter(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+/**
+ * Parse a date query parameter into an ISO timestamp
+ * @param {string} value - Date or date-time string
+ * @param {string} name - Parameter name, used in error messages
+ * @returns {string|undefined} ISO timestamp, or undefined if not given
+ */
+function parseDate(value, name) {
+  if (value === undefined || value === "") return undefined;
+
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) {
+    throw invalidParameter(`${name} must be a valid date, got "${value}"`);
+  }
+  return parsed.toISOString();
+}
+
+/**
+ * Encode the position after a document as an opaque cursor
+ *
+ * The document ID breaks ties between analyses with the same timestamp, so
+ * none of them are skipped across pages.
+ *
+ * @param {string} timestamp - Timestamp of the last returned analysis
+ * @param {string} id - Document ID of the last returned analysis
+ * @returns {string} Cursor
+ */
+function encodeCursor(timestamp, id) {
+  return Buffer.from(JSON.stringify({ t: timestamp, id })).toString(
+    "base64url"
+  );
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {{ timestamp: string, id: string }} Position to continue after
+ */
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    if (typeof t !== "string") throw new Error("missing timestamp");
+    if (typeof id !== "string") throw new Error("missing document ID");
+    return { timestamp: t, id };
+  } catch (error) {
+    throw invalidParameter("cursor is invalid");
+  }
+}
+
+/**
+ * Parse history query parameters
+ *
+ * @param {Object} query - Express query object
+ * @param {Object} limits
+ * @param {number} limits.defaultLimit - Page size when `limit` is not given
+ * @param {number} limits.maxLimit - Maximum page size for full documents
+ * @param {number} limits.maxProjectedLimit - Maximum page size when `fields` is given
+ * @returns {Object} { limit, from, to, minScore, model, promptVersion, fields, after }
+ * @throws {Error} With status 400 if a parameter is invalid
+ */
+function parseHistoryQuery(
+  query,
+  { defaultLimit, maxLimit, maxProjectedLimit }
+) {
+  const fields = query.fields
+    ? String(query.fields)
+        .split(",")
+        .map((field) => field.trim())
+        .filter(Boolean)
+    : undefined;
+
+  const invalidFields = (fields || []).filter(
+    (field) => !FIELD_PATH_PATTERN.test(field)
+  );
+  if (invalidFields.length > 0) {
+    throw invalidParameter(`Invalid fields: ${invalidFields.join(", ")}`);
+  }
+
+  let minScore;
+  if (query.min_score !== undefined && query.min_score !== "") {
+    minScore = Number(query.min_score);
+    if (!Number.isFinite(minScore)) {
+      throw invalidParameter(
+        `min_score must be a number, got "${query.min_score}"`
+      );
+    }
+  }
+
+  const from = parseDate(query.from, "from");
+  const to = parseDate(query.to, "to");
+  if (from && to && from > to) {
+    throw invalidParameter("from must be before to");
+  }
+
+  // Projected pages are small, so they may be much longer
+  const cap = fields ? maxProjectedLimit : maxLimit;
+
+  return {
+    limit: Math.max(1, Math.min(parseInt(query.limit) || defaultLimit, cap)),
+    from,
+    to,
+    minScore,
+    model: query.model || undefined,
+    promptVersion: query.prompt_version || undefined,
+    fields,
+    after: query.cursor ? decodeCursor(String(query.cursor)) : undefined,
+  };
+}
+
+/**
+ * Build a storage query from parsed history options
+ *
+ * Analyses are ordered by timestamp, newest first, and by document ID among
+ * equal timestamps. One extra document is requested so the caller can tell
+ * whether another page exists.
+ *
+ * @param {Object} options - Output of parseHistoryQuery (all fields optional except limit)
+ * @returns {Object} Storage query { where, orderBy, direction, startAfter, limit, select }
+ */
+function buildHistoryQuery({
+  limit,
+  from,
+  to,
+  minScore,
+  model,
+  promptVersion,
+  fields,
+  after,
+}) {
+  const where = [];
+  if (from) where.push({ field: "timestamp", op: ">=", value: from });
+  if (to) where.push({ field: "timestamp", op: "<=", value: to });
+  if (minScore !== undefined) {
+    where.push({ field: "blackswan_score", op: ">=", value: minScore });
+  }
+  if (model) {
+    where.push({ field: "analysis_metadata.model", op: "==", value: model });
+  }
+  if (promptVersion) {
+    where.push({
+      field: "analysis_metadata.prompt_version",
+      op: "==",
+      value: promptVersion,
+    });
+  }
+
+  return {
+    where,
+    orderBy: "timestamp",
+    direction: "desc",
+    startAfter: after?.timestamp,
+    startAfterId: after?.id,
+    limit: limit + 1,
+    // The timestamp is always kept so the next cursor can be built
+    select: fields ? Array.from(new Set(["timestamp", ...fields])) : undefined,
+  };
+}
+
+module.exports = {
+  buildHistoryQuery,
+  decodeCursor,
+  encodeCursor,
+  parseHistoryQuery,
+};
@@ -0,0 +1,112 @@
+/**
+ * Prompt Version Comparison
+ * Summarizes score distributions of analyses produced by different prompt
+ * versions, and how shadow results differ from the production analysis of
+ * the same cycle
+ */
+
+const { median } = require("./ensemble");
+
+/**
+ * Round a number for JSON output
+ * @param {number} value - Any number
+ * @returns {number} Value rounded to two decimals
+ */
+function round(value) {
+  return Number(value.toFixed(2));
+}
+
+/**
+ * Mean of a list of numbers
+ * @param {Array<number>} values - Non-empty list of numbers
+ * @returns {number}
+ */
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Describe the distribution of a list of numbers
+ * @param {Array<number>} values - Numbers (may be empty)
+ * @returns {Object|null} { min, max, mean, median, stddev }, or null if empty
+ */
+function describeDistribution(values) {
+  if (values.length === 0) return null;
+
+  const average = mean(values);
+  return {
+    min: Math.min(...values),
+    max: Math.max(...values),
+    mean: round(average),
+    median: median(values),
+    stddev: round(
+      Math.sqrt(mean(values.map((value) => (value - average) ** 2)))
+    ),
+  };
+}
+
+/**
+ * Summarize the analyses produced by one prompt version
+ *
+ * When production scores are given, each analysis that references a
+ * production analysis (`analysis_metadata.shadow.production_analysis_id`) is
+ * paired with it and the score differences are reported.
+ *
+ * @param {Array<Object>} analyses - Analyses produced by the version
+ * @param {Map<string, number>} [productionScores] - Production scores by document ID
+ * @returns {Object} { count, score, certainty, template_hashes, paired }
+ */
+function summarizeVersion(analyses, productionScores) {
+  const scores = analyses
+    .map((analysis) => analysis.blackswan_score)
+    .filter((value) => typeof value === "number");
+  const certainties = analyses
+    .map((analysis) => analysis.certainty)
+    .filter((value) => typeof value === "number");
+
+  // Count results per template hash so in-place template edits are visible
+  const templateHashes = {};
+  analyses.forEach((analysis) => {
+    const hash = analysis.analysis_metadata?.prompt_hash || "unknown";
+    templateHashes[hash] = (templateHashes[hash] || 0) + 1;
+  });
+
+  const summary = {
+    count: analyses.length,
+    score: describeDistribution(scores),
+    certainty: describeDistribution(certainties),
+    template_hashes: templateHashes,
+  };
+
+  if (productionScores) {
+    const differences = analyses
+      .map((analysis) => {
+        const productionId =
+          analysis.analysis_metadata?.shadow?.production_analysis_id;
+        return productionScores.has(productionId)
+          ? analysis.blackswan_score - productionScores.get(productionId)
+          : null;
+      })
+      .filter((difference) => difference !== null);
+
+    summary.paired = differences.length
+      ? {
+          count: differences.length,
+          mean_score_difference: round(mean(differences)),
+          mean_absolute_difference: round(
+            mean(differences.map((difference) => Math.abs(difference)))
+          ),
+          max_absolute_difference: Math.max(
+            ...differences.map((difference) => Math.abs(difference))
+          ),
+        }
+      : { count: 0 };
+  }
+
+  return summary;
+}
+
+module.exports = {
+  describeDistribution,
+  summarizeVersion,
+};
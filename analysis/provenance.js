@@ -0,0 +1,92 @@
+/**
+ * Analysis Provenance
+ * Builds the audit record stored next to each analysis: which input documents
+ * were used, the filled prompt, every raw model response, token usage and
+ * latency
+ */
+
+/**
+ * Describe the input documents an analysis was based on
+ * @param {Object} aggregatedData - Aggregated data used for the analysis
+ * @param {Array<Object>} sources - Source definitions from the registry
+ * @returns {Object} { collected_at, sources: { [name]: { collection, document_id, data_timestamp, status, age_ms } }, historical_analysis_ids }
+ */
+function buildInputSnapshot(aggregatedData, sources) {
+  const inputs = {};
+  sources.forEach((source) => {
+    const service = aggregatedData.services[source.name] || {};
+    inputs[source.name] = {
+      collection: source.collection,
+      document_id: service.data?.id || null,
+      data_timestamp: service.timestamp || null,
+      status: aggregatedData.data_quality.service_status[source.name] || null,
+      age_ms: service.age_ms ?? null,
+    };
+  });
+
+  return {
+    collected_at: aggregatedData.timestamp,
+    sources: inputs,
+    historical_analysis_ids: (aggregatedData.historical_analyses || []).map(
+      (analysis) => analysis.id
+    ),
+  };
+}
+
+/**
+ * Sum token usage and latency over every model exchange
+ * @param {Array<Object>} modelRuns - [{ model, exchanges: [{ usage, latency_ms }] }]
+ * @returns {Object} { prompt_tokens, completion_tokens, total_tokens, latency_ms, requests }
+ */
+function summarizeUsage(modelRuns) {
+  const totals = {
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    total_tokens: 0,
+    latency_ms: 0,
+    requests: 0,
+  };
+
+  modelRuns.forEach(({ exchanges }) => {
+    exchanges.forEach(({ usage, latency_ms }) => {
+      totals.prompt_tokens += usage?.prompt_tokens || 0;
+      totals.completion_tokens += usage?.completion_tokens || 0;
+      totals.total_tokens += usage?.total_tokens || 0;
+      totals.latency_ms += latency_ms || 0;
+      totals.requests += 1;
+    });
+  });
+
+  return totals;
+}
+
+/**
+ * Build the provenance document for a stored analysis
+ * @param {Object} params
+ * @param {string} params.analysisId - ID of the stored analysis
+ * @param {string} params.collection - Collection the analysis was stored in
+ * @param {Object} params.analysis - Stored analysis result
+ * @param {Object} params.generation - { prompt, prompt_version, prompt_hash, inputs, model_runs }
+ * @returns {Object} Provenance document
+ */
+function buildProvenance({ analysisId, collection, analysis, generation }) {
+  return {
+    analysis_id: analysisId,
+    analysis_collection: collection,
+    analysis_timestamp: analysis.timestamp,
+    blackswan_score: analysis.blackswan_score,
+    prompt_version: generation.prompt_version,
+    prompt_hash: generation.prompt_hash,
+    inputs: generation.inputs,
+    prompt: generation.prompt,
+    model_runs: generation.model_runs,
+    usage: summarizeUsage(generation.model_runs),
+    created_at: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  buildInputSnapshot,
+  buildProvenance,
+  summarizeUsage,
+};
@@ -0,0 +1,191 @@
+/**
+ * Analysis Replay
+ * Rebuilds the aggregated data of a past analysis from the exact input
+ * documents it recorded, and compares a replayed result with the original
+ */
+
+const { describeDistribution } = require("./prompt-comparison");
+const { getSourceTimestamp } = require("../sources/registry");
+
+/**
+ * Rebuild aggregated data as it was when an analysis ran
+ *
+ * Source status and data age are taken from the recorded inputs rather than
+ * recomputed, so the replayed prompt matches the original one. Documents that
+ * no longer exist, or whose timestamp changed since the analysis (e.g. a
+ * fixed document that was overwritten), are reported in `warnings`.
+ *
+ * @param {Object} params
+ * @param {Object} params.inputs - Recorded inputs (see buildInputSnapshot)
+ * @param {Object} params.documents - Refetched documents by source name (null if missing)
+ * @param {Array<Object>} params.historicalAnalyses - Refetched historical analyses, in recorded order
+ * @param {Array<Object>} params.sources - Source definitions from the registry
+ * @param {string} params.timestamp - Time the original inputs were collected
+ * @returns {Object} { aggregatedData, warnings }
+ */
+function rebuildAggregatedData({
+  inputs,
+  documents,
+  historicalAnalyses,
+  sources,
+  timestamp,
+}) {
+  const warnings = [];
+  const aggregatedData = {
+    timestamp,
+    collection_duration_ms: 0,
+    services: {},
+    historical_analyses: historicalAnalyses,
+    data_quality: {
+      total_services: sources.length,
+      successful_services: 0,
+      stale_services: 0,
+      failed_services: 0,
+      service_status: {},
+      data_age_ms: {},
+    },
+  };
+  const quality = aggregatedData.data_quality;
+
+  sources.forEach((source) => {
+    const serviceName = source.name;
+    const recorded = inputs.sources[serviceName];
+    const data = documents[serviceName];
+    let error = null;
+
+    if (!recorded) {
+      error = "Not part of the original analysis";
+    } else if (recorded.status === "unavailable" || !recorded.document_id) {
+      error = "Unavailable in the original analysis";
+    } else if (!data) {
+      error = "Input document no longer exists";
+      warnings.push(
+        `${serviceName}: document ${recorded.collection}/${recorded.document_id} no longer exists`
+      );
+    }
+
+    if (error) {
+      aggregatedData.services[serviceName] = {
+        status: "failed",
+        error,
+        service: serviceName,
+      };
+      quality.failed_services++;
+      quality.service_status[serviceName] = "unavailable";
+      quality.data_age_ms[serviceName] = null;
+      return;
+    }
+
+    const currentTimestamp = getSourceTimestamp(data, source);
+    if (currentTimestamp !== recorded.data_timestamp) {
+      warnings.push(
+        `${serviceName}: document ${recorded.collection}/${recorded.document_id} changed since the analysis (${recorded.data_timestamp} -> ${currentTimestamp})`
+      );
+    }
+
+    const isStale = recorded.status === "stale";
+    aggregatedData.services[serviceName] = {
+      status: isStale ? "stale" : "success",
+      data,
+      service: serviceName,
+      timestamp: recorded.data_timestamp,
+      age_ms: recorded.age_ms,
+      max_age_ms: source.maxAgeMs || null,
+    };
+    quality.data_age_ms[serviceName] = recorded.age_ms;
+    if (isStale) {
+      quality.stale_services++;
+      quality.service_status[serviceName] = "stale";
+    } else {
+      quality.successful_services++;
+      quality.service_status[serviceName] = "available";
+    }
+  });
+
+  return { aggregatedData, warnings };
+}
+
+/**
+ * Normalize a risk factor for comparison
+ * @param {string} factor - Risk factor text
+ * @returns {string} Lowercased, whitespace-collapsed text
+ */
+function normalizeFactor(factor) {
+  return String(factor).trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+/**
+ * Compare a replayed analysis with the original
+ *
+ * Scores are compared as the model produced them: the original's
+ * `raw_blackswan_score` is used when the score guard adjusted its published
+ * score, since replays are not guarded.
+ *
+ * @param {Object} original - Original analysis
+ * @param {Object} replay - Replayed analysis
+ * @returns {Object} { score, certainty, risk_factors: { added, removed, unchanged } }
+ */
+function diffAnalyses(original, replay) {
+  const originalFactors = original.primary_risk_factors || [];
+  const replayFactors = replay.primary_risk_factors || [];
+  const originalKeys = new Set(originalFactors.map(normalizeFactor));
+  const replayKeys = new Set(replayFactors.map(normalizeFactor));
+
+  const compare = (field, originalField = field) => ({
+    original: original[originalField] ?? null,
+    replay: replay[field] ?? null,
+    difference:
+      typeof original[originalField] === "number" &&
+      typeof replay[field] === "number"
+        ? replay[field] - original[originalField]
+        : null,
+  });
+
+  return {
+    score: compare(
+      "blackswan_score",
+      original.raw_blackswan_score !== undefined
+        ? "raw_blackswan_score"
+        : "blackswan_score"
+    ),
+    certainty: compare("certainty"),
+    risk_factors: {
+      added: replayFactors.filter(
+        (factor) => !originalKeys.has(normalizeFactor(factor))
+      ),
+      removed: originalFactors.filter(
+        (factor) => !replayKeys.has(normalizeFactor(factor))
+      ),
+      unchanged: replayFactors.filter((factor) =>
+        originalKeys.has(normalizeFactor(factor))
+      ),
+    },
+  };
+}
+
+/**
+ * Summarize the score differences of several replays
+ * @param {Array<Object>} replays - Replay outcomes ({ diff } or { error })
+ * @returns {Object} { count, replayed, failed, score_difference, absolute_score_difference }
+ */
+function summarizeReplays(replays) {
+  const differences = replays
+    .map((replay) => replay.diff?.score.difference)
+    .filter((difference) => typeof difference === "number");
+
+  return {
+    count: replays.length,
+    replayed: replays.filter((replay) => !replay.error).length,
+    failed: replays.filter((replay) => replay.error).length,
+    score_difference: describeDistribution(differences),
+    absolute_score_difference: describeDistribution(
+      differences.map((difference) => Math.abs(difference))
+    ),
+  };
+}
+
+module.exports = {
+  diffAnalyses,
+  rebuildAggregatedData,
+  summarizeReplays,
+};
@@ -0,0 +1,206 @@
+/**
+ * Score Guard
+ * Post-processing of a validated analysis against recently published scores,
+ * so a single implausible run cannot publish a spike on its own.
+ *
+ * A score that moves more than maxJump points away from the median of the
+ * recent model scores (`raw_blackswan_score`, before limiting and smoothing)
+ * is flagged, so a lasting shift is not judged against scores the guard
+ * itself held back. With confirmation enabled the generation runs
+ * once more:
+ * - 'confirmed': the re-run jumps the same way, the score is published
+ * - 'replaced': the re-run is plausible, its result is published instead
+ * - 'limited': no successful re-run, or one that jumps the other way, so the
+ *   score is limited to maxJump points from the median
+ *
+ * The result is then optionally smoothed against the previous published
+ * score (exponential moving average). The model's own score is kept as
+ * `raw_blackswan_score`, and `analysis_metadata.score_guard` records every
+ * adjustment with its reason.
+ */
+
+const { median } = require("./ensemble");
+
+// Recent scores needed before a jump can be judged
+const MIN_HISTORY = 3;
+
+/**
+ * Scores of recent analyses, newest first
+ * @param {Array<Object>} historicalAnalyses - Recent analyses, newest first
+ * @param {Object} options - { raw } (model scores instead of published
+ *   ones, falling back to the published score of unguarded analyses)
+ * @returns {Array<number>}
+ */
+function getRecentScores(historicalAnalyses, { raw = false } = {}) {
+  return (historicalAnalyses || [])
+    .map((analysis) =>
+      raw
+        ? analysis.raw_blackswan_score ?? analysis.blackswan_score
+        : analysis.blackswan_score
+    )
+    .filter((score) => Number.isFinite(score));
+}
+
+/**
+ * Compare a score with the median of the recent scores
+ *
+ * @param {number} score - New score
+ * @param {Array<number>} recentScores - Recent model scores
+ * @param {number} maxJump - Largest plausible move in points (0 = off)
+ * @returns {{ baseline: number|null, jump: number|null, flagged: boolean }}
+ */
+function checkJump(score, recentScores, maxJump) {
+  if (recentScores.length < MIN_HISTORY) {
+    return { baseline: null, jump: null, flagged: false };
+  }
+  const baseline = median(recentScores);
+  const jump = score - baseline;
+  return {
+    baseline,
+    jump,
+    flagged: maxJump > 0 && Math.abs(jump) > maxJump,
+  };
+}
+
+/**
+ * Exponential moving average against the previous published score
+ *
+ * @param {number} score - Score after the jump check
+ * @param {number|null} previous - Previous published score
+ * @param {number} alpha - Weight of the new score (1 = no smoothing)
+ * @returns {number} Smoothed score, rounded like model scores
+ */
+function smoothScore(score, previous, alpha) {
+  if (previous === null || alpha >= 1) return score;
+  return Math.round(alpha * score + (1 - alpha) * previous);
+}
+
+/**
+ * Guard and smooth the score of a validated analysis
+ *
+ * @param {Object} params
+ * @param {Object} params.result - Validated analysis (updated in place)
+ * @param {Array<Object>} params.historicalAnalyses - Recent analyses, newest first
+ * @param {number} params.maxJump - Largest plausible move in points (0 = off)
+ * @param {boolean} params.confirm - Re-run the generation for flagged scores
+ * @param {number} params.alpha - Smoothing weight of the new score (1 = off)
+ * @param {Function} params.rerun - async () => validated analysis of a new
+ *   generation on the same inputs
+ * @returns {Promise<Object>} The analysis to publish: `result`, or the re-run
+ *   result when it replaced a flagged score
+ */
+async function guardScore({
+  result,
+  historicalAnalyses,
+  maxJump,
+  confirm,
+  alpha,
+  rerun,
+}) {
+  const recentScores = getRecentScores(historicalAnalyses, { raw: true });
+  const publishedScores = getRecentScores(historicalAnalyses);
+  const rawScore = result.blackswan_score;
+  const { baseline, jump, flagged } = checkJump(
+    rawScore,
+    recentScores,
+    maxJump
+  );
+
+  const guard = {
+    max_jump: maxJump,
+    smoothing_alpha: alpha,
+    baseline,
+    jump,
+    flagged,
+    outcome: null,
+    confirmation: null,
+    discarded_score: null,
+    raw_score: rawScore,
+    smoothed_score: rawScore,
+    adjusted: false,
+    reasons: [],
+  };
+
+  let published = result;
+  let score = rawScore;
+
+  if (flagged) {
+    const finding = `Score ${rawScore} is ${Math.abs(jump)} points ${
+      jump > 0 ? "above" : "below"
+    } the median ${baseline} of the last ${recentScores.length} analyses`;
+
+    let rerunResult = null;
+    let rerunCheck = null;
+    if (confirm) {
+      try {
+        rerunResult = await rerun();
+        rerunCheck = checkJump(
+          rerunResult.blackswan_score,
+          recentScores,
+          maxJump
+        );
+        guard.confirmation = {
+          score: rerunResult.blackswan_score,
+          confirmed:
+            rerunCheck.flagged &&
+            Math.sign(rerunCheck.jump) === Math.sign(jump),
+          error: null,
+        };
+      } catch (error) {
+        guard.confirmation = {
+          score: null,
+          confirmed: false,
+          error: error.message,
+        };
+      }
+    }
+
+    if (guard.confirmation?.confirmed) {
+      guard.outcome = "confirmed";
+      guard.reasons.push(
+        `${finding}; confirmed by a re-run scoring ${guard.confirmation.score}`
+      );
+    } else if (rerunCheck && !rerunCheck.flagged) {
+      guard.outcome = "replaced";
+      guard.discarded_score = rawScore;
+      guard.raw_score = rerunResult.blackswan_score;
+      published = rerunResult;
+      score = rerunResult.blackswan_score;
+      guard.reasons.push(
+        `${finding}; a re-run scored ${score} and was published instead`
+      );
+    } else {
+      guard.outcome = "limited";
+      score = Math.round(
+        Math.min(
+          100,
+          Math.max(0, jump > 0 ? baseline + maxJump : baseline - maxJump)
+        )
+      );
+      let confirmation = " and was not confirmed";
+      if (rerunCheck) {
+        confirmation = ` and a re-run scoring ${guard.confirmation.score} jumped the other way`;
+      } else if (guard.confirmation) {
+        confirmation = ` and the confirmation re-run failed (${guard.confirmation.error})`;
+      }
+      guard.reasons.push(`${finding}${confirmation}; limited to ${score}`);
+    }
+  }
+
+  const previous = publishedScores.length > 0 ? publishedScores[0] : null;
+  const smoothed = smoothScore(score, previous, alpha);
+  if (smoothed !== score) {
+    guard.reasons.push(
+      `Smoothed from ${score} to ${smoothed} (weight ${alpha}) against the previous score ${previous}`
+    );
+  }
+  guard.smoothed_score = smoothed;
+  guard.adjusted = smoothed !== guard.raw_score;
+
+  published.raw_blackswan_score = guard.raw_score;
+  published.blackswan_score = smoothed;
+  published.analysis_metadata.score_guard = guard;
+  return published;
+}
+
+module.exports = { checkJump, guardScore, smoothScore };
@@ -0,0 +1,169 @@
+/**
+ * Score Time Series
+ * Buckets stored analyses by hour, day or week and computes per-bucket
+ * rollups, moving averages and volatility of the Black Swan score
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// 1970-01-05 was a Monday, so weekly buckets start on Mondays (UTC)
+const WEEK_OFFSET_MS = 4 * DAY_MS;
+
+/**
+ * Supported bucket sizes and the range used when `from` is not given
+ */
+const TIMESERIES_INTERVALS = {
+  hour: { bucketMs: HOUR_MS, offsetMs: 0, defaultRangeMs: 7 * DAY_MS },
+  day: { bucketMs: DAY_MS, offsetMs: 0, defaultRangeMs: 90 * DAY_MS },
+  week: {
+    bucketMs: 7 * DAY_MS,
+    offsetMs: WEEK_OFFSET_MS,
+    defaultRangeMs: 365 * DAY_MS,
+  },
+};
+
+/**
+ * Round a number for JSON output
+ * @param {number} value - Any number
+ * @returns {number} Value rounded to two decimals
+ */
+function round(value) {
+  return Number(value.toFixed(2));
+}
+
+/**
+ * Mean of a list of numbers
+ * @param {Array<number>} values - Non-empty list of numbers
+ * @returns {number}
+ */
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Population standard deviation
+ * @param {Array<number>} values - Non-empty list of numbers
+ * @returns {number}
+ */
+function standardDeviation(values) {
+  const average = mean(values);
+  return Math.sqrt(
+    values.reduce((sum, value) => sum + (value - average) ** 2, 0) /
+      values.length
+  );
+}
+
+/**
+ * Summarize a chronologically ordered list of values
+ * @param {Array<number>} values - Values, oldest first
+ * @returns {Object|null} { min, max, mean, last }, or null if there are no values
+ */
+function summarize(values) {
+  if (values.length === 0) return null;
+  return {
+    min: Math.min(...values),
+    max: Math.max(...values),
+    mean: round(mean(values)),
+    last: values[values.length - 1],
+  };
+}
+
+/**
+ * Start of the bucket that contains a timestamp
+ * @param {number} time - Epoch milliseconds
+ * @param {Object} interval - Entry of TIMESERIES_INTERVALS
+ * @returns {number} Bucket start in epoch milliseconds
+ */
+function bucketStart(time, { bucketMs, offsetMs }) {
+  return Math.floor((time - offsetMs) / bucketMs) * bucketMs + offsetMs;
+}
+
+/**
+ * Build a bucketed score time series
+ *
+ * Only buckets that contain analyses are returned. Moving average and
+ * volatility (standard deviation) are computed over the mean scores of the
+ * last `window` buckets and are null until that many buckets are available.
+ *
+ * @param {Array<Object>} analyses - Analyses with timestamp, blackswan_score and certainty (any order)
+ * @param {Object} options
+ * @param {string} options.interval - 'hour', 'day' or 'week'
+ * @param {number} options.window - Number of buckets for moving statistics
+ * @returns {Object} { interval, window, buckets, summary }
+ */
+function buildTimeSeries(analyses, { interval, window }) {
+  const intervalConfig = TIMESERIES_INTERVALS[interval];
+  if (!intervalConfig) {
+    throw new Error(`Unknown time series interval: ${interval}`);
+  }
+
+  const points = analyses
+    .map((analysis) => ({
+      time: Date.parse(analysis.timestamp),
+      score: analysis.blackswan_score,
+      certainty: analysis.certainty,
+    }))
+    .filter((point) => !Number.isNaN(point.time))
+    .sort((a, b) => a.time - b.time);
+
+  // Group points by bucket start, keeping chronological order
+  const grouped = new Map();
+  points.forEach((point) => {
+    const start = bucketStart(point.time, intervalConfig);
+    if (!grouped.has(start)) grouped.set(start, []);
+    grouped.get(start).push(point);
+  });
+
+  const meanScores = [];
+  const buckets = Array.from(grouped.entries()).map(([start, bucket]) => {
+    const scores = bucket
+      .map((point) => point.score)
+      .filter((value) => typeof value === "number");
+    const certainties = bucket
+      .map((point) => point.certainty)
+      .filter((value) => typeof value === "number");
+
+    const score = summarize(scores);
+    if (score) meanScores.push(score.mean);
+    const trailing =
+      score && meanScores.length >= window ? meanScores.slice(-window) : null;
+
+    return {
+      start: new Date(start).toISOString(),
+      end: new Date(start + intervalConfig.bucketMs).toISOString(),
+      count: bucket.length,
+      score,
+      certainty: summarize(certainties),
+      score_moving_average: trailing ? round(mean(trailing)) : null,
+      score_volatility: trailing ? round(standardDeviation(trailing)) : null,
+    };
+  });
+
+  const allScores = points
+    .map((point) => point.score)
+    .filter((value) => typeof value === "number");
+
+  return {
+    interval,
+    window,
+    buckets,
+    summary: {
+      count: points.length,
+      score: summarize(allScores),
+      score_stddev: allScores.length
+        ? round(standardDeviation(allScores))
+        : null,
+      certainty: summarize(
+        points
+          .map((point) => point.certainty)
+          .filter((value) => typeof value === "number")
+      ),
+    },
+  };
+}
+
+module.exports = {
+  TIMESERIES_INTERVALS,
+  buildTimeSeries,
+};
@@ -0,0 +1,137 @@
+/**
+ * API Keys
+ * Loads API key definitions from a JSON file. Only SHA-256 hashes of the keys
+ * are stored; presented keys are hashed and compared in constant time.
+ *
+ * File format:
+ * {
+ *   "keys": [
+ *     { "name": "dashboard", "role": "reader", "key_sha256": "<hex>" },
+ *     { "name": "ops", "role": "operator", "key_sha256": "<hex>", "rate_limit": 10 }
+ *   ]
+ * }
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+
+// Roles in increasing order of privilege; a role includes all lower ones
+const ROLES = ["reader", "operator"];
+
+const KEY_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * Hash an API key for storage or comparison
+ * @param {string} key - Plain API key
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key, "utf8").digest("hex");
+}
+
+/**
+ * Generate a new random API key
+ * @returns {string} Key with a recognizable prefix
+ */
+function generateApiKey() {
+  return `bsk_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+/**
+ * Whether a role grants another role's permissions
+ * @param {string} role - Role held
+ * @param {string} required - Role required
+ * @returns {boolean}
+ */
+function roleSatisfies(role, required) {
+  const held = ROLES.indexOf(role);
+  return held !== -1 && held >= ROLES.indexOf(required);
+}
+
+/**
+ * Load and validate API key definitions
+ * @param {string|null} filePath - Path to the API keys file (no keys if not set)
+ * @returns {Array<object>} Keys: { name, role, hash, rateLimit }
+ * @throws {Error} If the file cannot be read or contains invalid entries
+ */
+function loadApiKeys(filePath) {
+  if (!filePath) return [];
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read API keys file ${filePath}: ${error.message}`);
+  }
+
+  const entries = Array.isArray(config?.keys) ? config.keys : null;
+  if (!entries) {
+    throw new Error(`API keys file ${filePath} must contain a "keys" array`);
+  }
+
+  const errors = [];
+  const names = new Set();
+  const keys = entries.map((entry, index) => {
+    const where = `keys[${index}]${entry?.name ? ` (${entry.name})` : ""}`;
+    if (!KEY_NAME_PATTERN.test(entry?.name || "")) {
+      errors.push(`${where}: name must only contain letters, digits, . _ -`);
+    } else if (names.has(entry.name)) {
+      errors.push(`${where}: duplicate name`);
+    }
+    names.add(entry?.name);
+    if (!ROLES.includes(entry?.role)) {
+      errors.push(`${where}: role must be one of ${ROLES.join(", ")}`);
+    }
+    if (!SHA256_PATTERN.test(entry?.key_sha256 || "")) {
+      errors.push(
+        `${where}: key_sha256 must be a lowercase hex SHA-256 digest`
+      );
+    }
+    const rateLimit = entry?.rate_limit;
+    if (
+      rateLimit !== undefined &&
+      !(Number.isInteger(rateLimit) && rateLimit > 0)
+    ) {
+      errors.push(`${where}: rate_limit must be a positive integer`);
+    }
+
+    return {
+      name: entry?.name,
+      role: entry?.role,
+      hash: entry?.key_sha256,
+      rateLimit: rateLimit || null,
+    };
+  });
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid API keys file ${filePath}:\n- ${errors.join("\n- ")}`
+    );
+  }
+  return keys;
+}
+
+/**
+ * Find the API key definition matching a presented key
+ * @param {Array<object>} keys - Loaded keys
+ * @param {string} presented - Key sent by the client
+ * @returns {object|null} Matching key, or null
+ */
+function findApiKey(keys, presented) {
+  const digest = Buffer.from(hashApiKey(presented), "hex");
+  return (
+    keys.find((key) =>
+      crypto.timingSafeEqual(digest, Buffer.from(key.hash, "hex"))
+    ) || null
+  );
+}
+
+module.exports = {
+  ROLES,
+  findApiKey,
+  generateApiKey,
+  hashApiKey,
+  loadApiKeys,
+  roleSatisfies,
+};
@@ -0,0 +1,77 @@
+/**
+ * Audit Log
+ * Records who performed operator actions (analysis triggers, replays) in a
+ * storage collection. Failures to write an entry are logged and never fail
+ * the action itself.
+ */
+
+const { createLogger } = require("../logging/logger");
+
+const log = createLogger("audit");
+
+class AuditLog {
+  /**
+   * @param {object} options
+   * @param {object} options.storage - Storage adapter
+   * @param {string} options.collection - Collection for audit entries
+   */
+  constructor({ storage, collection }) {
+    this.storage = storage;
+    this.collection = collection;
+  }
+
+  /**
+   * Record an action performed through the API
+   * @param {object} req - Express request (with `principal` set by the authenticator)
+   * @param {string} action - Action name, e.g. 'analysis.trigger'
+   * @param {object} details - Action-specific details (e.g. job ID)
+   * @returns {Promise<void>}
+   */
+  async record(req, action, details = {}) {
+    const actor = req.principal || { name: "unknown", role: null, type: null };
+    const entry = {
+      action,
+      actor: { name: actor.name, role: actor.role, type: actor.type },
+      ip: req.ip || null,
+      method: req.method,
+      path: req.originalUrl,
+      details,
+      timestamp: new Date().toISOString(),
+    };
+
+    log.info("Action recorded", {
+      action,
+      caller: actor.name,
+      role: actor.role,
+      details,
+    });
+    if (!this.storage.isAvailable()) return;
+
+    try {
+      await this.storage.addDocument(this.collection, entry);
+    } catch (error) {
+      log.error("Failed to record audit entry", {
+        action,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Most recent audit entries, newest first
+   * @param {object} options
+   * @param {number} options.limit - Maximum number of entries
+   * @param {string} [options.action] - Only entries for this action
+   * @returns {Promise<Array<object>>}
+   */
+  async list({ limit, action }) {
+    return this.storage.queryDocuments(this.collection, {
+      where: action ? [{ field: "action", op: "==", value: action }] : [],
+      orderBy: "timestamp",
+      direction: "desc",
+      limit,
+    });
+  }
+}
+
+module.exports = { AuditLog };
@@ -0,0 +1,193 @@
+/**
+ * Request Authentication
+ * Express middleware that identifies callers by API key or JWT, enforces
+ * role-based access and applies a rate limit per caller.
+ *
+ * Credentials are read from:
+ * - Authorization: Bearer <api key or JWT>
+ * - X-API-Key: <api key>
+ * - ?api_key=<api key>, only on routes that allow it (EventSource clients
+ *   cannot set headers)
+ */
+
+const rateLimit = require("express-rate-limit");
+const { findApiKey, roleSatisfies } = require("./api-keys");
+const { isJwt, verifyJwt } = require("./jwt");
+const { createLogger } = require("../logging/logger");
+
+const log = createLogger("auth");
+
+// Caller used for every request when authentication is disabled
+const ANONYMOUS = {
+  id: "anonymous",
+  name: "anonymous",
+  role: "operator",
+  type: "none",
+  rateLimit: null,
+};
+
+class Authenticator {
+  /**
+   * @param {object} options
+   * @param {boolean} options.enabled - Require credentials on protected routes
+   * @param {Array<object>} options.apiKeys - Keys from loadApiKeys
+   * @param {object} options.jwt - { secret, issuer, audience } (secret null to disable JWT)
+   * @param {object} options.rateLimits - Requests per window by role ({ reader, operator })
+   * @param {number} options.windowMs - Rate limit window
+   */
+  constructor({ enabled, apiKeys, jwt, rateLimits, windowMs }) {
+    this.enabled = enabled;
+    this.apiKeys = apiKeys;
+    this.jwt = jwt;
+    this.rateLimits = rateLimits;
+    this.windowMs = windowMs;
+
+    // One limiter for all protected routes, keyed by caller
+    this.limiter = rateLimit({
+      windowMs,
+      max: (req) => req.principal.rateLimit || rateLimits[req.principal.role],
+      keyGenerator: (req) => req.principal.id,
+      message: {
+        error: "Too many requests for this API key",
+        retryAfter: Math.ceil(windowMs / 1000),
+      },
+    });
+  }
+
+  /**
+   * Whether any credential is configured
+   * @returns {boolean}
+   */
+  hasCredentials() {
+    return this.apiKeys.length > 0 || !!this.jwt.secret;
+  }
+
+  /**
+   * Read the credential presented with a request
+   * @param {object} req - Express request
+   * @param {boolean} allowQueryKey - Accept ?api_key=
+   * @returns {string|null}
+   */
+  readCredential(req, allowQueryKey) {
+    const authorization = req.get("authorization") || "";
+    if (authorization.startsWith("Bearer ")) {
+      return authorization.slice("Bearer ".length).trim();
+    }
+    if (req.get("x-api-key")) return req.get("x-api-key");
+    if (allowQueryKey && typeof req.query.api_key === "string") {
+      return req.query.api_key;
+    }
+    return null;
+  }
+
+  /**
+   * Identify the caller of a request
+   * @param {object} req - Express request
+   * @param {boolean} allowQueryKey - Accept ?api_key=
+   * @returns {object} { principal } or { error }
+   */
+  identify(req, allowQueryKey) {
+    const credential = this.readCredential(req, allowQueryKey);
+    if (!credential) return { error: "Authentication required" };
+
+    if (this.jwt.secret && isJwt(credential)) {
+      try {
+        const claims = verifyJwt(credential, this.jwt);
+        if (!claims.sub || !roleSatisfies(claims.role, "reader")) {
+          return { error: "Token must carry a subject and a valid role" };
+        }
+        return {
+          principal: {
+            id: `jwt:${claims.sub}`,
+            name: claims.sub,
+            role: claims.role,
+            type: "jwt",
+            rateLimit: null,
+          },
+        };
+      } catch (error) {
+        return { error: `Invalid token: ${error.message}` };
+      }
+    }
+
+    const apiKey = findApiKey(this.apiKeys, credential);
+    if (!apiKey) return { error: "Invalid API key" };
+    return {
+      principal: {
+        id: `key:${apiKey.name}`,
+        name: apiKey.name,
+        role: apiKey.role,
+        type: "api_key",
+        rateLimit: apiKey.rateLimit,
+      },
+    };
+  }
+
+  /**
+   * Middleware requiring a caller with at least the given role
+   *
+   * Sets `req.principal` ({ id, name, role, type }) for route handlers and
+   * applies the caller's rate limit.
+   *
+   * @param {string} role - Minimum role ('reader' or 'operator')
+   * @param {object} [options]
+   * @param {boolean} [options.allowQueryKey] - Accept ?api_key= on this route
+   * @returns {Array<Function>} Express middleware
+   */
+  requireRole(role, { allowQueryKey = false } = {}) {
+    const authenticate = (req, res, next) => {
+      if (!this.enabled) {
+        req.principal = ANONYMOUS;
+        return next();
+      }
+
+      const { principal, error } = this.identify(req, allowQueryKey);
+      if (!principal) {
+        log.warn("Request rejected", {
+          method: req.method,
+          path: req.path,
+          ip: req.ip,
+          reason: error,
+        });
+        return res
+          .status(401)
+          .set("WWW-Authenticate", 'Bearer realm="blackswan"')
+          .json({ error, timestamp: new Date().toISOString() });
+      }
+
+      if (!roleSatisfies(principal.role, role)) {
+        log.warn("Request denied", {
+          caller: principal.name,
+          role: principal.role,
+          required_role: role,
+          method: req.method,
+          path: req.path,
+        });
+        return res.status(403).json({
+          error: `The ${role} role is required`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      req.principal = principal;
+      next();
+    };
+
+    return this.enabled ? [authenticate, this.limiter] : [authenticate];
+  }
+
+  /**
+   * Authentication status for /api/status
+   * @returns {object} { enabled, apiKeys, jwt, rateLimits }
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      apiKeys: this.apiKeys.length,
+      jwt: !!this.jwt.secret,
+      rateLimits: { ...this.rateLimits, windowMs: this.windowMs },
+    };
+  }
+}
+
+module.exports = { Authenticator };
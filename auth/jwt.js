@@ -0,0 +1,87 @@
+/**
+ * JWT Verification
+ * Verifies HS256-signed JSON Web Tokens issued by an identity provider that
+ * shares a secret with the service. Only HS256 is accepted, so tokens with
+ * `alg: none` or asymmetric algorithms are rejected.
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Decode a base64url JSON segment
+ * @param {string} segment - Token segment
+ * @returns {object}
+ */
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+/**
+ * Whether a token looks like a JWT (three dot-separated segments)
+ * @param {string} token - Bearer token
+ * @returns {boolean}
+ */
+function isJwt(token) {
+  return /^[\w-]+\.[\w-]+\.[\w-]+$/.test(token);
+}
+
+/**
+ * Verify a JWT and return its claims
+ * @param {string} token - Encoded token
+ * @param {object} options
+ * @param {string} options.secret - HS256 shared secret
+ * @param {string} [options.issuer] - Required `iss` claim
+ * @param {string} [options.audience] - Required `aud` claim (string or array)
+ * @param {number} [options.clockToleranceSec] - Allowed clock skew for exp/nbf
+ * @returns {object} Verified claims
+ * @throws {Error} If the token is malformed, wrongly signed, expired or not meant for this service
+ */
+function verifyJwt(
+  token,
+  { secret, issuer, audience, clockToleranceSec = 30 }
+) {
+  const [headerSegment, payloadSegment, signatureSegment] = token.split(".");
+
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(headerSegment);
+    claims = decodeSegment(payloadSegment);
+  } catch (error) {
+    throw new Error("malformed token");
+  }
+
+  if (header.alg !== "HS256") {
+    throw new Error(`unsupported algorithm ${header.alg}`);
+  }
+
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${headerSegment}.${payloadSegment}`)
+    .digest();
+  const signature = Buffer.from(signatureSegment, "base64url");
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(signature, expected)
+  ) {
+    throw new Error("invalid signature");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === "number" && now > claims.exp + clockToleranceSec) {
+    throw new Error("token expired");
+  }
+  if (typeof claims.nbf === "number" && now < claims.nbf - clockToleranceSec) {
+    throw new Error("token not yet valid");
+  }
+  if (issuer && claims.iss !== issuer) {
+    throw new Error("unexpected issuer");
+  }
+  if (audience && ![].concat(claims.aud).includes(audience)) {
+    throw new Error("unexpected audience");
+  }
+
+  return claims;
+}
+
+module.exports = { isJwt, verifyJwt };
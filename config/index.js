@@ -0,0 +1,341 @@
+/**
+ * Service Configuration
+ * Loads every setting in config/settings.js from the environment and an
+ * optional JSON config file (CONFIG_FILE), validates it and reports the
+ * effective configuration with secrets redacted.
+ *
+ * Precedence: environment variable, then config file, then default. Empty
+ * environment variables count as unset. All invalid settings are reported
+ * together, so a broken deployment fails once with the full list.
+ *
+ * Config file format (any subset of the settings, keyed by name):
+ * {
+ *   "ANALYSIS_INTERVAL": "30 * * * *",
+ *   "LLM_PROVIDERS": ["openrouter", "local"],
+ *   "DATA_QUALITY_CERTAINTY_CAP": 40
+ * }
+ *
+ * Source max age overrides (<NAME>_MAX_AGE_MS) are read the same way and
+ * collected in `values.SOURCE_MAX_AGE_MS` by source name.
+ */
+
+const fs = require("fs");
+const cron = require("node-cron");
+const { SETTINGS, SOURCE_MAX_AGE_SETTING } = require("./settings");
+
+const REDACTED = "[REDACTED]";
+
+/**
+ * Parse a comma-separated value into a list
+ *
+ * @param {string} value - Raw value
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+function parseList(value) {
+  return (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse one scalar value
+ *
+ * @param {Object} spec - Setting or list item definition
+ * @param {string} raw - Raw string value
+ * @returns {*} Parsed value
+ * @throws {Error} With a message describing the expected value
+ */
+function parseScalar(spec, raw) {
+  const value = raw.trim();
+  switch (spec.type) {
+    case "integer":
+    case "number": {
+      const number = Number(value);
+      if (
+        value === "" ||
+        !Number.isFinite(number) ||
+        (spec.type === "integer" && !Number.isInteger(number))
+      ) {
+        throw new Error(
+          `must be ${spec.type === "integer" ? "an integer" : "a number"}`
+        );
+      }
+      if (spec.min !== undefined && number < spec.min) {
+        throw new Error(`must be at least ${spec.min}`);
+      }
+      if (spec.max !== undefined && number > spec.max) {
+        throw new Error(`must be at most ${spec.max}`);
+      }
+      return number;
+    }
+    case "boolean": {
+      const normalized = value.toLowerCase();
+      if (["true", "1"].includes(normalized)) return true;
+      if (["false", "0"].includes(normalized)) return false;
+      throw new Error("must be true or false");
+    }
+    case "enum":
+      if (!spec.choices.includes(value)) {
+        throw new Error(`must be one of: ${spec.choices.join(", ")}`);
+      }
+      return value;
+    case "url": {
+      let url;
+      try {
+        url = new URL(value);
+      } catch {
+        throw new Error("must be a valid URL");
+      }
+      if (!["http:", "https:"].includes(url.protocol)) {
+        throw new Error("must be an http(s) URL");
+      }
+      return value;
+    }
+    case "cron":
+      if (!cron.validate(value)) {
+        throw new Error(
+          "must be a valid cron expression (e.g. '0 * * * *' for every hour)"
+        );
+      }
+      return value;
+    default:
+      if (spec.pattern && !spec.pattern.test(value)) {
+        throw new Error(`must be ${spec.hint || `match ${spec.pattern}`}`);
+      }
+      return value;
+  }
+}
+
+/**
+ * Parse a setting's raw value
+ *
+ * @param {Object} setting - Setting definition
+ * @param {string} raw - Raw string value
+ * @returns {*} Parsed value
+ * @throws {Error} With a message describing the expected value
+ */
+function parseSetting(setting, raw) {
+  if (setting.type !== "list") return parseScalar(setting, raw);
+
+  const items = parseList(raw).map((item, index) => {
+    try {
+      return parseScalar(setting.of, item);
+    } catch (error) {
+      throw new Error(`entry ${index + 1} ("${item}") ${error.message}`);
+    }
+  });
+  if (setting.minItems && items.length < setting.minItems) {
+    throw new Error(`must list at least ${setting.minItems} entry`);
+  }
+  return items;
+}
+
+/**
+ * Whether a key is a source max age override rather than a listed setting
+ *
+ * @param {string} key - Environment variable or config file key
+ * @returns {boolean}
+ */
+function isSourceMaxAgeKey(key) {
+  return (
+    SOURCE_MAX_AGE_SETTING.pattern.test(key) &&
+    !SETTINGS.some((setting) => setting.key === key)
+  );
+}
+
+/**
+ * Read the config file into raw string values
+ *
+ * Arrays become comma-separated lists and numbers and booleans their string
+ * form, so file values are parsed and validated exactly like environment
+ * variables.
+ *
+ * @param {string} filePath - Path to the JSON config file
+ * @param {Array<string>} errors - Collects unknown keys and unsupported values
+ * @returns {Object} Raw values by setting key
+ * @throws {Error} If the file cannot be read or is not a JSON object
+ */
+function readConfigFile(filePath, errors) {
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read config file ${filePath}: ${error.message}`);
+  }
+  if (!content || typeof content !== "object" || Array.isArray(content)) {
+    throw new Error(`Config file ${filePath} must contain a JSON object`);
+  }
+
+  const known = new Set(SETTINGS.map((setting) => setting.key));
+  const values = {};
+  Object.entries(content).forEach(([key, value]) => {
+    if (!known.has(key) && !isSourceMaxAgeKey(key)) {
+      errors.push(`${key} (config file): unknown setting`);
+    } else if (value === null) {
+      return;
+    } else if (Array.isArray(value)) {
+      values[key] = value.join(",");
+    } else if (typeof value === "object") {
+      errors.push(
+        `${key} (config file): must be a string, number, boolean or list`
+      );
+    } else {
+      values[key] = String(value);
+    }
+  });
+  return values;
+}
+
+/**
+ * Check constraints that span several settings
+ *
+ * @param {Object} values - Parsed settings
+ * @param {Array<string>} errors - Collects violations
+ */
+function checkCombinations(values, errors) {
+  if (values.LLM_PROVIDERS.includes("local") && !values.LOCAL_LLM_BASE_URL) {
+    errors.push(
+      "LOCAL_LLM_BASE_URL: required when LLM_PROVIDERS includes local"
+    );
+  }
+  if (values.LISTENER_RETRY_MAX_MS < values.LISTENER_RETRY_INITIAL_MS) {
+    errors.push(
+      "LISTENER_RETRY_MAX_MS: must be at least LISTENER_RETRY_INITIAL_MS"
+    );
+  }
+  if (!!values.ALERT_TELEGRAM_BOT_TOKEN !== !!values.ALERT_TELEGRAM_CHAT_ID) {
+    errors.push(
+      "ALERT_TELEGRAM_BOT_TOKEN and ALERT_TELEGRAM_CHAT_ID: set both or neither"
+    );
+  }
+}
+
+/**
+ * Load and validate the service configuration
+ *
+ * @param {Object} env - Environment to read (default: process.env)
+ * @returns {{ values: Object, origins: Object, file: string|null }} Parsed
+ *   settings by key (source max age overrides under SOURCE_MAX_AGE_MS), where each came from ('env', 'file' or 'default') and
+ *   the config file used
+ * @throws {Error} Listing every invalid setting; the error's `errors` holds
+ *   the individual messages
+ */
+function loadConfig(env = process.env) {
+  const errors = [];
+  const file = env.CONFIG_FILE || null;
+  const fileValues = file ? readConfigFile(file, errors) : {};
+
+  const values = {};
+  const origins = {};
+  SETTINGS.forEach((setting) => {
+    const { key } = setting;
+    const fromEnv = env[key] !== undefined && env[key] !== "";
+    const raw = fromEnv ? env[key] : fileValues[key];
+
+    if (raw === undefined) {
+      values[key] = setting.default;
+      origins[key] = "default";
+      return;
+    }
+    origins[key] = fromEnv ? "env" : "file";
+    try {
+      values[key] = parseSetting(setting, raw);
+    } catch (error) {
+      errors.push(`${key} (${origins[key]}): ${error.message}`);
+      values[key] = setting.default;
+    }
+  });
+
+  // Source max age overrides, by source name
+  values.SOURCE_MAX_AGE_MS = {};
+  const overrideKeys = new Set(
+    [...Object.keys(env), ...Object.keys(fileValues)].filter(isSourceMaxAgeKey)
+  );
+  overrideKeys.forEach((key) => {
+    const fromEnv = env[key] !== undefined && env[key] !== "";
+    const raw = fromEnv ? env[key] : fileValues[key];
+    if (raw === undefined) return;
+
+    origins[key] = fromEnv ? "env" : "file";
+    const name = key.match(SOURCE_MAX_AGE_SETTING.pattern)[1];
+    try {
+      values.SOURCE_MAX_AGE_MS[name] = parseScalar(SOURCE_MAX_AGE_SETTING, raw);
+    } catch (error) {
+      errors.push(`${key} (${origins[key]}): ${error.message}`);
+    }
+  });
+
+  checkCombinations(values, errors);
+
+  if (errors.length > 0) {
+    throw Object.assign(
+      new Error(`Invalid configuration:\n- ${errors.join("\n- ")}`),
+      { errors }
+    );
+  }
+
+  // DEBUG=true forces debug logging; NODE_ENV=development only changes the default
+  if (values.DEBUG) {
+    values.LOG_LEVEL = "debug";
+  } else if (
+    origins.LOG_LEVEL === "default" &&
+    values.NODE_ENV === "development"
+  ) {
+    values.LOG_LEVEL = "debug";
+  }
+
+  return { values, origins, file };
+}
+
+/**
+ * Redact a setting's value for display
+ *
+ * Secret settings show only whether they are set; credentials embedded in
+ * other URLs are removed.
+ *
+ * @param {Object} setting - Setting definition
+ * @param {*} value - Parsed value
+ * @returns {*}
+ */
+function redactValue(setting, value) {
+  if (value === null || value === undefined) return null;
+  if (setting.secret) {
+    return Array.isArray(value) ? value.map(() => REDACTED) : REDACTED;
+  }
+
+  const isUrl = setting.type === "url" || setting.of?.type === "url";
+  if (!isUrl) return value;
+
+  const redactUrl = (raw) => raw.replace(/\/\/[^/@]+@/, `//${REDACTED}@`);
+  return Array.isArray(value) ? value.map(redactUrl) : redactUrl(value);
+}
+
+/**
+ * Effective configuration with secrets redacted
+ *
+ * @param {Object} config - Result of loadConfig
+ * @returns {{ file: string|null, values: Object, overrides: Object }}
+ *   Redacted settings, and the origin ('env' or 'file') of every setting
+ *   that is not at its default
+ */
+function describeConfig({ values, origins, file }) {
+  return {
+    file,
+    values: Object.fromEntries([
+      ...SETTINGS.map((setting) => [
+        setting.key,
+        redactValue(setting, values[setting.key]),
+      ]),
+      ...Object.entries(values.SOURCE_MAX_AGE_MS).map(([name, maxAgeMs]) => [
+        `${name}_MAX_AGE_MS`,
+        maxAgeMs,
+      ]),
+    ]),
+    overrides: Object.fromEntries(
+      Object.entries(origins).filter(([, origin]) => origin !== "default")
+    ),
+  };
+}
+
+module.exports = { describeConfig, loadConfig, parseList };
@@ -0,0 +1,420 @@
+/**
+ * Service Settings
+ * Every setting the service reads, with its type, default and limits. Each
+ * key is read from the environment variable of the same name, or from the
+ * optional config file (CONFIG_FILE).
+ *
+ * Types: string, integer, number, boolean, url, cron, enum and list (a
+ * comma-separated list whose entries have the type given by `of`). Strings
+ * can be restricted with `pattern` (`hint` describes it in errors). Settings
+ * marked `secret` are redacted wherever the effective configuration is shown.
+ */
+
+const path = require("path");
+const { LEVELS, LOG_FORMATS } = require("../logging/logger");
+const { PROVIDER_NAMES } = require("../providers");
+const { ENSEMBLE_METHODS } = require("../analysis/ensemble");
+const { DATA_QUALITY_ACTIONS } = require("../analysis/data-quality-policy");
+const { STORAGE_BACKENDS } = require("../storage");
+
+// Firestore collection IDs cannot contain slashes
+const COLLECTION_PATTERN = /^[^/]+$/;
+
+// Prompt versions name files in prompts/
+const VERSION_PATTERN = /^[\w.-]+$/;
+
+const STARTUP_CRON_POLICIES = ["delay", "skip"];
+
+// Files shipped with the service are found relative to it, not to the
+// working directory the service was started from
+const PROJECT_ROOT = path.join(__dirname, "..");
+
+const SETTINGS = [
+  /**
+   * Data Source Registry
+   * JSON file listing every source: collection or document path, timestamp
+   * field, formatter, prompt label, required flag and maximum data age.
+   */
+  {
+    key: "SOURCES_CONFIG_FILE",
+    type: "string",
+    default: path.join(PROJECT_ROOT, "sources", "default-sources.json"),
+  },
+
+  /**
+   * OpenRouter API Configuration
+   * Settings for AI analysis requests to OpenRouter service
+   */
+  { key: "OPENROUTER_API_KEY", type: "string", default: null, secret: true }, // API key
+  {
+    key: "OPENROUTER_URL",
+    type: "url",
+    default: "https://openrouter.ai/api/v1/chat/completions",
+  }, // OpenRouter API endpoint
+  { key: "MODEL", type: "string", default: "openai/gpt-5-mini" }, // AI model to use for analysis
+
+  /**
+   * LLM Provider Configuration
+   * Providers are tried in order; timeouts, network errors, 429 and 5xx
+   * responses fall back to the next one.
+   */
+  {
+    key: "LLM_PROVIDERS",
+    type: "list",
+    of: { type: "enum", choices: PROVIDER_NAMES },
+    default: ["openrouter"],
+    minItems: 1,
+  }, // e.g. "openrouter,local"
+  { key: "LOCAL_LLM_BASE_URL", type: "url", default: null }, // e.g. http://localhost:11434/v1
+  { key: "LOCAL_LLM_MODEL", type: "string", default: null }, // Model name on the local server
+  { key: "LOCAL_LLM_API_KEY", type: "string", default: null, secret: true }, // Optional bearer token
+  { key: "STUB_RESPONSE_FILE", type: "string", default: null }, // Optional fixed response for 'stub'
+
+  /**
+   * Ensemble Configuration
+   * When more than one model is listed, every run sends the same prompt to each
+   * model and aggregates their scores (median or trimmed mean).
+   */
+  { key: "ENSEMBLE_MODELS", type: "list", of: { type: "string" }, default: [] },
+  {
+    key: "ENSEMBLE_AGGREGATION",
+    type: "enum",
+    choices: ENSEMBLE_METHODS,
+    default: "median",
+  },
+  {
+    key: "ENSEMBLE_TRIM_RATIO",
+    type: "number",
+    default: 0.2,
+    min: 0,
+    max: 0.49,
+  }, // Share trimmed from each end
+  { key: "ENSEMBLE_MIN_MODELS", type: "integer", default: 2, min: 1 }, // Minimum successful models
+  {
+    key: "ENSEMBLE_DIVERGENCE_THRESHOLD",
+    type: "integer",
+    default: 10,
+    min: 0,
+    max: 100,
+  }, // Score range that counts as divergence
+
+  /**
+   * Data Quality Policy Configuration
+   * Minimum input quality for a regular analysis, and what to do when a run
+   * falls short
+   */
+  {
+    key: "DATA_QUALITY_ACTION",
+    type: "enum",
+    choices: DATA_QUALITY_ACTIONS,
+    default: "warn",
+  },
+  {
+    key: "DATA_QUALITY_REQUIRED_SOURCES",
+    type: "list",
+    of: { type: "string" },
+    default: [],
+  }, // Source names, e.g. "BTC_ETH,MACRO"
+  { key: "DATA_QUALITY_MIN_SOURCES", type: "integer", default: 1, min: 1 }, // Sources with data (fresh or stale)
+  {
+    key: "DATA_QUALITY_MAX_STALE_SOURCES",
+    type: "integer",
+    default: 2,
+    min: 0,
+  }, // Stale sources allowed
+  {
+    key: "DATA_QUALITY_CERTAINTY_CAP",
+    type: "integer",
+    default: 50,
+    min: 0,
+    max: 100,
+  }, // Certainty cap for the 'cap' action
+
+  /**
+   * Score Guard Configuration
+   * Scores that jump away from the median of the recent analyses are flagged
+   * and confirmed by a re-run or limited; published scores can also be
+   * smoothed against the previous one
+   */
+  {
+    key: "SCORE_GUARD_MAX_JUMP",
+    type: "integer",
+    default: 20,
+    min: 0,
+    max: 100,
+  }, // Points from the recent median (0 = off)
+  { key: "SCORE_GUARD_CONFIRM", type: "boolean", default: false }, // Re-run once to confirm a flagged score (one extra LLM generation)
+  {
+    key: "SCORE_SMOOTHING_ALPHA",
+    type: "number",
+    default: 1,
+    min: 0.01,
+    max: 1,
+  }, // Weight of the new score (1 = no smoothing)
+
+  /**
+   * Analysis Configuration
+   * Controls the frequency and behavior of automated analysis
+   */
+  { key: "ANALYSIS_INTERVAL", type: "cron", default: "0 * * * *" }, // Every hour at minute 0
+  {
+    key: "PROMPT_VERSION",
+    type: "string",
+    default: "v1",
+    pattern: VERSION_PATTERN,
+    hint: "letters, digits, . _ -",
+  }, // Production prompt version
+  {
+    key: "SHADOW_PROMPT_VERSIONS",
+    type: "list",
+    of: {
+      type: "string",
+      pattern: VERSION_PATTERN,
+      hint: "letters, digits, . _ -",
+    },
+    default: [],
+  }, // Candidate versions run in shadow
+  { key: "PROMPT_TOKEN_BUDGET", type: "integer", default: 24000, min: 1000 }, // Estimated tokens per prompt
+  { key: "REQUEST_TIMEOUT", type: "integer", default: 120000, min: 1000 }, // AI request timeout (ms)
+  { key: "MAX_REPAIR_ATTEMPTS", type: "integer", default: 2, min: 0, max: 10 }, // Re-asks after an invalid AI response
+
+  /**
+   * Alerting Configuration
+   * Rules evaluated on every analysisComplete/analysisError event and the
+   * channels alerts are delivered to.
+   */
+  {
+    key: "ALERT_SCORE_THRESHOLDS",
+    type: "list",
+    of: { type: "number", min: 0, max: 100 },
+    default: [],
+  }, // e.g. "12,25,40"
+  { key: "ALERT_SCORE_DELTA", type: "integer", default: 0, min: 0, max: 100 }, // Points vs previous analysis (0 = off)
+  { key: "ALERT_CONSECUTIVE_FAILURES", type: "integer", default: 0, min: 0 }, // Failed runs in a row (0 = off)
+  { key: "ALERT_COOLDOWN_MS", type: "integer", default: 3600000, min: 0 }, // 1 hour
+  {
+    key: "ALERT_WEBHOOK_URLS",
+    type: "list",
+    of: { type: "url" },
+    default: [],
+    secret: true,
+  }, // Generic JSON webhooks
+  {
+    key: "ALERT_SLACK_WEBHOOK_URL",
+    type: "url",
+    default: null,
+    secret: true,
+  }, // Slack-compatible webhook
+  {
+    key: "ALERT_TELEGRAM_BOT_TOKEN",
+    type: "string",
+    default: null,
+    secret: true,
+  },
+  { key: "ALERT_TELEGRAM_CHAT_ID", type: "string", default: null },
+  {
+    key: "ALERT_TELEGRAM_API_URL",
+    type: "url",
+    default: "https://api.telegram.org",
+  }, // Telegram-compatible Bot API
+
+  /**
+   * Live Stream Configuration
+   * Server-Sent Events endpoint settings
+   */
+  { key: "STREAM_HEARTBEAT_MS", type: "integer", default: 30000, min: 1000 }, // Keep-alive interval
+  { key: "STREAM_MAX_CLIENTS", type: "integer", default: 100, min: 0 }, // Concurrent connections
+
+  /**
+   * Analysis Job Queue Configuration
+   */
+  { key: "JOB_HISTORY_SIZE", type: "integer", default: 100, min: 1 }, // Finished jobs kept in memory
+
+  /**
+   * Listener Reconnection Configuration
+   * Failed snapshot listeners are resubscribed after a delay that doubles
+   * with every failure in a row, up to the maximum
+   */
+  {
+    key: "LISTENER_RETRY_INITIAL_MS",
+    type: "integer",
+    default: 1000,
+    min: 100,
+  }, // Delay before the first resubscription
+  {
+    key: "LISTENER_RETRY_MAX_MS",
+    type: "integer",
+    default: 300000,
+    min: 1000,
+  }, // Maximum delay: 5 minutes
+
+  /**
+   * Warm Start Configuration
+   * Source data is cached on disk for restarts; until every listener has
+   * delivered its first snapshot (or the timeout passes) the service is not
+   * ready and scheduled analyses are delayed or skipped
+   */
+  { key: "WARM_START_ENABLED", type: "boolean", default: true }, // Restore and persist the cache
+  {
+    key: "WARM_START_CACHE_FILE",
+    type: "string",
+    default: "./data/warm-start-cache.json",
+  }, // Cache file
+  { key: "STARTUP_TIMEOUT_MS", type: "integer", default: 60000, min: 0 }, // Wait for initial snapshots (0 = do not wait)
+  {
+    key: "STARTUP_CRON_POLICY",
+    type: "enum",
+    choices: STARTUP_CRON_POLICIES,
+    default: "delay",
+  }, // Scheduled run before ready: wait for the barrier, or skip it
+
+  /**
+   * Health Check Configuration
+   * When /health/ready reports the service degraded or unhealthy
+   */
+  {
+    key: "HEALTH_MAX_CONSECUTIVE_FAILURES",
+    type: "integer",
+    default: 5,
+    min: 0,
+  }, // Failed runs in a row that make the service unhealthy (0 = off)
+  {
+    key: "HEALTH_MAX_ANALYSIS_AGE_MS",
+    type: "integer",
+    default: 0,
+    min: 0,
+  }, // Age of the last successful analysis that degrades the service (0 = off)
+
+  /**
+   * Firestore Storage Configuration
+   * Collections analyses, shadow results, provenance and the audit log are
+   * written to, and read limits for history, replay and backtests
+   */
+  {
+    key: "BLACKSWAN_COLLECTION",
+    type: "string",
+    default: "blackswan_analyses",
+    pattern: COLLECTION_PATTERN,
+    hint: "a collection ID without '/'",
+  },
+  {
+    key: "SHADOW_COLLECTION",
+    type: "string",
+    default: "blackswan_shadow_analyses",
+    pattern: COLLECTION_PATTERN,
+    hint: "a collection ID without '/'",
+  }, // Shadow prompt results
+  {
+    key: "PROVENANCE_COLLECTION",
+    type: "string",
+    default: "blackswan_analysis_provenance",
+    pattern: COLLECTION_PATTERN,
+    hint: "a collection ID without '/'",
+  }, // Prompt, raw responses and inputs per analysis
+  { key: "PROVENANCE_ENABLED", type: "boolean", default: true }, // Store provenance records
+  {
+    key: "TIMESERIES_MAX_ANALYSES",
+    type: "integer",
+    default: 10000,
+    min: 1,
+  }, // Analyses read per time series request
+  { key: "REPLAY_MAX_ANALYSES", type: "integer", default: 20, min: 1 }, // Analyses replayed per date range request
+  { key: "BACKTEST_MAX_TICKS", type: "integer", default: 2000, min: 1 }, // Ticks per backtest run (each is an LLM call)
+
+  /**
+   * Storage Backend Configuration
+   * 'firestore' uses serviceAccountKey.json; 'memory' and 'file' run fully local.
+   */
+  {
+    key: "STORAGE_BACKEND",
+    type: "enum",
+    choices: STORAGE_BACKENDS,
+    default: "firestore",
+  },
+  {
+    key: "SERVICE_ACCOUNT_PATH",
+    type: "string",
+    default: path.join(PROJECT_ROOT, "serviceAccountKey.json"),
+  }, // Firebase key file
+  { key: "STORAGE_FILE", type: "string", default: "./data/local-store.json" }, // Local store for 'file'
+  { key: "STORAGE_SEED_FILE", type: "string", default: null }, // Optional seed data for 'memory'
+
+  /**
+   * Server Configuration
+   * HTTP server and security settings
+   */
+  { key: "PORT", type: "integer", default: 8090, min: 0, max: 65535 }, // Server port
+  { key: "RATE_LIMIT_WINDOW", type: "integer", default: 900000, min: 1000 }, // Rate limit window: 15 minutes
+  { key: "RATE_LIMIT_MAX", type: "integer", default: 100, min: 1 }, // Maximum requests per window
+  { key: "ENABLE_CORS", type: "boolean", default: true }, // Cross-origin requests
+  { key: "ENABLE_HELMET", type: "boolean", default: true }, // Security headers
+  { key: "ENABLE_COMPRESSION", type: "boolean", default: true }, // Response compression
+
+  /**
+   * Authentication Configuration
+   * API keys (hashed, from API_KEYS_FILE) and/or HS256 JWTs with a 'reader'
+   * or 'operator' role
+   */
+  { key: "AUTH_ENABLED", type: "boolean", default: false }, // Require credentials
+  { key: "API_KEYS_FILE", type: "string", default: null }, // API key definitions
+  { key: "AUTH_JWT_SECRET", type: "string", default: null, secret: true }, // HS256 secret (JWT disabled if unset)
+  { key: "AUTH_JWT_ISSUER", type: "string", default: null }, // Required 'iss' claim
+  { key: "AUTH_JWT_AUDIENCE", type: "string", default: null }, // Required 'aud' claim
+  {
+    key: "AUTH_RATE_LIMIT_WINDOW_MS",
+    type: "integer",
+    default: 60000,
+    min: 1000,
+  }, // Per-caller rate limit window
+  { key: "AUTH_READER_RATE_LIMIT", type: "integer", default: 120, min: 1 }, // Requests per window for readers
+  { key: "AUTH_OPERATOR_RATE_LIMIT", type: "integer", default: 30, min: 1 }, // Requests per window for operators
+  {
+    key: "AUDIT_COLLECTION",
+    type: "string",
+    default: "blackswan_audit_log",
+    pattern: COLLECTION_PATTERN,
+    hint: "a collection ID without '/'",
+  }, // Who triggered runs and replays
+
+  /**
+   * Metrics Configuration
+   * Prometheus metrics at /metrics (reader role)
+   */
+  { key: "METRICS_ENABLED", type: "boolean", default: true }, // Expose /metrics
+  { key: "METRICS_DEFAULT_METRICS", type: "boolean", default: true }, // Include Node.js process metrics
+
+  /**
+   * Logging Configuration
+   * DEBUG=true is a shortcut for LOG_LEVEL=debug; with NODE_ENV=development
+   * the level defaults to debug
+   */
+  {
+    key: "LOG_LEVEL",
+    type: "enum",
+    choices: Object.keys(LEVELS),
+    default: "info",
+  },
+  { key: "DEBUG", type: "boolean", default: false },
+  { key: "NODE_ENV", type: "string", default: null },
+  { key: "LOG_FORMAT", type: "enum", choices: LOG_FORMATS, default: "json" },
+  {
+    key: "LOG_MAX_STRING_LENGTH",
+    type: "integer",
+    default: 1000,
+    min: 100,
+  }, // Longer logged strings are truncated
+];
+
+/**
+ * Source Max Age Overrides
+ * <NAME>_MAX_AGE_MS overrides the registry's maxAgeMs of the source NAME.
+ * The keys depend on the registered sources, so they are matched by pattern
+ * rather than listed; names not in the registry are rejected when it loads.
+ */
+const SOURCE_MAX_AGE_SETTING = {
+  pattern: /^([A-Z][A-Z0-9_]*)_MAX_AGE_MS$/,
+  type: "integer",
+  min: 1,
+};
+
+module.exports = { SETTINGS, SOURCE_MAX_AGE_SETTING, STARTUP_CRON_POLICIES };
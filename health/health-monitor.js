@@ -0,0 +1,323 @@
+/**
+ * Health Monitor
+ * Tracks analysis outcomes and combines them with listener, source, storage
+ * and LLM provider state into liveness and readiness reports for the health
+ * endpoints.
+ *
+ * Readiness status:
+ * - 'starting': the startup barrier has not resolved (some listener has not
+ *   delivered its initial snapshot and the startup timeout has not passed)
+ * - 'unhealthy': storage or every LLM provider is unavailable, every source
+ *   listener is reconnecting, a required source is stale, every source with
+ *   data is stale, or the failure streak reached maxConsecutiveFailures
+ * - 'degraded': some listener is not connected, some source is stale, a
+ *   required source has no data, the last run failed or the last successful
+ *   analysis is too old
+ * - 'healthy': none of the above
+ */
+
+const { nextCronRun } = require("../jobs/cron-schedule");
+const { sanitize } = require("../logging/logger");
+
+// Listener that follows stored analyses rather than a source
+const HISTORICAL_LISTENER = "HISTORICAL";
+
+/**
+ * Why a source is stale, for problem messages
+ * @param {object} source - Source definition
+ * @param {object} health - { age_ms, reconnecting, cached } of the source
+ * @returns {string}
+ */
+function describeStaleness(source, health) {
+  if (health.reconnecting) return "listener reconnecting";
+  if (health.cached) return "restored from the warm-start cache";
+  return `${health.age_ms} ms old, max ${source.maxAgeMs} ms`;
+}
+
+class HealthMonitor {
+  /**
+   * @param {object} options
+   * @param {object} options.storage - Storage adapter
+   * @param {Array<object>} options.sources - Registered sources
+   * @param {Function} options.getListenerStates - Returns { [listener]: { status, last_update, last_error, consecutive_failures, ... } }
+   * @param {Function} options.getSourceHealth - Returns { [source]: { status, timestamp, age_ms, reconnecting, cached } }
+   * @param {Function} options.getProviders - Returns the usable LLM provider names
+   * @param {Function} options.getLatestAnalysis - Returns the most recent stored analysis, or null
+   * @param {Function} options.getStartupState - Returns { ready, waiting_for, ... } of the startup barrier
+   * @param {number} options.maxConsecutiveFailures - Failed runs in a row that make the service unhealthy
+   * @param {number} options.maxAnalysisAgeMs - Age of the last successful analysis that degrades the service (0 = off)
+   */
+  constructor({
+    storage,
+    sources,
+    getListenerStates,
+    getSourceHealth,
+    getProviders,
+    getLatestAnalysis,
+    getStartupState,
+    maxConsecutiveFailures,
+    maxAnalysisAgeMs,
+  }) {
+    this.storage = storage;
+    this.sources = sources;
+    this.getListenerStates = getListenerStates;
+    this.getSourceHealth = getSourceHealth;
+    this.getProviders = getProviders;
+    this.getLatestAnalysis = getLatestAnalysis;
+    this.getStartupState = getStartupState;
+    this.maxConsecutiveFailures = maxConsecutiveFailures;
+    this.maxAnalysisAgeMs = maxAnalysisAgeMs;
+
+    // Analysis outcomes seen since startup
+    this.lastSuccessAt = null;
+    this.lastFailureAt = null;
+    this.lastError = null;
+    this.consecutiveFailures = 0;
+
+    // Cron expression of the scheduled analysis (null when not scheduled)
+    this.schedule = null;
+  }
+
+  /**
+   * Subscribe to analysis events
+   * @param {EventEmitter} eventEmitter - Service event emitter
+   */
+  attach(eventEmitter) {
+    eventEmitter.on("analysisComplete", () => {
+      this.lastSuccessAt = new Date().toISOString();
+      this.consecutiveFailures = 0;
+    });
+    eventEmitter.on("analysisError", (error, run) => {
+      this.lastFailureAt = new Date().toISOString();
+      this.lastError = {
+        message: sanitize(error.message),
+        stage: run?.stage || null,
+        run_id: run?.run_id || null,
+      };
+      this.consecutiveFailures++;
+    });
+  }
+
+  /**
+   * Record the schedule analyses run on
+   * @param {string} expression - Cron expression
+   */
+  setSchedule(expression) {
+    this.schedule = expression;
+  }
+
+  /**
+   * Liveness report: the process is up and serving requests
+   * @returns {object}
+   */
+  getLiveness() {
+    return {
+      status: "alive",
+      uptime: process.uptime(),
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Time of the last successful analysis
+   *
+   * Falls back to the latest stored analysis, so the value survives restarts.
+   *
+   * @returns {string|null} ISO timestamp
+   */
+  getLastSuccessAt() {
+    if (this.lastSuccessAt) return this.lastSuccessAt;
+    const latest = this.getLatestAnalysis();
+    return latest?.timestamp || null;
+  }
+
+  /**
+   * Pipeline state: last success, last failure and the failure streak
+   * @returns {object}
+   */
+  getPipelineState() {
+    return {
+      last_success_at: this.getLastSuccessAt(),
+      last_failure_at: this.lastFailureAt,
+      last_error: this.lastError,
+      consecutive_failures: this.consecutiveFailures,
+    };
+  }
+
+  /**
+   * Analysis schedule and the time of the next run
+   * @returns {object}
+   */
+  getScheduleState() {
+    const nextRun = this.schedule ? nextCronRun(this.schedule) : null;
+    return {
+      expression: this.schedule,
+      next_run: nextRun ? nextRun.toISOString() : null,
+    };
+  }
+
+  /**
+   * Evaluate the readiness checks
+   *
+   * @param {object} state - { listeners, sources, pipeline, providers, startup }
+   * @returns {{ status: string, problems: Array<object> }} Overall status and
+   *   every failed check as { severity, check, message }
+   */
+  evaluate({ listeners, sources, pipeline, providers, startup }) {
+    const problems = [];
+    const report = (severity, check, message) =>
+      problems.push({ severity, check, message });
+
+    if (!this.storage.isAvailable()) {
+      report(
+        "unhealthy",
+        "storage",
+        `Storage (${this.storage.name}) unavailable`
+      );
+    }
+    if (providers.length === 0) {
+      report("unhealthy", "llm", "No LLM provider configured");
+    }
+    if (!startup.ready) {
+      report(
+        "starting",
+        "startup",
+        `Waiting for the initial snapshot of ${startup.waiting_for.join(", ")}`
+      );
+    }
+
+    const sourceListeners = Object.entries(listeners).filter(
+      ([name]) => name !== HISTORICAL_LISTENER
+    );
+    const failed = sourceListeners.filter(
+      ([, state]) => state.status === "reconnecting"
+    );
+    if (
+      sourceListeners.length > 0 &&
+      failed.length === sourceListeners.length
+    ) {
+      report("unhealthy", "listeners", "Every source listener is reconnecting");
+    }
+    Object.entries(listeners)
+      .filter(([, state]) => state.status !== "connected")
+      .forEach(([name, state]) =>
+        report(
+          "degraded",
+          "listeners",
+          `Listener ${name} is ${state.status}${
+            state.status === "reconnecting"
+              ? ` (attempt ${state.consecutive_failures}): ${state.last_error}`
+              : ""
+          }`
+        )
+      );
+
+    this.sources
+      .filter(
+        (source) =>
+          source.required && sources[source.name]?.status === "unavailable"
+      )
+      .forEach((source) =>
+        report(
+          "degraded",
+          "sources",
+          `Required source ${source.name} has no data`
+        )
+      );
+
+    // Stale sources still feed the model, but with outdated data
+    const withData = Object.values(sources).filter(
+      (health) => health.status !== "unavailable"
+    );
+    if (
+      withData.length > 0 &&
+      withData.every((health) => health.status === "stale")
+    ) {
+      report("unhealthy", "sources", "Every source with data is stale");
+    }
+    this.sources
+      .filter((source) => sources[source.name]?.status === "stale")
+      .forEach((source) =>
+        report(
+          source.required ? "unhealthy" : "degraded",
+          "sources",
+          `${source.required ? "Required source" : "Source"} ${
+            source.name
+          } is stale (${describeStaleness(source, sources[source.name])})`
+        )
+      );
+
+    if (
+      this.maxConsecutiveFailures > 0 &&
+      pipeline.consecutive_failures >= this.maxConsecutiveFailures
+    ) {
+      report(
+        "unhealthy",
+        "pipeline",
+        `${pipeline.consecutive_failures} analyses in a row failed`
+      );
+    } else if (pipeline.consecutive_failures > 0) {
+      report(
+        "degraded",
+        "pipeline",
+        `Last ${pipeline.consecutive_failures} analysis run(s) failed`
+      );
+    }
+
+    const lastSuccess = Date.parse(pipeline.last_success_at);
+    if (
+      this.maxAnalysisAgeMs > 0 &&
+      !Number.isNaN(lastSuccess) &&
+      Date.now() - lastSuccess > this.maxAnalysisAgeMs
+    ) {
+      report(
+        "degraded",
+        "pipeline",
+        `Last successful analysis at ${pipeline.last_success_at} is older than ${this.maxAnalysisAgeMs} ms`
+      );
+    }
+
+    const severities = problems.map((problem) => problem.severity);
+    const status = severities.includes("unhealthy")
+      ? "unhealthy"
+      : severities.includes("starting")
+      ? "starting"
+      : severities.includes("degraded")
+      ? "degraded"
+      : "healthy";
+    return { status, problems };
+  }
+
+  /**
+   * Readiness report with the state of every dependency
+   * @returns {object}
+   */
+  getReadiness() {
+    const state = {
+      listeners: sanitize(this.getListenerStates()),
+      sources: this.getSourceHealth(),
+      pipeline: this.getPipelineState(),
+      providers: this.getProviders(),
+      startup: this.getStartupState(),
+    };
+    const { status, problems } = this.evaluate(state);
+
+    return {
+      status,
+      problems,
+      storage: {
+        backend: this.storage.name,
+        available: this.storage.isAvailable(),
+      },
+      llm_providers: state.providers,
+      listeners: state.listeners,
+      sources: state.sources,
+      startup: state.startup,
+      pipeline: state.pipeline,
+      schedule: this.getScheduleState(),
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
+
+module.exports = { HealthMonitor };
@@ -27,99 +27,220 @@ const helmet = require("helmet"); // Security headers middleware
 const rateLimit = require("express-rate-limit"); // Rate limiting middleware
 const compression = require("compression"); // Response compression middleware
 
-// Firebase Admin SDK for Firestore database operations
-const admin = require("firebase-admin");
-
-// HTTP client for making API requests to OpenRouter
-const axios = require("axios");
-
 // Cron job scheduler for automated analysis execution
 const cron = require("node-cron");
 
 // Event emitter for internal service communication
 const { EventEmitter } = require("events");
 
+// Run IDs for analyses started outside the job queue
+const crypto = require("crypto");
+
+// Validated service configuration from the environment and CONFIG_FILE
+const { describeConfig, loadConfig, parseList } = require("./config");
+
+// Structured logging with levels, redaction and run correlation IDs
+const {
+  configureLogging,
+  createLogger,
+  withLogContext,
+} = require("./logging/logger");
+
 // Custom prompt management system for AI analysis templates
 const PromptManager = require("./prompts/prompt-config");
 
+// Config-driven data source registry and prompt sections
+const {
+  getSourceTimestamp,
+  loadSourceRegistry,
+  renderSourceSections,
+} = require("./sources/registry");
+const {
+  aggregateSources,
+  formatAge,
+  getSourceStatus,
+} = require("./sources/aggregation");
+const { estimateTokens } = require("./prompts/token-budget");
+
+// Pluggable storage backends (Firestore, in-memory, local file)
+const { createStorage } = require("./storage");
+
+// Snapshot listeners that resubscribe with backoff after failures
+const { SupervisedListener } = require("./sources/supervised-listener");
+
+// Source data persisted on disk for restarts
+const { WarmStartCache } = require("./sources/warm-start-cache");
+
+// LLM provider chain (OpenRouter, OpenAI-compatible endpoints, stub)
+const { createProviderChain } = require("./providers");
+
+// Multi-model ensemble aggregation
+const { combineEnsembleResults } = require("./analysis/ensemble");
+
+// Threshold/delta alerting on analysis events
+const AlertManager = require("./alerts/alert-manager");
+const { createAlertChannels } = require("./alerts/channels");
+
+// Server-Sent Events stream of analyses and source updates
+const { EventStreamHub } = require("./streaming/event-stream");
+
+// Single-flight queue for analysis runs
+const { AnalysisJobQueue } = require("./jobs/job-queue");
+
+// Prometheus metrics for /metrics
+const { ServiceMetrics } = require("./metrics/service-metrics");
+
+// Liveness and readiness reports for the health endpoints
+const { HealthMonitor } = require("./health/health-monitor");
+
+// API key / JWT authentication, roles and audit log
+const { Authenticator } = require("./auth/authenticator");
+const { loadApiKeys } = require("./auth/api-keys");
+const { AuditLog } = require("./auth/audit-log");
+
+// Analysis history filters and pagination
+const {
+  buildHistoryQuery,
+  encodeCursor,
+  parseHistoryQuery,
+} = require("./analysis/history-query");
+
+// Bucketed score time series
+const {
+  TIMESERIES_INTERVALS,
+  buildTimeSeries,
+} = require("./analysis/timeseries");
+
+// Score distributions per prompt version
+const { summarizeVersion } = require("./analysis/prompt-comparison");
+
+// Input snapshot, prompt and raw responses stored next to each analysis
+const {
+  buildInputSnapshot,
+  buildProvenance,
+} = require("./analysis/provenance");
+
+// Replay of past analyses on their recorded input documents
+const {
+  diffAnalyses,
+  rebuildAggregatedData,
+  summarizeReplays,
+} = require("./analysis/replay");
+
+// Minimum input quality before an analysis is published
+const {
+  applyCertaintyCap,
+  createDataQualityPolicy,
+  evaluateDataQuality,
+} = require("./analysis/data-quality-policy");
+
+// Jump detection, confirmation re-runs and smoothing of published scores
+const { guardScore } = require("./analysis/score-guard");
+
+// Backtesting over historical source documents
+const {
+  SourceHistory,
+  buildTicks,
+  summarizeBacktest,
+} = require("./analysis/backtest");
+
+// JSON schema validation for AI responses
+const {
+  extractJson,
+  validateAnalysisResponse,
+} = require("./validation/analysis-schema");
+
 /**
- * Firebase Admin SDK Initialization
+ * Service Configuration
  *
- * Initializes Firebase Admin SDK using the service account key file.
- * This enables Firestore database operations for data aggregation and storage.
- * If initialization fails, the service continues to run without Firestore integration.
+ * Every setting (see config/settings.js) is read from the environment or the
+ * optional CONFIG_FILE and validated before anything else starts. Invalid
+ * settings stop the service with the list of problems.
  */
-let serviceAccount;
+let loadedConfig;
 try {
-  // Load Firebase service account credentials from JSON file
-  serviceAccount = require("./serviceAccountKey.json");
-
-  // Initialize Firebase Admin SDK with service account credentials
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount),
-  });
-
-  console.log("✅ [FIREBASE] Admin SDK initialized successfully");
+  loadedConfig = loadConfig();
 } catch (error) {
-  console.error("❌ [FIREBASE] Admin initialization failed:", error.message);
-  console.log("ℹ️ [FIREBASE] Service will run without Firestore integration");
+  createLogger("config").error("Invalid configuration", {
+    errors: error.errors || [error.message],
+  });
+  process.exit(1);
 }
+const CONFIG = loadedConfig.values;
+
+configureLogging({
+  level: CONFIG.LOG_LEVEL,
+  format: CONFIG.LOG_FORMAT,
+  maxStringLength: CONFIG.LOG_MAX_STRING_LENGTH,
+});
 
-// Get Firestore database instance (null if initialization failed)
-const db = admin.firestore ? admin.firestore() : null;
+// Loggers for the parts of the service defined in this file
+const log = {
+  server: createLogger("server"),
+  storage: createLogger("storage"),
+  sources: createLogger("sources"),
+  auth: createLogger("auth"),
+  listener: createLogger("listener"),
+  blackswan: createLogger("blackswan"),
+  shadow: createLogger("shadow"),
+  prompt: createLogger("prompt"),
+  ensemble: createLogger("ensemble"),
+  ai: createLogger("ai"),
+  replay: createLogger("replay"),
+  backtest: createLogger("backtest"),
+  api: createLogger("api"),
+  cron: createLogger("cron"),
+};
 
 /**
- * Service Configuration Object
+ * Storage Backend Initialization
  *
- * Centralized configuration for all service parameters including:
- * - Firestore collection mappings
- * - API endpoints and credentials
- * - Analysis scheduling and timeouts
- * - Server and security settings
+ * Creates the configured storage adapter. The Firestore backend initializes the
+ * Firebase Admin SDK; if that fails the service keeps running without storage.
  */
-const CONFIG = {
-  /**
-   * Firestore Collections Configuration
-   * Maps service names to their corresponding Firestore collection names.
-   * Note: Different collections use different timestamp field names for ordering.
-   */
-  COLLECTIONS: {
-    BTC_ETH: "crypto_analyses", // Bitcoin/Ethereum analysis data (uses 'createdAt' field)
-    MACRO: "macro_indicators_analysis", // Macro economic indicators (uses 'timestamp' field)
-    NEWS: "news_analysis", // News impact analysis (uses 'createdAt' field)
-    SENTIMENT: "sentiment_analysis", // Market sentiment data (uses 'timestamp' field)
-    BULL_PEAK: "bull-market-peak-indicators", // Bull market peak indicators (uses 'timestamp' field)
-  },
-
-  /**
-   * OpenRouter API Configuration
-   * Settings for AI analysis requests to OpenRouter service
-   */
-  OPENROUTER_API_KEY: process.env.OPENROUTER_API_KEY, // API key from environment variables
-  OPENROUTER_URL: "https://openrouter.ai/api/v1/chat/completions", // OpenRouter API endpoint
-  MODEL: "openai/gpt-5-mini", // AI model to use for analysis
-
-  /**
-   * Analysis Configuration
-   * Controls the frequency and behavior of automated analysis
-   */
-  ANALYSIS_INTERVAL: "0 * * * *", // Cron expression: Every hour at minute 0
-  REQUEST_TIMEOUT: 120000, // 2 minutes timeout for AI requests
+const storage = createStorage({
+  backend: CONFIG.STORAGE_BACKEND,
+  serviceAccountPath: CONFIG.SERVICE_ACCOUNT_PATH,
+  filePath: CONFIG.STORAGE_FILE,
+  seedFile: CONFIG.STORAGE_SEED_FILE,
+});
+log.storage.info("Storage backend selected", { backend: storage.name });
 
-  /**
-   * Firestore Storage Configuration
-   * Collection name for storing Black Swan analysis results
-   */
-  BLACKSWAN_COLLECTION: "blackswan_analyses",
+/**
+ * Source Registry Initialization
+ *
+ * Loads the registered data sources. An unreadable or invalid registry stops
+ * the service at startup rather than producing analyses with missing inputs.
+ */
+let sources;
+try {
+  sources = loadSourceRegistry(
+    CONFIG.SOURCES_CONFIG_FILE,
+    CONFIG.SOURCE_MAX_AGE_MS
+  );
+} catch (error) {
+  log.sources.error("Invalid source registry", { error: error.message });
+  process.exit(1);
+}
+log.sources.info("Sources registered", {
+  file: CONFIG.SOURCES_CONFIG_FILE,
+  sources: sources.map((source) => source.name),
+});
 
-  /**
-   * Server Configuration
-   * HTTP server and security settings
-   */
-  PORT: process.env.PORT || 8090, // Server port (default: 8090)
-  RATE_LIMIT_WINDOW: 15 * 60 * 1000, // Rate limit window: 15 minutes
-  RATE_LIMIT_MAX: 100, // Maximum requests per window
-};
+/**
+ * Data Quality Policy
+ *
+ * Checks every run's inputs before analysis; required sources must be
+ * registered, so a typo stops the service at startup.
+ */
+const dataQualityPolicy = createDataQualityPolicy({
+  action: CONFIG.DATA_QUALITY_ACTION,
+  requiredSources: CONFIG.DATA_QUALITY_REQUIRED_SOURCES,
+  minSources: CONFIG.DATA_QUALITY_MIN_SOURCES,
+  maxStaleSources: CONFIG.DATA_QUALITY_MAX_STALE_SOURCES,
+  certaintyCap: CONFIG.DATA_QUALITY_CERTAINTY_CAP,
+  sources,
+});
 
 /**
  * Express Application Setup
@@ -135,13 +256,13 @@ const app = express();
  * Sets up essential middleware for security, performance, and request handling
  */
 // Security middleware - adds various HTTP headers for security
-app.use(helmet());
+if (CONFIG.ENABLE_HELMET) app.use(helmet());
 
 // CORS middleware - enables cross-origin requests
-app.use(cors());
+if (CONFIG.ENABLE_CORS) app.use(cors());
 
 // Compression middleware - compresses response bodies
-app.use(compression());
+if (CONFIG.ENABLE_COMPRESSION) app.use(compression());
 
 // JSON parsing middleware - parses JSON request bodies (max 10MB)
 app.use(express.json({ limit: "10mb" }));
@@ -155,8 +276,8 @@ app.use(express.urlencoded({ extended: true, limit: "10mb" }));
  * Implements rate limiting to prevent abuse and ensure service stability
  */
 const limiter = rateLimit({
-  windowMs: CONFIG.RATE_LIMIT_WINDOW, // Time window: 15 minutes
-  max: CONFIG.RATE_LIMIT_MAX, // Maximum requests per window: 100
+  windowMs: CONFIG.RATE_LIMIT_WINDOW, // Time window (default: 15 minutes)
+  max: CONFIG.RATE_LIMIT_MAX, // Maximum requests per window (default: 100)
   message: {
     error: "Too many requests",
     retryAfter: Math.ceil(CONFIG.RATE_LIMIT_WINDOW / 1000), // Retry after in seconds
@@ -164,6 +285,53 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
+/**
+ * Authentication Configuration
+ *
+ * Routes declare the role they need with `auth.requireRole(...)`. Readers can
+ * query analyses; operators can additionally trigger runs, replay analyses
+ * and read the service configuration. Each caller has its own rate limit.
+ * An unreadable keys file, or authentication enabled without any credentials
+ * (which would reject every request), stops the service at startup.
+ */
+let apiKeys;
+try {
+  apiKeys = loadApiKeys(CONFIG.API_KEYS_FILE);
+} catch (error) {
+  log.auth.error("Invalid API keys file", { error: error.message });
+  process.exit(1);
+}
+
+const auth = new Authenticator({
+  enabled: CONFIG.AUTH_ENABLED,
+  apiKeys,
+  jwt: {
+    secret: CONFIG.AUTH_JWT_SECRET,
+    issuer: CONFIG.AUTH_JWT_ISSUER,
+    audience: CONFIG.AUTH_JWT_AUDIENCE,
+  },
+  rateLimits: {
+    reader: CONFIG.AUTH_READER_RATE_LIMIT,
+    operator: CONFIG.AUTH_OPERATOR_RATE_LIMIT,
+  },
+  windowMs: CONFIG.AUTH_RATE_LIMIT_WINDOW_MS,
+});
+
+if (!CONFIG.AUTH_ENABLED) {
+  log.auth.warn("Authentication disabled, the API is open to anyone");
+} else if (!auth.hasCredentials()) {
+  log.auth.error(
+    "Authentication enabled without credentials, set API_KEYS_FILE or AUTH_JWT_SECRET (or AUTH_ENABLED=false)"
+  );
+  process.exit(1);
+}
+
+// Audit log of operator actions
+const auditLog = new AuditLog({
+  storage,
+  collection: CONFIG.AUDIT_COLLECTION,
+});
+
 /**
  * Event Emitter for Internal Communication
  *
@@ -177,7 +345,9 @@ const eventEmitter = new EventEmitter();
  *
  * This service manages real-time data collection from multiple Firestore collections
  * using snapshot listeners. It maintains the latest data from each source and
- * provides aggregated data for Black Swan analysis.
+ * provides aggregated data for Black Swan analysis. Listeners go through the
+ * configured storage adapter, so the same collections can be served by Firestore
+ * or by a local in-memory/file store.
  *
  * Key Responsibilities:
  * - Setup and manage Firestore snapshot listeners
@@ -189,28 +359,122 @@ const eventEmitter = new EventEmitter();
 class FirestoreDataAggregationService {
   /**
    * Constructor - Initializes the data aggregation service
+   *
+   * @param {Object} storage - Storage adapter providing snapshot listeners
+   * @param {EventEmitter} events - Emitter for sourceUpdated/sourceUnavailable events
+   * @param {Array<Object>} sources - Source definitions from the source registry
+   * @param {Object} [options]
+   * @param {WarmStartCache|null} [options.cache] - Warm-start cache (null to disable)
+   * @param {number} [options.startupTimeoutMs] - Longest wait for the initial
+   *   snapshots before the service counts as ready anyway (0 = do not wait)
    */
-  constructor() {
-    // Storage for latest data from each service
-    this.latestData = {
-      BTC_ETH: null, // Bitcoin/Ethereum analysis data
-      MACRO: null, // Macro economic indicators
-      NEWS: null, // News impact analysis
-      SENTIMENT: null, // Market sentiment data
-      BULL_PEAK: null, // Bull market peak indicators
-    };
+  constructor(
+    storage,
+    events,
+    sources,
+    { cache = null, startupTimeoutMs = 0 } = {}
+  ) {
+    // Storage backend used for all listeners
+    this.storage = storage;
+
+    // Emitter notified whenever a source updates or becomes unavailable
+    this.events = events;
+
+    // Registered data sources
+    this.sources = sources;
+
+    // Storage for latest data from each registered source
+    this.latestData = Object.fromEntries(
+      sources.map((source) => [source.name, null])
+    );
 
     // Storage for historical Black Swan analyses (last 5)
     this.historicalAnalyses = [];
 
-    // Registry of active Firestore listeners for cleanup
+    // Supervised listeners (resubscribed with backoff on failure) for cleanup
     this.listeners = {};
 
+    // Connection state of each listener, for the health endpoints
+    this.listenerStates = {};
+
+    // Warm-start cache, and the sources whose data was restored from it and
+    // has not been confirmed by a live snapshot yet
+    this.cache = cache;
+    this.cachedSources = new Set();
+    this.warmStart = { saved_at: null, restored: [] };
+
+    // Startup barrier: resolved once every listener delivered its first
+    // snapshot, or when startupTimeoutMs passes
+    this.startupTimeoutMs = startupTimeoutMs;
+    this.startup = {
+      started_at: new Date().toISOString(),
+      ready_at: null,
+      timed_out: false,
+    };
+    this.pendingListeners = new Set();
+    this.startupTimer = null;
+    this.ready = new Promise((resolve) => {
+      this.resolveReady = resolve;
+    });
+
     // Initialization status flag
     this.isInitialized = false;
+  }
 
-    // Initialize all Firestore listeners
+  /**
+   * Restore last-known data, then initialize all Firestore listeners
+   *
+   * Called by the server only: scripts (replay, backtest) read storage
+   * directly and must not subscribe to sources or touch the warm-start
+   * cache file of a running service.
+   */
+  start() {
+    this.startup.started_at = new Date().toISOString();
+    this.restoreWarmStart();
     this.initializeListeners();
+    this.startStartupBarrier();
+  }
+
+  /**
+   * Restore source data and historical analyses from the warm-start cache
+   *
+   * Restored documents are reported as stale until their listener delivers
+   * a live snapshot, so a run that starts before then records it in its
+   * data quality.
+   */
+  restoreWarmStart() {
+    const cached = this.cache?.load();
+    if (!cached) return;
+
+    this.sources.forEach((source) => {
+      const data = cached.sources[source.name];
+      if (!data) return;
+      this.latestData[source.name] = data;
+      this.cachedSources.add(source.name);
+    });
+    this.historicalAnalyses = cached.historical;
+    this.warmStart = {
+      saved_at: cached.saved_at,
+      restored: [...this.cachedSources],
+    };
+
+    log.listener.info("Restored source data from warm-start cache", {
+      saved_at: cached.saved_at,
+      sources: this.warmStart.restored,
+      historical: cached.historical.length,
+    });
+  }
+
+  /**
+   * Schedule a write of the current source data to the warm-start cache
+   */
+  saveWarmStart() {
+    this.cache?.schedule(() => ({
+      sources: Object.fromEntries(
+        Object.entries(this.latestData).filter(([, data]) => data)
+      ),
+      historical: this.historicalAnalyses,
+    }));
   }
 
   /**
@@ -221,217 +485,357 @@ class FirestoreDataAggregationService {
    * and updates the local data cache when changes occur.
    */
   initializeListeners() {
-    // Check if Firestore is available
-    if (!db) {
-      console.warn(
-        "⚠️ [FIRESTORE] Database not available, cannot initialize listeners"
-      );
+    // Check if storage is available
+    if (!this.storage.isAvailable()) {
+      log.listener.warn("Storage not available, cannot initialize listeners");
       return;
     }
 
-    console.log(
-      "🔄 [FIRESTORE] Initializing snapshot listeners for all collections"
-    );
+    log.listener.info("Initializing snapshot listeners", {
+      backend: this.storage.name,
+    });
 
-    // Setup listeners for each configured collection
-    Object.entries(CONFIG.COLLECTIONS).forEach(
-      ([serviceName, collectionName]) => {
-        this.setupCollectionListener(serviceName, collectionName);
-      }
-    );
+    // Listeners may deliver while they are set up, so every listener is
+    // registered with the startup barrier first
+    this.sources.forEach((source) => this.pendingListeners.add(source.name));
+    this.pendingListeners.add("HISTORICAL");
+
+    // Setup a listener for each registered source
+    this.sources.forEach((source) => this.setupSourceListener(source));
 
     // Setup listener for historical Black Swan analyses
     this.setupHistoricalAnalysesListener();
 
-    // Setup listener for Bull Market Peak Indicators latest document
-    this.setupBullPeakLatestListener();
-
     // Mark service as initialized
     this.isInitialized = true;
   }
 
   /**
-   * Get the correct timestamp field name for a collection
-   *
-   * Different Firestore collections use different field names for timestamps.
-   * This method returns the appropriate field name for ordering documents.
-   *
-   * @param {string} collectionName - Name of the Firestore collection
-   * @returns {string} The timestamp field name to use for ordering
+   * Start the startup timeout, or resolve the barrier right away when there
+   * is nothing to wait for
    */
-  getTimestampField(collectionName) {
-    // Collections that use 'createdAt' field for timestamps
-    if (
-      collectionName === "crypto_analyses" ||
-      collectionName === "news_analysis"
-    ) {
-      return "createdAt";
+  startStartupBarrier() {
+    if (this.pendingListeners.size === 0 || this.startupTimeoutMs === 0) {
+      this.markReady(false);
+      return;
     }
 
-    // Collections that use 'timestamp' field for timestamps
-    if (
-      collectionName === "sentiment_analysis" ||
-      collectionName === "macro_indicators_analysis"
-    ) {
-      return "timestamp";
-    }
+    log.listener.info("Waiting for initial snapshots", {
+      listeners: [...this.pendingListeners],
+      timeout_ms: this.startupTimeoutMs,
+    });
+    this.startupTimer = setTimeout(() => {
+      log.listener.warn(
+        "Startup timeout passed before every initial snapshot",
+        {
+          waiting_for: [...this.pendingListeners],
+          cached: [...this.cachedSources],
+          timeout_ms: this.startupTimeoutMs,
+        }
+      );
+      this.markReady(true);
+    }, this.startupTimeoutMs);
+    // The barrier should not keep scripts alive
+    this.startupTimer.unref?.();
+  }
 
-    // Default fallback to 'timestamp'
-    return "timestamp";
+  /**
+   * Record a listener's first snapshot for the startup barrier
+   *
+   * @param {string} listener - Source name, or 'HISTORICAL'
+   */
+  markDelivered(listener) {
+    if (!this.pendingListeners.delete(listener)) return;
+    if (this.pendingListeners.size === 0 && this.isInitialized) {
+      this.markReady(false);
+    }
   }
 
   /**
-   * Setup listener for Bull Market Peak Indicators latest document
+   * Resolve the startup barrier
    *
-   * This method sets up a snapshot listener for the "latest" document in the
-   * bull-market-peak-indicators collection. This document contains the most
-   * recent bull market peak indicator data.
+   * @param {boolean} timedOut - Whether the timeout passed first
    */
-  setupBullPeakLatestListener() {
-    try {
-      console.log(
-        `📡 [LISTENER] Setting up listener for Bull Market Peak Indicators (latest)`
-      );
+  markReady(timedOut) {
+    if (this.startup.ready_at) return;
+    clearTimeout(this.startupTimer);
+
+    this.startup.ready_at = new Date().toISOString();
+    this.startup.timed_out = timedOut;
+    log.listener.info("Aggregator ready", {
+      duration_ms:
+        Date.parse(this.startup.ready_at) - Date.parse(this.startup.started_at),
+      timed_out: timedOut,
+      cached: [...this.cachedSources],
+    });
+    this.resolveReady(this.getStartupState());
+  }
 
-      // Reference to the "latest" document in bull-market-peak-indicators collection
-      const latestRef = db
-        .collection("bull-market-peak-indicators")
-        .doc("latest");
-
-      // Setup snapshot listener for the latest document
-      const unsubscribe = latestRef.onSnapshot(
-        (doc) => {
-          if (doc.exists) {
-            // Document exists - update local data cache
-            const data = { id: doc.id, ...doc.data() };
-            this.latestData.BULL_PEAK = data;
-
-            // Extract timestamp for logging (try multiple possible field names)
-            const ts = data?.timestamp || data?.collected_at || null;
-            console.log(
-              `✅ [LISTENER] Updated BULL_PEAK latest (${ts || "no timestamp"})`
-            );
-          } else {
-            // Document doesn't exist - clear local data
-            console.warn(
-              `⚠️ [LISTENER] No latest Bull Market Peak Indicators document`
-            );
-            this.latestData.BULL_PEAK = null;
-          }
-        },
-        (error) => {
-          // Error in listener - log error and clear data
-          console.error(
-            `❌ [LISTENER] Error in BULL_PEAK listener:`,
-            error.message
-          );
-          this.latestData.BULL_PEAK = null;
-        }
-      );
+  /**
+   * Wait for the startup barrier
+   * @returns {Promise<Object>} Startup state once ready
+   */
+  whenReady() {
+    return this.ready;
+  }
 
-      // Store unsubscribe function for cleanup
-      this.listeners["BULL_PEAK"] = unsubscribe;
-    } catch (error) {
-      console.error(
-        `❌ [LISTENER] Failed to setup BULL_PEAK listener:`,
-        error.message
-      );
-    }
+  /**
+   * Startup barrier and warm-start state
+   * @returns {Object} { ready, started_at, ready_at, timed_out, timeout_ms,
+   *   waiting_for, warm_start: { enabled, saved_at, restored, cached } }
+   */
+  getStartupState() {
+    return {
+      ready: this.startup.ready_at !== null,
+      ...this.startup,
+      timeout_ms: this.startupTimeoutMs,
+      waiting_for: [...this.pendingListeners],
+      warm_start: {
+        enabled: !!this.cache,
+        ...this.warmStart,
+        cached: [...this.cachedSources],
+      },
+    };
   }
 
   /**
-   * Get timestamp value from data regardless of field name
+   * Setup a snapshot listener for a registered source
    *
-   * Extracts and normalizes timestamp values from Firestore documents.
-   * Handles both Firestore Timestamp objects and ISO string formats.
+   * Sources with a `document` listen to that fixed document (e.g. the
+   * "latest" bull market peak document); all others listen to the latest
+   * document of their collection, ordered by the first timestamp field.
+   * A failed listener keeps its last-known-good document (reported as stale)
+   * and is resubscribed with backoff. Every snapshot replaces data restored
+   * from the warm-start cache and is written back to it.
    *
-   * @param {Object} data - Firestore document data
-   * @param {string} collectionName - Name of the collection (for field name lookup)
-   * @returns {string|null} Normalized timestamp as ISO string or null
+   * @param {Object} source - Source definition from the registry
    */
-  getTimestampValue(data, collectionName) {
-    if (!data) return null;
+  setupSourceListener(source) {
+    const serviceName = source.name;
 
-    // Get the correct timestamp field name for this collection
-    const timestampField = this.getTimestampField(collectionName);
-    const value = data[timestampField];
+    // Latest document received - update local data cache
+    const onData = (data) => {
+      this.markListener(serviceName, "connected");
+      this.cachedSources.delete(serviceName);
+      if (data) {
+        this.latestData[serviceName] = data;
+
+        // Extract and log timestamp for monitoring
+        const timestampValue = getSourceTimestamp(data, source);
+        log.listener.info("Source data updated", {
+          source: serviceName,
+          document_id: data.id,
+          data_timestamp: timestampValue || null,
+        });
+        this.emitSourceUpdated(serviceName, data, timestampValue);
+      } else {
+        // No document - clear local data
+        log.listener.warn("No data found for source", { source: serviceName });
+        this.latestData[serviceName] = null;
+        this.emitSourceUnavailable(
+          serviceName,
+          source.document ? "No document found" : "No documents found"
+        );
+      }
+      this.saveWarmStart();
+    };
 
-    // Handle Firestore Timestamp objects (convert to ISO string)
-    if (value && typeof value.toDate === "function") {
-      return value.toDate().toISOString();
+    if (source.document) {
+      log.listener.info("Setting up source listener", {
+        source: serviceName,
+        collection: source.collection,
+        document: source.document,
+      });
+    } else {
+      log.listener.info("Setting up source listener", {
+        source: serviceName,
+        collection: source.collection,
+        order_by: source.timestampFields[0],
+      });
     }
 
-    // Handle ISO strings or other formats (return as-is)
-    return value || null;
+    this.superviseListener(serviceName, {
+      subscribe: (onSnapshot, onError) =>
+        source.document
+          ? this.storage.subscribeDocument(
+              source.collection,
+              source.document,
+              onSnapshot,
+              onError
+            )
+          : this.storage.subscribeQuery(
+              source.collection,
+              {
+                orderBy: source.timestampFields[0], // Order by timestamp descending
+                direction: "desc",
+                limit: 1, // Get only the latest document
+              },
+              (docs) => onSnapshot(docs[0] || null),
+              onError
+            ),
+      onSnapshot: onData,
+      onError: (error) =>
+        this.emitSourceUnavailable(
+          serviceName,
+          `Listener reconnecting: ${error.message}`
+        ),
+    });
   }
 
   /**
-   * Setup a snapshot listener for a specific collection
+   * Start a supervised listener
    *
-   * Creates a real-time listener for a Firestore collection that monitors
-   * the latest document based on timestamp ordering.
+   * Failures are logged, recorded in the listener state and emitted as
+   * listenerError; the listener is then resubscribed after an exponential
+   * backoff (LISTENER_RETRY_INITIAL_MS doubling up to LISTENER_RETRY_MAX_MS).
+   * Cached data is left in place while reconnecting.
    *
-   * @param {string} serviceName - Internal service name (e.g., 'BTC_ETH', 'MACRO')
-   * @param {string} collectionName - Firestore collection name
+   * @param {string} name - Source name, or 'HISTORICAL'
+   * @param {Object} handlers
+   * @param {Function} handlers.subscribe - (onSnapshot, onError) => unsubscribe
+   * @param {Function} handlers.onSnapshot - Receives every snapshot
+   * @param {Function} [handlers.onError] - Extra handling after a failure
    */
-  setupCollectionListener(serviceName, collectionName) {
-    try {
-      // Get the correct timestamp field name for this collection
-      const timestampField = this.getTimestampField(collectionName);
+  superviseListener(name, { subscribe, onSnapshot, onError = () => {} }) {
+    this.markListener(name, "connecting");
+
+    const listener = new SupervisedListener({
+      subscribe,
+      onSnapshot: (snapshot) => {
+        if (this.listenerStates[name]?.status === "reconnecting") {
+          log.listener.info("Listener reconnected", {
+            listener: name,
+            reconnects: listener.reconnects,
+          });
+        }
+        onSnapshot(snapshot);
+        this.markDelivered(name);
+      },
+      onError: (error, { attempt, delayMs }) => {
+        log.listener.error("Listener failed, resubscribing after backoff", {
+          listener: name,
+          error: error.message,
+          attempt,
+          retry_in_ms: delayMs,
+        });
+        this.markListener(name, "reconnecting", error);
+        this.emitListenerError(name, error);
+        onError(error);
+      },
+      onReconnect: (attempt) => {
+        log.listener.info("Resubscribing listener", {
+          listener: name,
+          attempt,
+        });
+        this.events?.emit("listenerReconnect", {
+          listener: name,
+          attempt,
+          timestamp: new Date().toISOString(),
+        });
+      },
+      initialDelayMs: CONFIG.LISTENER_RETRY_INITIAL_MS,
+      maxDelayMs: CONFIG.LISTENER_RETRY_MAX_MS,
+    });
 
-      console.log(
-        `📡 [LISTENER] Setting up listener for ${serviceName} (${collectionName}) using ${timestampField} field`
-      );
+    this.listeners[name] = listener;
+    listener.start();
+  }
 
-      // Create snapshot listener for the latest document in the collection
-      const unsubscribe = db
-        .collection(collectionName)
-        .orderBy(timestampField, "desc") // Order by timestamp descending
-        .limit(1) // Get only the latest document
-        .onSnapshot(
-          (snapshot) => {
-            if (!snapshot.empty) {
-              // Document exists - update local data cache
-              const doc = snapshot.docs[0];
-              const data = { id: doc.id, ...doc.data() };
-              this.latestData[serviceName] = data;
-
-              // Extract and log timestamp for monitoring
-              const timestampValue = this.getTimestampValue(
-                data,
-                collectionName
-              );
-              console.log(
-                `✅ [LISTENER] Updated ${serviceName} data (${
-                  timestampValue || "no timestamp"
-                })`
-              );
-            } else {
-              // No documents in collection - clear local data
-              console.warn(
-                `⚠️ [LISTENER] No data found in ${serviceName} collection`
-              );
-              this.latestData[serviceName] = null;
-            }
-          },
-          (error) => {
-            // Error in listener - log error and clear data
-            console.error(
-              `❌ [LISTENER] Error in ${serviceName} listener:`,
-              error.message
-            );
-            this.latestData[serviceName] = null;
-          }
-        );
+  /**
+   * Record a listener's connection state
+   *
+   * Snapshots mark the listener connected and update its last update time;
+   * the last error is kept after the listener recovers.
+   *
+   * @param {string} listener - Source name, or 'HISTORICAL'
+   * @param {string} status - 'connecting', 'connected', 'reconnecting' or 'closed'
+   * @param {Error} [error] - Listener error
+   */
+  markListener(listener, status, error) {
+    const previous = this.listenerStates[listener];
+    const now = new Date().toISOString();
+
+    this.listenerStates[listener] = {
+      status,
+      last_update: status === "connected" ? now : previous?.last_update || null,
+      last_error: error ? error.message : previous?.last_error || null,
+      last_error_at: error ? now : previous?.last_error_at || null,
+    };
+  }
 
-      // Store unsubscribe function for cleanup
-      this.listeners[serviceName] = unsubscribe;
-    } catch (error) {
-      console.error(
-        `❌ [LISTENER] Failed to setup listener for ${serviceName}:`,
-        error.message
-      );
-    }
+  /**
+   * Connection and reconnection state of every listener
+   * @returns {Object} { [listener]: { status, last_update, last_error,
+   *   last_error_at, reconnects, consecutive_failures, next_retry_at } }
+   */
+  getListenerStates() {
+    return Object.fromEntries(
+      Object.entries(this.listenerStates).map(([name, state]) => [
+        name,
+        {
+          ...state,
+          ...(this.listeners[name]?.getState() || {
+            reconnects: 0,
+            consecutive_failures: 0,
+            next_retry_at: null,
+          }),
+        },
+      ])
+    );
+  }
+
+  /**
+   * Sources whose listener is resubscribing after a failure
+   * @returns {Array<string>} Source names
+   */
+  getReconnectingSources() {
+    return this.sources
+      .map((source) => source.name)
+      .filter((name) => this.listenerStates[name]?.status === "reconnecting");
+  }
+
+  /**
+   * Notify subscribers that a source delivered a new document
+   *
+   * @param {string} serviceName - Internal service name
+   * @param {Object} data - Latest document
+   * @param {string|null} timestamp - Document timestamp
+   */
+  emitSourceUpdated(serviceName, data, timestamp) {
+    this.events?.emit("sourceUpdated", {
+      service: serviceName,
+      document_id: data.id,
+      data_timestamp: timestamp || null,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Notify subscribers that a source has no usable data
+   *
+   * @param {string} serviceName - Internal service name
+   * @param {string} reason - Why the source is unavailable
+   */
+  emitSourceUnavailable(serviceName, reason) {
+    this.events?.emit("sourceUnavailable", {
+      service: serviceName,
+      reason,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Notify subscribers that a listener failed
+   *
+   * @param {string} listener - Source name, or 'HISTORICAL'
+   * @param {Error} error - Listener error
+   */
+  emitListenerError(listener, error) {
+    this.events?.emit("listenerError", {
+      listener,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
   }
 
   /**
@@ -442,49 +846,35 @@ class FirestoreDataAggregationService {
    * trends and changes over time.
    */
   setupHistoricalAnalysesListener() {
-    try {
-      console.log(
-        `📡 [LISTENER] Setting up listener for historical blackswan analyses (${CONFIG.BLACKSWAN_COLLECTION})`
-      );
+    log.listener.info("Setting up historical analyses listener", {
+      collection: CONFIG.BLACKSWAN_COLLECTION,
+    });
 
-      // Create snapshot listener for the last 5 analyses
-      const unsubscribe = db
-        .collection(CONFIG.BLACKSWAN_COLLECTION)
-        .orderBy("timestamp", "desc") // Order by timestamp descending
-        .limit(5) // Get last 5 analyses
-        .onSnapshot(
-          (snapshot) => {
-            // Clear existing historical data
-            this.historicalAnalyses = [];
-
-            // Process each document in the snapshot
-            snapshot.forEach((doc) => {
-              const data = { id: doc.id, ...doc.data() };
-              this.historicalAnalyses.push(data);
-            });
-
-            console.log(
-              `✅ [LISTENER] Updated historical analyses (${this.historicalAnalyses.length} records)`
-            );
+    // Snapshot listener for the last 5 analyses; the last snapshot is kept
+    // while the listener reconnects
+    this.superviseListener("HISTORICAL", {
+      subscribe: (onSnapshot, onError) =>
+        this.storage.subscribeQuery(
+          CONFIG.BLACKSWAN_COLLECTION,
+          {
+            orderBy: "timestamp", // Order by timestamp descending
+            direction: "desc",
+            limit: 5, // Get last 5 analyses
           },
-          (error) => {
-            // Error in listener - log error and clear data
-            console.error(
-              `❌ [LISTENER] Error in historical analyses listener:`,
-              error.message
-            );
-            this.historicalAnalyses = [];
-          }
-        );
-
-      // Store unsubscribe function for cleanup
-      this.listeners["HISTORICAL"] = unsubscribe;
-    } catch (error) {
-      console.error(
-        `❌ [LISTENER] Failed to setup historical analyses listener:`,
-        error.message
-      );
-    }
+          onSnapshot,
+          onError
+        ),
+      onSnapshot: (docs) => {
+        // Replace historical data with the latest snapshot
+        this.historicalAnalyses = docs;
+        this.markListener("HISTORICAL", "connected");
+        this.saveWarmStart();
+
+        log.listener.info("Historical analyses updated", {
+          records: this.historicalAnalyses.length,
+        });
+      },
+    });
   }
 
   /**
@@ -492,90 +882,64 @@ class FirestoreDataAggregationService {
    *
    * Collects and aggregates data from all active Firestore listeners,
    * providing a comprehensive view of the current state of all data sources.
-   * Includes data quality metrics and service status information.
+   * Includes data quality metrics and service status information. Sources whose
+   * latest document is older than the source's maxAgeMs are reported as
+   * 'stale': their data is still included, together with its age.
    *
    * @returns {Object} Aggregated data object with services, quality metrics, and historical data
    */
   getCurrentAggregatedData() {
-    const startTime = Date.now();
-
-    // Initialize aggregated data structure
-    const aggregatedData = {
-      timestamp: new Date().toISOString(), // Current timestamp
-      collection_duration_ms: Date.now() - startTime, // Time taken to collect data
-      services: {}, // Data from each service
-      historical_analyses: this.historicalAnalyses, // Historical Black Swan analyses
-      data_quality: {
-        total_services: 5, // Total number of services
-        successful_services: 0, // Services with valid data
-        failed_services: 0, // Services without data
-        service_status: {}, // Status of each service
-      },
-    };
-
-    // Process current data from all listeners
-    Object.entries(this.latestData).forEach(([serviceName, data]) => {
-      const collectionName = CONFIG.COLLECTIONS[serviceName];
-      const timestampValue = this.getTimestampValue(data, collectionName);
-
-      // Debug logging for troubleshooting
-      if (data) {
-        const timestampField = this.getTimestampField(collectionName);
-        console.log(
-          `🔍 [DEBUG] ${serviceName}: field=${timestampField}, value=${timestampValue}, hasData=${!!data}`
-        );
-      }
-
-      // Check if service has valid data with timestamp
-      if (data && timestampValue) {
-        // Service has valid data
-        aggregatedData.services[serviceName] = {
-          status: "success",
-          data: data,
-          service: serviceName,
-          timestamp: timestampValue,
-        };
-        aggregatedData.data_quality.successful_services++;
-        aggregatedData.data_quality.service_status[serviceName] = "available";
-      } else {
-        // Service has no data or invalid timestamp
-        aggregatedData.services[serviceName] = {
-          status: "failed",
-          error: data ? "No timestamp found" : "No data available",
-          service: serviceName,
-        };
-        aggregatedData.data_quality.failed_services++;
-        aggregatedData.data_quality.service_status[serviceName] = "unavailable";
-      }
+    return aggregateSources({
+      sources: this.sources,
+      latestData: this.latestData,
+      historicalAnalyses: this.historicalAnalyses,
+      reconnecting: this.getReconnectingSources(),
+      cached: [...this.cachedSources],
     });
+  }
 
-    // Log data quality summary
-    console.log(
-      `📊 [AGGREGATION] ${aggregatedData.data_quality.successful_services}/${aggregatedData.data_quality.total_services} services have data`
+  /**
+   * Status and data age of every source, without aggregating the data
+   *
+   * @returns {Object} { [source]: { status, timestamp, age_ms } }
+   */
+  getSourceHealth() {
+    const now = Date.now();
+    const reconnecting = this.getReconnectingSources();
+    return Object.fromEntries(
+      this.sources.map((source) => [
+        source.name,
+        getSourceStatus(source, this.latestData[source.name], now, {
+          reconnecting: reconnecting.includes(source.name),
+          cached: this.cachedSources.has(source.name),
+        }),
+      ])
     );
-
-    return aggregatedData;
   }
 
   /**
    * Cleanup all listeners
    *
    * Removes all active Firestore snapshot listeners to prevent memory leaks
-   * and ensure graceful shutdown. This method should be called when the
+   * and ensure graceful shutdown, and writes any pending warm-start cache
+   * update. This method should be called when the
    * service is shutting down.
    */
   cleanup() {
-    console.log("🧹 [CLEANUP] Removing all Firestore listeners");
+    log.listener.info("Removing all snapshot listeners");
 
-    // Unsubscribe from all active listeners
-    Object.values(this.listeners).forEach((unsubscribe) => {
-      if (typeof unsubscribe === "function") {
-        unsubscribe();
-      }
-    });
+    // Unsubscribe from all active listeners and cancel pending retries
+    Object.values(this.listeners).forEach((listener) => listener.stop());
+    clearTimeout(this.startupTimer);
+
+    // Write pending warm-start data before the process exits
+    this.cache?.flush();
 
     // Clear the listeners registry
     this.listeners = {};
+    Object.keys(this.listenerStates).forEach((listener) =>
+      this.markListener(listener, "closed")
+    );
   }
 }
 
@@ -597,13 +961,67 @@ class FirestoreDataAggregationService {
 class BlackSwanAnalysisService {
   /**
    * Constructor - Initializes the Black Swan analysis service
+   *
+   * @param {Object} storage - Storage adapter for source data and analysis history
    */
-  constructor() {
+  constructor(storage) {
+    // Storage backend for analysis results and history
+    this.storage = storage;
+
+    // Generation details (prompt, raw responses, inputs) of results that
+    // have not been stored yet, keyed by result object
+    this.generations = new WeakMap();
+
     // Initialize prompt management system for AI analysis templates
     this.promptManager = new PromptManager();
+    this.promptManager.setDefaultVersion(CONFIG.PROMPT_VERSION);
+
+    // Warn early about prompt versions without a template file
+    const availableVersions = this.promptManager.getAvailableVersions();
+    [CONFIG.PROMPT_VERSION, ...CONFIG.SHADOW_PROMPT_VERSIONS]
+      .filter((version) => !availableVersions.includes(version))
+      .forEach((version) =>
+        log.prompt.warn("No template found for prompt version", { version })
+      );
+
+    // Initialize LLM provider chain with fallback
+    this.llm = createProviderChain({
+      providers: CONFIG.LLM_PROVIDERS,
+      openrouter: {
+        url: CONFIG.OPENROUTER_URL,
+        apiKey: CONFIG.OPENROUTER_API_KEY,
+      },
+      local: {
+        baseUrl: CONFIG.LOCAL_LLM_BASE_URL,
+        apiKey: CONFIG.LOCAL_LLM_API_KEY,
+        model: CONFIG.LOCAL_LLM_MODEL,
+      },
+      stub: { responseFile: CONFIG.STUB_RESPONSE_FILE },
+      timeout: CONFIG.REQUEST_TIMEOUT,
+    });
 
     // Initialize data aggregation service for Firestore integration
-    this.dataAggregator = new FirestoreDataAggregationService();
+    this.dataAggregator = new FirestoreDataAggregationService(
+      storage,
+      eventEmitter,
+      sources,
+      {
+        cache: CONFIG.WARM_START_ENABLED
+          ? new WarmStartCache({ filePath: CONFIG.WARM_START_CACHE_FILE })
+          : null,
+        startupTimeoutMs: CONFIG.STARTUP_TIMEOUT_MS,
+      }
+    );
+  }
+
+  /**
+   * Start live data collection (source listeners and warm-start cache)
+   *
+   * Only needed for scheduled and triggered analyses; replays and backtests
+   * work on stored documents without it.
+   */
+  start() {
+    this.dataAggregator.start();
   }
 
   /**
@@ -611,60 +1029,320 @@ class BlackSwanAnalysisService {
    *
    * This is the main analysis method that orchestrates the entire Black Swan
    * risk assessment process. It follows a structured workflow to ensure
-   * comprehensive and reliable analysis.
+   * comprehensive and reliable analysis. Every log entry written during the
+   * run carries its run ID.
    *
+   * @param {Object} options
+   * @param {string} options.runId - Job ID of this run, recorded in the analysis metadata (default: a new UUID)
    * @returns {Object} Analysis result with success status, data, and metadata
    */
-  async performBlackSwanAnalysis() {
-    console.log("🦢 [BLACKSWAN] Starting Black Swan risk analysis");
-
-    try {
-      // Step 1: Get current data from Firestore listeners
-      const aggregatedData = this.dataAggregator.getCurrentAggregatedData();
-
-      // Step 2: Check if we have sufficient data for analysis
-      if (aggregatedData.data_quality.successful_services === 0) {
-        throw new Error("No data available from any service");
-      }
+  async performBlackSwanAnalysis({ runId = crypto.randomUUID() } = {}) {
+    return withLogContext({ run_id: runId }, async () => {
+      log.blackswan.info("Starting Black Swan risk analysis");
+      const startTime = Date.now();
+
+      // Pipeline stage currently running, reported when the run fails
+      let stage = "data";
+
+      try {
+        // Step 1: Get current data from Firestore listeners
+        const aggregatedData = this.dataAggregator.getCurrentAggregatedData();
+
+        // Step 2: Check if we have sufficient data for analysis, including
+        // every required source
+        this.checkDataAvailability(aggregatedData);
+
+        // Step 2b: Apply the data quality policy
+        this.applyDataQualityPolicy(aggregatedData);
+
+        // Step 3: Prepare data for AI analysis
+        stage = "prepare";
+        const analysisData = await this.prepareAnalysisData(aggregatedData);
+
+        // Step 4 & 5: Generate AI analysis using OpenRouter (single model or
+        // ensemble), then process and validate it. LLM, validation and ensemble
+        // errors carry their own stage.
+        stage = "generation";
+        const generate = () =>
+          this.generateAnalysis(analysisData, aggregatedData);
+
+        // Step 5b: Check the score against recent analyses (a flagged score
+        // may be re-generated once to confirm it)
+        const processedResults = await this.applyScoreGuard(
+          await generate(),
+          aggregatedData,
+          generate
+        );
 
-      // Step 3: Prepare data for AI analysis
-      const analysisData = await this.prepareAnalysisData(aggregatedData);
+        processedResults.analysis_metadata.run_id = runId;
 
-      // Step 4: Generate AI analysis using OpenRouter
-      const aiAnalysis = await this.generateAIAnalysis(analysisData);
+        // Step 6: Store analysis results in Firestore
+        stage = "storage";
+        const storageResult = await this.storeAnalysis(processedResults);
 
-      // Step 5: Process and validate AI results
-      const processedResults = await this.processAnalysisResults(
-        aiAnalysis,
-        aggregatedData
-      );
+        log.blackswan.info("Analysis completed", {
+          analysis_id: storageResult.documentId || null,
+          duration_ms: Date.now() - startTime,
+        });
 
-      // Step 6: Store analysis results in Firestore
-      const storageResult = await this.storeAnalysis(processedResults);
+        // Emit event for other parts of the system
+        eventEmitter.emit("analysisComplete", processedResults, storageResult, {
+          run_id: runId,
+          duration_ms: Date.now() - startTime,
+        });
 
-      console.log("✅ [BLACKSWAN] Analysis completed successfully");
+        // Step 7: Run candidate prompt versions in shadow (never affects production)
+        if (CONFIG.SHADOW_PROMPT_VERSIONS.length > 0) {
+          await this.runShadowAnalyses(
+            analysisData,
+            aggregatedData,
+            processedResults,
+            storageResult
+          );
+        }
 
-      // Emit event for other parts of the system
-      eventEmitter.emit("analysisComplete", processedResults);
+        return {
+          success: true,
+          analysis: processedResults,
+          storage: storageResult,
+          data_quality: aggregatedData.data_quality,
+        };
+      } catch (error) {
+        log.blackswan.error("Analysis failed", {
+          stage: error.stage || stage,
+          error: error.message,
+        });
 
-      return {
-        success: true,
-        analysis: processedResults,
-        storage: storageResult,
-        data_quality: aggregatedData.data_quality,
-      };
-    } catch (error) {
-      console.error("❌ [BLACKSWAN] Analysis failed:", error.message);
+        // Emit error event for monitoring
+        eventEmitter.emit("analysisError", error, {
+          run_id: runId,
+          stage: error.stage || stage,
+          duration_ms: Date.now() - startTime,
+        });
 
-      // Emit error event for monitoring
-      eventEmitter.emit("analysisError", error);
+        return {
+          success: false,
+          error: error.message,
+          timestamp: new Date().toISOString(),
+        };
+      }
+    });
+  }
 
-      return {
-        success: false,
-        error: error.message,
-        timestamp: new Date().toISOString(),
-      };
+  /**
+   * Check that aggregated data is sufficient for an analysis
+   *
+   * @param {Object} aggregatedData - Aggregated data from getCurrentAggregatedData
+   * @throws {Error} If no source has data, or a required source is unavailable
+   */
+  checkDataAvailability(aggregatedData) {
+    const { successful_services, stale_services, service_status } =
+      aggregatedData.data_quality;
+    if (successful_services + stale_services === 0) {
+      throw new Error("No data available from any service");
+    }
+
+    // Required sources must have data (fresh or stale)
+    const missingRequired = sources
+      .filter((source) => source.required)
+      .filter((source) => service_status[source.name] === "unavailable")
+      .map((source) => source.name);
+    if (missingRequired.length > 0) {
+      throw new Error(
+        `Required sources unavailable: ${missingRequired.join(", ")}`
+      );
+    }
+  }
+
+  /**
+   * Check that a requested prompt version has a template
+   *
+   * @param {string} [promptVersion] - Prompt version (nothing to check if not given)
+   * @throws {Error} With status 400 if no template exists for the version
+   */
+  checkPromptVersion(promptVersion) {
+    if (
+      promptVersion &&
+      !this.promptManager.getAvailableVersions().includes(promptVersion)
+    ) {
+      throw Object.assign(
+        new Error(`No template found for prompt version ${promptVersion}`),
+        { status: 400 }
+      );
+    }
+  }
+
+  /**
+   * Run every configured shadow prompt version on the same input data
+   *
+   * Shadow results go through the same generation and validation as
+   * production, are tagged with their prompt version and template hash, and
+   * are stored in CONFIG.SHADOW_COLLECTION with a reference to the production
+   * analysis. Failures are logged and never affect the production result.
+   *
+   * @param {Object} analysisData - Formatted data used for the production prompt
+   * @param {Object} aggregatedData - Aggregated data for metadata
+   * @param {Object} productionResult - Production analysis of this cycle
+   * @param {Object} storageResult - Storage result of the production analysis
+   * @returns {Array<Object>} Per-version outcome ({ prompt_version, stored, documentId, error })
+   */
+  async runShadowAnalyses(
+    analysisData,
+    aggregatedData,
+    productionResult,
+    storageResult
+  ) {
+    const versions = CONFIG.SHADOW_PROMPT_VERSIONS.filter(
+      (version) => version !== CONFIG.PROMPT_VERSION
+    );
+
+    return Promise.all(
+      versions.map(async (promptVersion) => {
+        try {
+          log.shadow.info("Running prompt in shadow", {
+            prompt_version: promptVersion,
+          });
+          const shadowResult = await this.generateAnalysis(
+            analysisData,
+            aggregatedData,
+            { promptVersion }
+          );
+
+          shadowResult.analysis_metadata.shadow = {
+            production_analysis_id: storageResult.documentId || null,
+            production_prompt_version: CONFIG.PROMPT_VERSION,
+            production_score: productionResult.blackswan_score,
+          };
+
+          const shadowStorage = await this.storeAnalysis(
+            shadowResult,
+            CONFIG.SHADOW_COLLECTION
+          );
+          log.shadow.info("Shadow analysis completed", {
+            prompt_version: promptVersion,
+            score: shadowResult.blackswan_score,
+            production_score: productionResult.blackswan_score,
+          });
+          return { prompt_version: promptVersion, ...shadowStorage };
+        } catch (error) {
+          log.shadow.error("Shadow analysis failed", {
+            prompt_version: promptVersion,
+            error: error.message,
+          });
+          return { prompt_version: promptVersion, error: error.message };
+        }
+      })
+    );
+  }
+
+  /**
+   * Apply the data quality policy to aggregated data
+   *
+   * When the inputs miss a required source, have fewer sources with data
+   * than DATA_QUALITY_MIN_SOURCES or more stale sources than
+   * DATA_QUALITY_MAX_STALE_SOURCES, DATA_QUALITY_ACTION decides whether the
+   * analysis is refused, marked provisional, certainty-capped or only warned
+   * about. The decision is recorded in `data_quality.policy` so it ends up in
+   * the analysis metadata.
+   *
+   * @param {Object} aggregatedData - Aggregated data from getCurrentAggregatedData
+   * @throws {Error} If the action is 'block' and a check failed
+   */
+  applyDataQualityPolicy(aggregatedData) {
+    const quality = aggregatedData.data_quality;
+    const decision = evaluateDataQuality(quality, dataQualityPolicy);
+    quality.policy = decision;
+
+    if (decision.passed) return;
+
+    const summary = decision.violations
+      .map((violation) => violation.message)
+      .join("; ");
+    const checks = decision.violations.map((violation) => violation.check);
+
+    switch (decision.action) {
+      case "block":
+        throw new Error(`Analysis refused by data quality policy: ${summary}`);
+      case "provisional":
+        log.blackswan.warn(`${summary}, result will be marked provisional`, {
+          checks,
+        });
+        break;
+      case "cap":
+        log.blackswan.warn(
+          `${summary}, certainty will be capped at ${decision.certainty_cap}`,
+          { checks }
+        );
+        break;
+      default:
+        log.blackswan.warn(summary, { checks });
+    }
+  }
+
+  /**
+   * Guard the score of a validated analysis against single-run spikes
+   *
+   * Compares the score with the recent historical analyses (see
+   * analysis/score-guard.js), re-runs the generation once to confirm a
+   * flagged score when SCORE_GUARD_CONFIRM is set, and applies
+   * SCORE_SMOOTHING_ALPHA. The model's score is kept as `raw_blackswan_score`
+   * and the reasons for any adjustment in `analysis_metadata.score_guard`.
+   * The model runs of the generation that was not published are added to
+   * the published result's provenance.
+   *
+   * @param {Object} result - Validated analysis
+   * @param {Object} aggregatedData - Aggregated data the analysis ran on
+   * @param {Function} rerun - async () => new validated analysis on the same inputs
+   * @returns {Object} Analysis to publish
+   */
+  async applyScoreGuard(result, aggregatedData, rerun) {
+    let rerunResult = null;
+    const published = await guardScore({
+      result,
+      historicalAnalyses: aggregatedData.historical_analyses,
+      maxJump: CONFIG.SCORE_GUARD_MAX_JUMP,
+      confirm: CONFIG.SCORE_GUARD_CONFIRM,
+      alpha: CONFIG.SCORE_SMOOTHING_ALPHA,
+      rerun: () => {
+        log.blackswan.warn("Re-running analysis to confirm score jump", {
+          score: result.blackswan_score,
+        });
+        return rerun().then((rerunAnalysis) => (rerunResult = rerunAnalysis));
+      },
+    });
+
+    const guard = published.analysis_metadata.score_guard;
+    if (rerunResult) {
+      // The re-run, or the first generation it replaced
+      const other = published === rerunResult ? result : rerunResult;
+      const role = published === rerunResult ? "discarded" : "confirmation";
+      const generation = this.generations.get(published);
+      const otherGeneration = this.generations.get(other);
+      if (generation && otherGeneration) {
+        this.generations.set(published, {
+          ...generation,
+          model_runs: [
+            ...generation.model_runs,
+            ...otherGeneration.model_runs.map((run) => ({ ...run, role })),
+          ],
+        });
+      }
+    }
+
+    if (guard.flagged) {
+      log.blackswan.warn("Score jump flagged", {
+        outcome: guard.outcome,
+        raw_score: guard.raw_score,
+        score: guard.smoothed_score,
+        reasons: guard.reasons,
+      });
+    } else if (guard.adjusted) {
+      log.blackswan.info("Score smoothed", {
+        raw_score: guard.raw_score,
+        score: guard.smoothed_score,
+      });
     }
+    return published;
   }
 
   /**
@@ -672,7 +1350,8 @@ class BlackSwanAnalysisService {
    *
    * Transforms raw aggregated data into a format suitable for AI analysis.
    * Formats data from each service and prepares historical context for
-   * comprehensive Black Swan risk assessment.
+   * comprehensive Black Swan risk assessment. Stale sources are still included
+   * but labeled, and the age of every input is passed to the prompt.
    *
    * @param {Object} aggregatedData - Raw data from all services
    * @returns {Object} Formatted data ready for AI analysis
@@ -680,107 +1359,94 @@ class BlackSwanAnalysisService {
   async prepareAnalysisData(aggregatedData) {
     const services = aggregatedData.services;
 
-    // Extract and format data from each service
-    const btcEthAnalysis =
-      services.BTC_ETH?.status === "success"
-        ? this.formatServiceData(services.BTC_ETH.data, "BTC/ETH")
-        : "BTC/ETH analysis service unavailable";
-
-    const macroAnalysis =
-      services.MACRO?.status === "success"
-        ? this.formatServiceData(services.MACRO.data, "Macro")
-        : "Macro indicators service unavailable";
-
-    const newsAnalysis =
-      services.NEWS?.status === "success"
-        ? this.formatServiceData(services.NEWS.data, "News")
-        : "News analysis service unavailable";
-
-    const sentimentAnalysis =
-      services.SENTIMENT?.status === "success"
-        ? this.formatServiceData(services.SENTIMENT.data, "Sentiment")
-        : "Sentiment analysis service unavailable";
-
-    // Format Bull Market Peak indicators into compact format
-    const bullPeakTitles = this.generateBullPeakTitles(
-      this.dataAggregator?.latestData?.BULL_PEAK
-    );
-
     // Format historical analyses for context
     const historicalContext = this.formatHistoricalAnalyses(
       aggregatedData.historical_analyses
     );
+    const dataFreshness = this.formatDataFreshness(services);
+
+    // Source sections get whatever the template and other inputs leave of
+    // the prompt budget
+    const reservedTokens =
+      estimateTokens(this.promptManager.loadPromptTemplate()) +
+      estimateTokens(historicalContext) +
+      estimateTokens(dataFreshness);
+    const rendered = renderSourceSections(
+      sources,
+      services,
+      Math.max(CONFIG.PROMPT_TOKEN_BUDGET - reservedTokens, 0)
+    );
+
+    const estimatedTokens = rendered.budget.estimated_tokens + reservedTokens;
+    aggregatedData.data_quality.prompt_budget = {
+      budget: CONFIG.PROMPT_TOKEN_BUDGET,
+      estimated_tokens: estimatedTokens,
+      within_budget: estimatedTokens <= CONFIG.PROMPT_TOKEN_BUDGET,
+      reduced_sources: rendered.budget.reduced_sources,
+    };
+    if (estimatedTokens > CONFIG.PROMPT_TOKEN_BUDGET) {
+      log.prompt.warn("Prompt still exceeds the budget after reductions", {
+        estimated_tokens: estimatedTokens,
+        budget: CONFIG.PROMPT_TOKEN_BUDGET,
+      });
+    }
+    if (rendered.budget.reduced_sources.length > 0) {
+      log.prompt.warn("Prompt over budget, source sections reduced", {
+        budget: CONFIG.PROMPT_TOKEN_BUDGET,
+        reduced_sources: rendered.budget.reduced_sources,
+      });
+    }
+
+    // Per-source placeholders (e.g. {{btc_eth_analysis}}) for templates that
+    // lay out sources individually
+    const sourcePlaceholders = Object.fromEntries(
+      sources
+        .filter((source) => source.placeholder)
+        .map((source) => [source.placeholder, rendered.contents[source.name]])
+    );
 
     return {
       timestamp: aggregatedData.timestamp,
-      btc_eth_analysis: btcEthAnalysis,
-      macro_indicators_analysis: macroAnalysis,
-      news_analysis: newsAnalysis,
-      sentiment_analysis: sentimentAnalysis,
-      bull_market_peak_indicators: bullPeakTitles,
+      source_labels: sources.map((source) => source.label).join(", "),
+      source_sections: rendered.text,
+      ...sourcePlaceholders,
       historical_analyses: historicalContext,
+      data_freshness: dataFreshness,
     };
   }
 
   /**
-   * Format service data for AI prompt
-   *
-   * Cleans and formats service data for inclusion in AI analysis prompts.
-   * Removes internal Firestore fields and optimizes data structure for AI consumption.
-   *
-   * @param {Object} data - Raw service data from Firestore
-   * @param {string} serviceName - Name of the service for error messages
-   * @returns {string} Formatted JSON string for AI prompt
-   */
-  formatServiceData(data, serviceName) {
-    if (!data) return `No ${serviceName} analysis data available`;
-
-    // Create clean copy of data, removing internal Firestore fields
-    const cleanData = { ...data };
-    delete cleanData.id;
-    delete cleanData.createdAt;
-    delete cleanData.timestamp;
-    delete cleanData.service;
-
-    // Special handling for BTC/ETH analysis service - keep only summaries
-    if (serviceName === "BTC_ETH") {
-      let bitcoinSummary = cleanData.bitcoin.summary;
-      let ethereumSummary = cleanData.ethereum.summary;
-      delete cleanData.bitcoin;
-      delete cleanData.ethereum;
-      cleanData.bitcoin = bitcoinSummary;
-      cleanData.ethereum = ethereumSummary;
-    }
-
-    return JSON.stringify(cleanData, null, 2);
-  }
-
-  /**
-   * Convert latest Bull Peak document into compact format
+   * Format the age of every input for the AI prompt
    *
-   * Transforms Bull Market Peak indicator data into a compact format
-   * suitable for AI analysis. Each indicator is formatted as "Name: true/false".
+   * Produces one line per service with the time of its latest document and
+   * its age, flagging stale and unavailable sources so the model can weight
+   * them accordingly.
    *
-   * @param {Object} latestBullPeakDoc - Latest Bull Market Peak document
-   * @returns {string} Formatted indicator data or error message
+   * @param {Object} services - Service entries from aggregated data
+   * @returns {string} Freshness summary for AI prompt
    */
-  generateBullPeakTitles(latestBullPeakDoc) {
-    try {
-      if (!latestBullPeakDoc || !Array.isArray(latestBullPeakDoc.indicators)) {
-        return "No Bull Market Peak Indicators available";
-      }
-
-      // Format each indicator as "Name: true/false"
-      const lines = latestBullPeakDoc.indicators.map((ind) => {
-        const name = ind?.indicator_name || "Unknown Indicator";
-        const hit = !!ind?.hit_status;
-        return `${name}: ${hit}`;
-      });
+  formatDataFreshness(services) {
+    return Object.entries(services)
+      .map(([serviceName, service]) => {
+        if (service.status === "failed") {
+          return `- ${serviceName}: UNAVAILABLE (${service.error})`;
+        }
 
-      return lines.join("\n");
-    } catch (e) {
-      return "No Bull Market Peak Indicators available";
-    }
+        const age = formatAge(service.age_ms);
+        if (service.reconnecting) {
+          return `- ${serviceName}: STALE - live updates interrupted, last known data from ${service.timestamp} (${age} ago)`;
+        }
+        if (service.cached) {
+          return `- ${serviceName}: STALE - restored from cache, live data not yet received, last known data from ${service.timestamp} (${age} ago)`;
+        }
+        if (service.status === "stale") {
+          return `- ${serviceName}: STALE - last updated ${
+            service.timestamp
+          } (${age} ago, expected within ${formatAge(service.max_age_ms)})`;
+        }
+        return `- ${serviceName}: last updated ${service.timestamp} (${age} ago)`;
+      })
+      .join("\n");
   }
 
   /**
@@ -820,359 +1486,1589 @@ class BlackSwanAnalysisService {
   }
 
   /**
-   * Generate AI analysis using OpenRouter
+   * Generate the analysis with a single model or the configured ensemble
+   *
+   * @param {Object} analysisData - Formatted data for AI analysis
+   * @param {Object} aggregatedData - Original aggregated data for metadata
+   * @param {Object} options - { promptVersion } (default: production version)
+   * @returns {Object} Processed and validated analysis result
+   */
+  async generateAnalysis(analysisData, aggregatedData, { promptVersion } = {}) {
+    if (CONFIG.ENSEMBLE_MODELS.length > 1) {
+      return this.generateEnsembleAnalysis(analysisData, aggregatedData, {
+        promptVersion,
+      });
+    }
+
+    return this.generateValidatedAnalysis(analysisData, aggregatedData, {
+      model: CONFIG.ENSEMBLE_MODELS[0] || CONFIG.MODEL,
+      promptVersion,
+    });
+  }
+
+  /**
+   * Generate an ensemble analysis across multiple models
    *
-   * Sends formatted data to OpenRouter API for AI-powered Black Swan analysis.
-   * Uses a carefully crafted prompt to ensure consistent and reliable results.
+   * Runs the same filled prompt against every model in CONFIG.ENSEMBLE_MODELS
+   * in parallel, then aggregates score and certainty, merges risk factors and
+   * records each model's output plus a disagreement metric in
+   * `analysis_metadata.ensemble`.
    *
    * @param {Object} analysisData - Formatted data for AI analysis
-   * @returns {string} Raw AI response from OpenRouter
-   * @throws {Error} If API key is missing or request fails
+   * @param {Object} aggregatedData - Original aggregated data for metadata
+   * @param {Object} options - { promptVersion, models } (default: production version, CONFIG.ENSEMBLE_MODELS)
+   * @returns {Object} Processed ensemble analysis result
+   * @throws {Error} With status 422 if no models are given, or if fewer than
+   *   CONFIG.ENSEMBLE_MIN_MODELS models (at least one) succeed
    */
-  async generateAIAnalysis(analysisData) {
-    if (!CONFIG.OPENROUTER_API_KEY) {
-      throw new Error("OpenRouter API key not configured");
+  async generateEnsembleAnalysis(
+    analysisData,
+    aggregatedData,
+    { promptVersion, models = CONFIG.ENSEMBLE_MODELS } = {}
+  ) {
+    if (!models?.length) {
+      throw Object.assign(
+        new Error("Ensemble analysis needs at least one model"),
+        { status: 422, stage: "ensemble" }
+      );
     }
+    log.ensemble.info("Running ensemble analysis", { models });
+
+    const settled = await Promise.allSettled(
+      models.map((model) =>
+        this.generateValidatedAnalysis(analysisData, aggregatedData, {
+          model,
+          promptVersion,
+          capCertainty: false, // Capped once, on the combined certainty
+        })
+      )
+    );
 
-    // Get filled prompt from prompt manager
-    const prompt = this.promptManager.getFilledPrompt(analysisData);
+    const modelResults = [];
+    const failedModels = [];
+    settled.forEach((outcome, index) => {
+      if (outcome.status === "fulfilled") {
+        modelResults.push({ model: models[index], result: outcome.value });
+      } else {
+        log.ensemble.error("Ensemble model failed", {
+          model: models[index],
+          error: outcome.reason.message,
+        });
+        failedModels.push({
+          model: models[index],
+          error: outcome.reason.message,
+        });
+      }
+    });
+
+    const minModels = Math.max(
+      1,
+      Math.min(CONFIG.ENSEMBLE_MIN_MODELS, models.length)
+    );
+    if (modelResults.length < minModels) {
+      throw Object.assign(
+        new Error(
+          `Ensemble analysis failed: ${modelResults.length}/${models.length} models succeeded (minimum ${minModels})`
+        ),
+        { stage: "ensemble" }
+      );
+    }
 
-    console.log("🤖 [AI] Sending analysis request to OpenRouter");
+    const { combined, representative, disagreement } = combineEnsembleResults(
+      modelResults,
+      {
+        method: CONFIG.ENSEMBLE_AGGREGATION,
+        trimRatio: CONFIG.ENSEMBLE_TRIM_RATIO,
+        divergenceThreshold: CONFIG.ENSEMBLE_DIVERGENCE_THRESHOLD,
+      }
+    );
 
-    try {
-      // Send request to OpenRouter API
-      const response = await axios.post(
-        CONFIG.OPENROUTER_URL,
-        {
-          model: CONFIG.MODEL, // AI model to use
-          messages: [
-            {
-              role: "user",
-              content: prompt,
-            },
-          ],
-          temperature: 0.3, // Low temperature for consistent analysis
-          max_tokens: 50000, // Maximum tokens for response
+    log.ensemble.info("Ensemble score aggregated", {
+      score: combined.blackswan_score,
+      score_min: disagreement.score_min,
+      score_max: disagreement.score_max,
+    });
+    if (disagreement.diverged) {
+      log.ensemble.warn("Ensemble models diverged", {
+        score_range: disagreement.score_range,
+      });
+    }
+
+    const ensembleResult = {
+      ...combined,
+      provisional: representative.result.provisional,
+      timestamp: new Date().toISOString(),
+      analysis_metadata: {
+        ...representative.result.analysis_metadata,
+        model: "ensemble",
+        requested_model: "ensemble",
+        ensemble: {
+          models,
+          aggregation: CONFIG.ENSEMBLE_AGGREGATION,
+          representative_model: representative.model,
+          disagreement,
+          outputs: modelResults.map(({ model, result }) => ({
+            model,
+            blackswan_score: result.blackswan_score,
+            certainty: result.certainty,
+            primary_risk_factors: result.primary_risk_factors,
+            current_market_indicators: result.current_market_indicators,
+            analysis: result.analysis,
+            reasoning: result.reasoning,
+            repair_attempts: result.analysis_metadata.repair_attempts,
+          })),
+          failed: failedModels,
         },
-        {
-          headers: {
-            Authorization: `Bearer ${CONFIG.OPENROUTER_API_KEY}`,
-            "Content-Type": "application/json",
-          },
-          timeout: CONFIG.REQUEST_TIMEOUT, // Request timeout
+      },
+    };
+    ensembleResult.analysis_metadata.data_quality_policy = applyCertaintyCap(
+      ensembleResult,
+      aggregatedData.data_quality.policy
+    );
+
+    // One provenance record covering every model that contributed
+    const generations = modelResults.map(({ result }) =>
+      this.generations.get(result)
+    );
+    this.generations.set(ensembleResult, {
+      ...generations[0],
+      model_runs: generations.flatMap((generation) => generation.model_runs),
+    });
+
+    return ensembleResult;
+  }
+
+  /**
+   * Generate and validate AI analysis with a bounded repair loop
+   *
+   * Sends the filled prompt to the model and validates the response against
+   * the analysis schema. If the response cannot be parsed or fails validation,
+   * the validation errors are sent back to the model in the same conversation
+   * and it is asked for a corrected response, up to CONFIG.MAX_REPAIR_ATTEMPTS times.
+   *
+   * @param {Object} analysisData - Formatted data for AI analysis
+   * @param {Object} aggregatedData - Original aggregated data for metadata
+   * @param {Object} options - { model, promptVersion, capCertainty }
+   *   (capCertainty: apply the data quality certainty cap, default true)
+   * @returns {Object} Processed and validated analysis result
+   * @throws {Error} If the response is still invalid after all repair attempts
+   */
+  async generateValidatedAnalysis(
+    analysisData,
+    aggregatedData,
+    {
+      model = CONFIG.MODEL,
+      promptVersion = this.promptManager.currentVersion,
+      capCertainty = true,
+    } = {}
+  ) {
+    // Get filled prompt from prompt manager
+    const prompt = this.promptManager.getFilledPrompt(
+      analysisData,
+      "blackswan-analysis",
+      promptVersion
+    );
+    const messages = [{ role: "user", content: prompt }];
+    const exchanges = [];
+
+    for (let attempt = 0; ; attempt++) {
+      const completion = await this.requestCompletion(messages, model);
+      const aiResponse = completion.content;
+
+      // Keep every raw response for the provenance record
+      const exchange = {
+        attempt,
+        provider: completion.provider,
+        provider_model: completion.model,
+        raw_response: aiResponse,
+        usage: completion.usage || null,
+        latency_ms: completion.latency_ms,
+        provider_attempts: completion.attempts || [],
+        repair_prompt:
+          attempt > 0 ? messages[messages.length - 1].content : null,
+        validation_errors: null,
+      };
+      exchanges.push(exchange);
+
+      try {
+        const processedResult = await this.processAnalysisResults(
+          aiResponse,
+          aggregatedData,
+          completion.model,
+          { capCertainty }
+        );
+        processedResult.analysis_metadata.prompt_version = promptVersion;
+        processedResult.analysis_metadata.prompt_hash =
+          this.promptManager.getTemplateHash(
+            "blackswan-analysis",
+            promptVersion
+          );
+        processedResult.analysis_metadata.requested_model = model;
+        processedResult.analysis_metadata.provider = completion.provider;
+        processedResult.analysis_metadata.provider_model = completion.model;
+        processedResult.analysis_metadata.repair_attempts = attempt;
+
+        this.generations.set(processedResult, {
+          prompt,
+          prompt_version: promptVersion,
+          prompt_hash: processedResult.analysis_metadata.prompt_hash,
+          inputs: processedResult.analysis_metadata.inputs,
+          model_runs: [{ model, exchanges }],
+        });
+        return processedResult;
+      } catch (error) {
+        exchange.validation_errors = error.validationErrors || [error.message];
+        if (!error.validationErrors || attempt >= CONFIG.MAX_REPAIR_ATTEMPTS) {
+          throw error;
         }
-      );
 
-      // Extract AI response from API response
-      const aiResponse = response.data?.choices?.[0]?.message?.content;
-      if (!aiResponse) {
-        throw new Error("No response from AI");
+        log.ai.warn("Invalid response, requesting repair", {
+          model,
+          attempt: attempt + 1,
+          max_attempts: CONFIG.MAX_REPAIR_ATTEMPTS,
+        });
+        messages.push(
+          { role: "assistant", content: aiResponse },
+          {
+            role: "user",
+            content: this.buildRepairPrompt(error.validationErrors),
+          }
+        );
       }
+    }
+  }
+
+  /**
+   * Build the follow-up message asking the model to fix an invalid response
+   *
+   * @param {Array<string>} validationErrors - Errors found in the previous response
+   * @returns {string} Repair instructions for the model
+   */
+  buildRepairPrompt(validationErrors) {
+    return [
+      "Your previous response did not match the required response format.",
+      "Validation errors:",
+      ...validationErrors.map((error) => `- ${error}`),
+      "",
+      "Return the corrected analysis as a single JSON object with exactly the fields blackswan_score, analysis, certainty, primary_risk_factors, current_market_indicators and reasoning. Keep your assessment unchanged unless a correction requires otherwise, and output no text outside the JSON.",
+    ].join("\n");
+  }
 
-      console.log("✅ [AI] Analysis received from OpenRouter");
-      return aiResponse;
+  /**
+   * Send a chat completion request through the LLM provider chain
+   *
+   * Providers are tried in CONFIG.LLM_PROVIDERS order; timeouts, network
+   * errors, 429 and 5xx responses fall through to the next provider.
+   *
+   * @param {Array<Object>} messages - Chat messages ({ role, content })
+   * @param {string} model - AI model to use (default: CONFIG.MODEL)
+   * @returns {Object} Completion ({ content, provider, model, usage, latency_ms, attempts })
+   * @throws {Error} If no provider is configured or every provider fails
+   */
+  async requestCompletion(messages, model = CONFIG.MODEL) {
+    log.ai.info("Sending analysis request", { model });
+
+    try {
+      const completion = await this.llm.complete({
+        messages,
+        model, // AI model to use
+        temperature: 0.3, // Low temperature for consistent analysis
+        maxTokens: 50000, // Maximum tokens for response
+      });
+
+      log.ai.info("Analysis received", {
+        provider: completion.provider,
+        model: completion.model,
+        latency_ms: completion.latency_ms,
+        usage: completion.usage || null,
+      });
+      eventEmitter.emit("llmCompletion", completion);
+      return completion;
     } catch (error) {
-      console.error("❌ [AI] OpenRouter request failed:", error.message);
-      throw new Error(`AI analysis failed: ${error.message}`);
+      log.ai.error("LLM request failed", { model, error: error.message });
+      eventEmitter.emit("llmError", {
+        model,
+        error: error.message,
+        attempts: error.attempts || [],
+      });
+      throw Object.assign(new Error(`AI analysis failed: ${error.message}`), {
+        stage: "llm",
+      });
     }
   }
 
   /**
    * Process and validate AI analysis results
    *
-   * Parses, validates, and enriches AI response with metadata.
-   * Ensures all required fields are present and within valid ranges.
+   * Parses the AI response and validates it against the full response schema
+   * (types, ranges and list sizes). Invalid responses raise an error carrying
+   * `validationErrors`, which the repair loop sends back to the model.
    *
    * @param {string} aiResponse - Raw AI response from OpenRouter
    * @param {Object} aggregatedData - Original aggregated data for metadata
+   * @param {string} model - Model that produced the response, as reported by
+   *   the provider (default: CONFIG.MODEL)
+   * @param {Object} options - { capCertainty } (apply the data quality
+   *   certainty cap, default true)
    * @returns {Object} Processed and validated analysis result
    * @throws {Error} If response is invalid or missing required fields
    */
-  async processAnalysisResults(aiResponse, aggregatedData) {
+  async processAnalysisResults(
+    aiResponse,
+    aggregatedData,
+    model = CONFIG.MODEL,
+    { capCertainty = true } = {}
+  ) {
     try {
       // Extract JSON from response with robust fallbacks
-      const parseFromText = (text) => {
-        if (!text || typeof text !== "string") {
-          throw new Error("Empty AI response");
-        }
-
-        // 1) Try to extract from fenced code block (```json ... ```)
-        const fenced = text.match(/```json\s*([\s\S]*?)\s*```/i);
-        if (fenced && fenced[1]) {
-          return JSON.parse(fenced[1]);
-        }
-
-        // 2) Try parsing as plain JSON
-        try {
-          return JSON.parse(text);
-        } catch (_) {}
-
-        // 3) Extract first {...} block from text
-        const first = text.indexOf("{");
-        const last = text.lastIndexOf("}");
-        if (first !== -1 && last !== -1 && last > first) {
-          const slice = text.slice(first, last + 1);
-          return JSON.parse(slice);
-        }
-
-        throw new Error("No JSON found in AI response");
-      };
-
-      const analysisResult = parseFromText(aiResponse);
-
-      // Validate required fields are present
-      const requiredFields = [
-        "blackswan_score",
-        "analysis",
-        "certainty",
-        "primary_risk_factors",
-        "current_market_indicators",
-        "reasoning",
-      ];
-      for (const field of requiredFields) {
-        if (!(field in analysisResult)) {
-          throw new Error(`Missing required field: ${field}`);
-        }
+      let analysisResult;
+      try {
+        analysisResult = extractJson(aiResponse);
+      } catch (parseError) {
+        eventEmitter.emit("responseInvalid", { kind: "parse", model });
+        throw Object.assign(new Error(parseError.message), {
+          validationErrors: [
+            `response is not valid JSON (${parseError.message})`,
+          ],
+        });
       }
 
-      // Validate score ranges
-      if (
-        analysisResult.blackswan_score < 0 ||
-        analysisResult.blackswan_score > 100
-      ) {
-        throw new Error("blackswan_score must be between 0 and 100");
+      // Validate the response against the schema
+      const validationErrors = validateAnalysisResponse(analysisResult);
+      if (validationErrors.length > 0) {
+        eventEmitter.emit("responseInvalid", { kind: "schema", model });
+        throw Object.assign(
+          new Error(
+            `Response failed validation: ${validationErrors.join("; ")}`
+          ),
+          { validationErrors }
+        );
       }
 
-      if (analysisResult.certainty < 1 || analysisResult.certainty > 100) {
-        throw new Error("certainty must be between 1 and 100");
-      }
+      // Cap certainty when the data quality policy capped this run
+      const policy = aggregatedData.data_quality.policy;
+      const resultPolicy = capCertainty
+        ? applyCertaintyCap(analysisResult, policy)
+        : policy
+        ? { ...policy }
+        : null;
 
       // Add metadata and timestamp
       const processedResult = {
         ...analysisResult,
+        provisional: !!policy?.provisional, // Inputs fell short of the data quality policy
         timestamp: new Date().toISOString(),
         analysis_metadata: {
-          model: CONFIG.MODEL,
+          model,
           data_sources: Object.keys(aggregatedData.services),
           successful_services: aggregatedData.data_quality.successful_services,
+          stale_services: aggregatedData.data_quality.stale_services,
           total_services: aggregatedData.data_quality.total_services,
           collection_duration_ms: aggregatedData.collection_duration_ms,
+          service_status: aggregatedData.data_quality.service_status,
+          data_age_ms: aggregatedData.data_quality.data_age_ms,
+          data_quality_policy: resultPolicy,
+          prompt_budget: aggregatedData.data_quality.prompt_budget || null,
+          inputs: buildInputSnapshot(aggregatedData, sources), // Input document IDs, for replay
         },
       };
 
       // Log key analysis metrics
-      console.log(
-        `🦢 [ANALYSIS] Black Swan Score: ${analysisResult.blackswan_score}/100`
-      );
-      console.log(`🎯 [ANALYSIS] Certainty: ${analysisResult.certainty}%`);
-      console.log(
-        `⚠️ [ANALYSIS] Primary Risk Factors: ${
-          analysisResult.primary_risk_factors?.length || 0
-        } identified`
-      );
+      log.blackswan.info("Analysis result validated", {
+        model,
+        score: analysisResult.blackswan_score,
+        certainty: analysisResult.certainty,
+        risk_factors: analysisResult.primary_risk_factors?.length || 0,
+      });
 
       return processedResult;
     } catch (error) {
-      console.error(
-        "❌ [PROCESSING] Failed to process AI response:",
-        error.message
+      log.ai.error("Failed to process AI response", {
+        model,
+        error: error.message,
+        response_length: aiResponse?.length || 0,
+      });
+      log.ai.debug("Raw AI response", { model, raw_response: aiResponse });
+      throw Object.assign(
+        new Error(`Analysis processing failed: ${error.message}`),
+        { validationErrors: error.validationErrors, stage: "validation" }
       );
-      console.error("Raw AI Response:", aiResponse);
-      throw new Error(`Analysis processing failed: ${error.message}`);
     }
   }
 
   /**
    * Store analysis results in Firestore
    *
-   * Persists the completed Black Swan analysis to Firestore for historical
-   * tracking and future reference. Adds metadata about the service and version.
+   * Persists the completed Black Swan analysis to the configured storage backend
+   * for historical tracking and future reference. Adds metadata about the service
+   * and version.
    *
    * @param {Object} analysis - Completed analysis result to store
+   * @param {string} collection - Target collection (default: CONFIG.BLACKSWAN_COLLECTION)
    * @returns {Object} Storage result with success status and document ID
    */
-  async storeAnalysis(analysis) {
-    if (!db) {
-      console.warn("⚠️ [STORAGE] Firestore not available, skipping storage");
+  async storeAnalysis(analysis, collection = CONFIG.BLACKSWAN_COLLECTION) {
+    if (!this.storage.isAvailable()) {
+      log.storage.warn("Storage not available, skipping storage");
       return { stored: false, reason: "firestore_not_available" };
     }
 
     try {
-      // Add analysis to Firestore collection with metadata
-      const docRef = await db.collection(CONFIG.BLACKSWAN_COLLECTION).add({
+      // Add analysis to the results collection with metadata
+      const docRef = await this.storage.addDocument(collection, {
         ...analysis,
-        createdAt: admin.firestore.Timestamp.now(), // Firestore timestamp
+        createdAt: this.storage.timestampNow(), // Backend-native timestamp
         service: "macro-blackswan-analysis-service", // Service identifier
         serviceVersion: "1.0.0", // Service version
       });
 
-      console.log(
-        `✅ [STORAGE] Black Swan analysis stored with ID: ${docRef.id}`
+      log.storage.info("Analysis stored", {
+        analysis_id: docRef.id,
+        collection,
+      });
+
+      // Store how the analysis was produced, keyed by the analysis ID
+      const provenanceStored = await this.storeProvenance(
+        docRef.id,
+        analysis,
+        collection
       );
-      return { stored: true, documentId: docRef.id };
+
+      return { stored: true, documentId: docRef.id, provenanceStored };
     } catch (error) {
-      console.error("❌ [STORAGE] Error storing analysis:", error.message);
+      log.storage.error("Failed to store analysis", {
+        collection,
+        error: error.message,
+      });
       return { stored: false, error: error.message };
     }
   }
 
   /**
-   * Get recent Black Swan analyses
+   * Store the provenance record of an analysis
    *
-   * Retrieves the most recent Black Swan analyses from Firestore for
-   * API endpoints and historical data access.
+   * Saves the input document IDs and timestamps, the filled prompt, every raw
+   * model response with token usage and latency, and the prompt version in
+   * CONFIG.PROVENANCE_COLLECTION under the analysis ID. Failures are logged
+   * and never fail the analysis.
    *
-   * @param {number} limit - Maximum number of analyses to retrieve (default: 10)
-   * @returns {Object} Object containing analyses array and any errors
+   * @param {string} analysisId - ID of the stored analysis
+   * @param {Object} analysis - Stored analysis result
+   * @param {string} collection - Collection the analysis was stored in
+   * @returns {boolean} Whether a provenance record was stored
    */
-  async getRecentAnalyses(limit = 10) {
-    if (!db) {
-      return { analyses: [], error: "Firestore not available" };
-    }
+  async storeProvenance(analysisId, analysis, collection) {
+    const generation = this.generations.get(analysis);
+    if (!CONFIG.PROVENANCE_ENABLED || !generation) return false;
 
     try {
-      // Query Firestore for recent analyses
-      const snapshot = await db
-        .collection(CONFIG.BLACKSWAN_COLLECTION)
-        .orderBy("timestamp", "desc") // Order by timestamp descending
-        .limit(limit) // Limit number of results
-        .get();
-
-      // Process snapshot documents
-      const analyses = [];
-      snapshot.forEach((doc) => {
-        analyses.push({
-          id: doc.id, // Document ID
-          ...doc.data(), // Document data
-        });
+      await this.storage.setDocument(
+        CONFIG.PROVENANCE_COLLECTION,
+        analysisId,
+        buildProvenance({ analysisId, collection, analysis, generation })
+      );
+      this.generations.delete(analysis);
+      return true;
+    } catch (error) {
+      log.storage.error("Failed to store provenance", {
+        analysis_id: analysisId,
+        error: error.message,
       });
+      return false;
+    }
+  }
+
+  /**
+   * Get the provenance record of an analysis
+   *
+   * @param {string} analysisId - Analysis document ID
+   * @returns {Object} { provenance } (null if none was stored) or { error }
+   */
+  async getProvenance(analysisId) {
+    if (!this.storage.isAvailable()) {
+      return { provenance: null, error: "Firestore not available" };
+    }
 
-      return { analyses };
+    try {
+      const provenance = await this.storage.getDocument(
+        CONFIG.PROVENANCE_COLLECTION,
+        analysisId
+      );
+      return { provenance };
     } catch (error) {
-      console.error("❌ [STORAGE] Error fetching analyses:", error.message);
-      return { analyses: [], error: error.message };
+      log.storage.error("Failed to fetch provenance", {
+        analysis_id: analysisId,
+        error: error.message,
+      });
+      return { provenance: null, error: error.message };
     }
   }
-}
 
-/**
- * Service Initialization
- *
- * Initialize the main Black Swan analysis service instance.
- * This service coordinates all analysis operations and data aggregation.
- */
-const blackSwanService = new BlackSwanAnalysisService();
+  /**
+   * Replay a stored analysis on its original inputs
+   *
+   * Refetches the exact source documents and historical analyses recorded in
+   * `analysis_metadata.inputs` (or the provenance record), rebuilds the
+   * aggregated data as it was, and runs it through prepareAnalysisData and
+   * the validated generation path with the chosen model and prompt version.
+   * Nothing is stored and no events are emitted.
+   *
+   * @param {string} analysisId - ID of the analysis in CONFIG.BLACKSWAN_COLLECTION
+   * @param {Object} options
+   * @param {string} options.model - Model to replay with (default: original model, or the original ensemble)
+   * @param {string} options.promptVersion - Prompt version (default: original version)
+   * @returns {Object} { analysis_id, original, replay, diff, warnings }
+   * @throws {Error} With status 400 for an unknown prompt version, 404 if the
+   *   analysis does not exist, 422 if it has no recorded inputs
+   */
+  async replayAnalysis(analysisId, { model, promptVersion } = {}) {
+    if (!this.storage.isAvailable()) {
+      throw Object.assign(new Error("Firestore not available"), {
+        status: 503,
+      });
+    }
+    this.checkPromptVersion(promptVersion);
 
-/**
- * API Routes
- *
- * RESTful API endpoints for interacting with the Black Swan analysis service.
- * Includes health checks, manual triggers, and data retrieval endpoints.
- */
+    const original = await this.storage.getDocument(
+      CONFIG.BLACKSWAN_COLLECTION,
+      analysisId
+    );
+    if (!original) {
+      throw Object.assign(new Error(`Analysis ${analysisId} not found`), {
+        status: 404,
+      });
+    }
 
-/**
- * Health Check Endpoint
- *
- * Provides service health status and configuration information.
- * Useful for monitoring and service discovery.
- */
-app.get("/health", (req, res) => {
-  res.json({
-    status: "healthy",
-    service: "macro-blackswan-analysis-service",
-    version: "1.0.0",
-    timestamp: new Date().toISOString(),
-    firestore: !!db, // Firestore availability status
-    openrouter: !!CONFIG.OPENROUTER_API_KEY, // OpenRouter API key status
-  });
-});
+    const metadata = original.analysis_metadata || {};
+    const inputs =
+      metadata.inputs ||
+      (await this.getProvenance(analysisId)).provenance?.inputs;
+    if (!inputs) {
+      throw Object.assign(
+        new Error(`Analysis ${analysisId} has no recorded input documents`),
+        { status: 422 }
+      );
+    }
 
-/**
- * Manual Analysis Trigger Endpoint
- *
- * Allows manual triggering of Black Swan analysis via API call.
- * Useful for testing, debugging, or on-demand analysis requests.
- */
-app.post("/api/analysis/trigger", async (req, res) => {
-  try {
-    console.log("🔄 [API] Black Swan analysis triggered via API");
+    const replayVersion =
+      promptVersion || metadata.prompt_version || CONFIG.PROMPT_VERSION;
+    const replayModel =
+      model || metadata.requested_model || metadata.model || CONFIG.MODEL;
+    log.replay.info("Replaying analysis", {
+      analysis_id: analysisId,
+      model: replayModel,
+      prompt_version: replayVersion,
+    });
 
-    // Perform Black Swan analysis
-    const result = await blackSwanService.performBlackSwanAnalysis();
+    // Refetch the exact documents the analysis consumed
+    const documents = {};
+    for (const [serviceName, input] of Object.entries(inputs.sources)) {
+      documents[serviceName] = input.document_id
+        ? await this.storage.getDocument(input.collection, input.document_id)
+        : null;
+    }
+    const historicalAnalyses = [];
+    const warnings = [];
+    for (const historicalId of inputs.historical_analysis_ids || []) {
+      const historical = await this.storage.getDocument(
+        CONFIG.BLACKSWAN_COLLECTION,
+        historicalId
+      );
+      if (historical) {
+        historicalAnalyses.push(historical);
+      } else {
+        warnings.push(`historical analysis ${historicalId} no longer exists`);
+      }
+    }
 
-    res.json({
-      success: true,
-      triggered: true,
-      timestamp: new Date().toISOString(),
-      result,
+    const rebuilt = rebuildAggregatedData({
+      inputs,
+      documents,
+      historicalAnalyses,
+      sources,
+      timestamp: inputs.collected_at || original.timestamp,
     });
-  } catch (error) {
-    console.error("❌ [API] Trigger analysis failed:", error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString(),
+    warnings.push(...rebuilt.warnings);
+    warnings.forEach((warning) =>
+      log.replay.warn(warning, { analysis_id: analysisId })
+    );
+
+    const { aggregatedData } = rebuilt;
+    this.applyDataQualityPolicy(aggregatedData);
+    const analysisData = await this.prepareAnalysisData(aggregatedData);
+
+    const replay =
+      replayModel === "ensemble"
+        ? await this.generateEnsembleAnalysis(analysisData, aggregatedData, {
+            promptVersion: replayVersion,
+            models: metadata.ensemble?.models,
+          })
+        : await this.generateValidatedAnalysis(analysisData, aggregatedData, {
+            model: replayModel,
+            promptVersion: replayVersion,
+          });
+    replay.analysis_metadata.replay = {
+      original_analysis_id: analysisId,
+      original_timestamp: original.timestamp,
+    };
+
+    const diff = diffAnalyses(original, replay);
+    log.replay.info("Replay completed", {
+      analysis_id: analysisId,
+      original_score: diff.score.original,
+      replay_score: diff.score.replay,
+    });
+
+    return {
+      analysis_id: analysisId,
+      original: {
+        blackswan_score: original.blackswan_score,
+        certainty: original.certainty,
+        primary_risk_factors: original.primary_risk_factors || [],
+        model: metadata.model || null,
+        prompt_version: metadata.prompt_version || null,
+        timestamp: original.timestamp,
+      },
+      replay: {
+        blackswan_score: replay.blackswan_score,
+        certainty: replay.certainty,
+        primary_risk_factors: replay.primary_risk_factors,
+        model: replayModel,
+        prompt_version: replayVersion,
+        analysis: replay,
+      },
+      diff,
+      warnings,
+    };
+  }
+
+  /**
+   * Replay every stored analysis in a date range
+   *
+   * Analyses are replayed one at a time, newest first; a failed replay is
+   * reported in its entry and does not stop the others.
+   *
+   * @param {Object} filters - { from, to } history filters
+   * @param {number} limit - Maximum number of analyses to replay
+   * @param {Object} options - { model, promptVersion }, see replayAnalysis
+   * @returns {Object} { replays, summary, truncated } or { error }
+   */
+  async replayAnalyses(filters, limit, options = {}) {
+    const { analyses, nextCursor, error } = await this.getRecentAnalyses(
+      limit,
+      { ...filters, fields: ["timestamp"] }
+    );
+    if (error) return { error };
+
+    const replays = [];
+    for (const { id } of analyses) {
+      try {
+        replays.push(await this.replayAnalysis(id, options));
+      } catch (replayError) {
+        log.replay.error("Replay failed", {
+          analysis_id: id,
+          error: replayError.message,
+        });
+        replays.push({ analysis_id: id, error: replayError.message });
+      }
+    }
+
+    return {
+      replays,
+      summary: summarizeReplays(replays),
+      truncated: !!nextCursor,
+    };
+  }
+
+  /**
+   * Backtest the analysis over historical source documents
+   *
+   * At every tick between `from` and `to`, reconstructs what
+   * getCurrentAggregatedData would have seen (the latest document of each
+   * source at that time, aged against the tick) and runs the analysis on it.
+   * The previous backtest results serve as historical context. Nothing is
+   * stored and no events are emitted; a failed tick is recorded and the
+   * backtest continues.
+   *
+   * @param {Object} options
+   * @param {number} options.from - First tick, in ms
+   * @param {number} options.to - Last possible tick, in ms
+   * @param {number} options.stepMs - Interval between ticks
+   * @param {string} options.model - Model to use (default: production model or ensemble)
+   * @param {string} options.promptVersion - Prompt version (default: production version)
+   * @param {Function} options.onTick - Called with each entry as soon as its tick completes
+   * @returns {Object} { entries, summary, warnings }
+   */
+  async runBacktest({ from, to, stepMs, model, promptVersion, onTick }) {
+    if (!this.storage.isAvailable()) {
+      throw new Error("Firestore not available");
+    }
+    this.checkPromptVersion(promptVersion);
+
+    const ticks = buildTicks(from, to, stepMs);
+    const version = promptVersion || CONFIG.PROMPT_VERSION;
+    log.backtest.info("Running backtest", {
+      ticks: ticks.length,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      prompt_version: version,
+      model: model || "production models",
     });
+
+    const histories = sources.map(
+      (source) => new SourceHistory(this.storage, source)
+    );
+    const warnings = histories
+      .filter((history) => history.fixedDocument)
+      .map(
+        (history) =>
+          `${history.source.name} is a fixed document without history; its current version is used once its timestamp has passed`
+      );
+    warnings.forEach((warning) => log.backtest.warn(warning));
+
+    const entries = [];
+    const historicalAnalyses = [];
+
+    for (const tick of ticks) {
+      const tickTime = new Date(tick).toISOString();
+      let entry;
+
+      try {
+        const latestData = {};
+        for (const history of histories) {
+          latestData[history.source.name] = await history.latestAt(tick);
+        }
+
+        const aggregatedData = aggregateSources({
+          sources,
+          latestData,
+          historicalAnalyses: [...historicalAnalyses],
+          now: tick,
+        });
+        this.checkDataAvailability(aggregatedData);
+        this.applyDataQualityPolicy(aggregatedData);
+
+        const analysisData = await this.prepareAnalysisData(aggregatedData);
+        const generate = () =>
+          model
+            ? this.generateValidatedAnalysis(analysisData, aggregatedData, {
+                model,
+                promptVersion: version,
+              })
+            : this.generateAnalysis(analysisData, aggregatedData, {
+                promptVersion: version,
+              });
+
+        // Scores go through the score guard like published ones
+        const result = await this.applyScoreGuard(
+          await generate(),
+          aggregatedData,
+          generate
+        );
+
+        // Later ticks see this result as if it had been produced at the tick
+        result.timestamp = tickTime;
+        historicalAnalyses.unshift(result);
+        historicalAnalyses.splice(5);
+
+        entry = {
+          tick: tickTime,
+          blackswan_score: result.blackswan_score,
+          raw_blackswan_score: result.raw_blackswan_score,
+          certainty: result.certainty,
+          primary_risk_factors: result.primary_risk_factors,
+          model: result.analysis_metadata.model,
+          prompt_version: version,
+          service_status: aggregatedData.data_quality.service_status,
+          source_documents: Object.fromEntries(
+            Object.entries(result.analysis_metadata.inputs.sources).map(
+              ([serviceName, input]) => [serviceName, input.document_id]
+            )
+          ),
+        };
+        log.backtest.info("Backtest tick completed", {
+          tick: tickTime,
+          score: result.blackswan_score,
+        });
+      } catch (error) {
+        log.backtest.error("Backtest tick failed", {
+          tick: tickTime,
+          error: error.message,
+        });
+        entry = {
+          tick: tickTime,
+          prompt_version: version,
+          error: error.message,
+        };
+      }
+
+      entries.push(entry);
+      if (onTick) await onTick(entry);
+    }
+
+    return { entries, summary: summarizeBacktest(entries), warnings };
+  }
+
+  /**
+   * Get recent Black Swan analyses
+   *
+   * Retrieves the most recent Black Swan analyses from the storage backend
+   * for API endpoints and historical data access. Optional filters narrow the
+   * results by date range, score, model or prompt version, continue from a
+   * cursor, and project the returned fields.
+   *
+   * @param {number} limit - Maximum number of analyses to retrieve (default: 10)
+   * @param {Object} filters - { from, to, minScore, model, promptVersion, fields, after }
+   * @param {string} collection - Source collection (default: CONFIG.BLACKSWAN_COLLECTION)
+   * @returns {Object} Object containing analyses array, next page cursor and any errors
+   */
+  async getRecentAnalyses(
+    limit = 10,
+    filters = {},
+    collection = CONFIG.BLACKSWAN_COLLECTION
+  ) {
+    if (!this.storage.isAvailable()) {
+      return {
+        analyses: [],
+        nextCursor: null,
+        error: "Firestore not available",
+      };
+    }
+
+    try {
+      // Query storage for recent analyses (one extra to detect another page)
+      const results = await this.storage.queryDocuments(
+        collection,
+        buildHistoryQuery({ ...filters, limit })
+      );
+
+      const analyses = results.slice(0, limit);
+      const nextCursor =
+        results.length > limit
+          ? encodeCursor(
+              analyses[analyses.length - 1].timestamp,
+              analyses[analyses.length - 1].id
+            )
+          : null;
+
+      return { analyses, nextCursor };
+    } catch (error) {
+      log.storage.error("Failed to fetch analyses", { error: error.message });
+      return { analyses: [], nextCursor: null, error: error.message };
+    }
+  }
+
+  /**
+   * Build a bucketed score time series
+   *
+   * Pages through stored analyses in the requested range (projected to score
+   * and certainty) and rolls them up with buildTimeSeries.
+   *
+   * @param {Object} options
+   * @param {string} options.interval - 'hour', 'day' or 'week'
+   * @param {number} options.window - Buckets used for moving average and volatility
+   * @param {Object} options.filters - History filters { from, to, model, promptVersion }
+   * @returns {Object} Time series with buckets and summary, or an error
+   */
+  async getScoreTimeSeries({ interval, window, filters }) {
+    const { analyses, truncated, error } = await this.collectAnalyses({
+      ...filters,
+      fields: ["blackswan_score", "certainty"],
+    });
+
+    if (error) return { error };
+
+    return {
+      ...buildTimeSeries(analyses, { interval, window }),
+      truncated,
+    };
+  }
+
+  /**
+   * Compare score distributions between prompt versions
+   *
+   * Reads production analyses (CONFIG.BLACKSWAN_COLLECTION) and shadow
+   * analyses (CONFIG.SHADOW_COLLECTION) for each version in the range. Shadow
+   * results are paired with the production analysis of the same cycle.
+   *
+   * @param {Array<string>} versions - Prompt versions to compare
+   * @param {Object} filters - History filters { from, to }
+   * @returns {Object} { production_version, versions } or an error
+   */
+  async comparePromptVersions(versions, filters) {
+    const fields = [
+      "blackswan_score",
+      "certainty",
+      "analysis_metadata.prompt_version",
+      "analysis_metadata.prompt_hash",
+      "analysis_metadata.shadow.production_analysis_id",
+    ];
+
+    const production = await this.collectAnalyses({ ...filters, fields });
+    if (production.error) return { error: production.error };
+
+    const productionScores = new Map(
+      production.analyses.map((analysis) => [
+        analysis.id,
+        analysis.blackswan_score,
+      ])
+    );
+
+    const comparisons = [];
+    for (const version of versions) {
+      const shadow = await this.collectAnalyses(
+        { ...filters, promptVersion: version, fields },
+        CONFIG.SHADOW_COLLECTION
+      );
+      if (shadow.error) return { error: shadow.error };
+
+      const productionAnalyses = production.analyses.filter(
+        (analysis) => analysis.analysis_metadata?.prompt_version === version
+      );
+
+      comparisons.push({
+        prompt_version: version,
+        production: summarizeVersion(productionAnalyses),
+        shadow: summarizeVersion(shadow.analyses, productionScores),
+        truncated: production.truncated || shadow.truncated,
+      });
+    }
+
+    return {
+      production_version: CONFIG.PROMPT_VERSION,
+      versions: comparisons,
+    };
+  }
+
+  /**
+   * Read every analysis matching the filters, page by page
+   *
+   * @param {Object} filters - History filters, including `fields` for projection
+   * @param {string} collection - Source collection (default: CONFIG.BLACKSWAN_COLLECTION)
+   * @returns {Object} { analyses, truncated, error }, truncated when more than
+   *   CONFIG.TIMESERIES_MAX_ANALYSES analyses match
+   */
+  async collectAnalyses(filters, collection = CONFIG.BLACKSWAN_COLLECTION) {
+    const analyses = [];
+    let after;
+
+    do {
+      const {
+        analyses: page,
+        nextCursor,
+        error,
+      } = await this.getRecentAnalyses(
+        Math.min(1000, CONFIG.TIMESERIES_MAX_ANALYSES - analyses.length),
+        { ...filters, after },
+        collection
+      );
+
+      if (error) return { analyses, truncated: false, error };
+
+      analyses.push(...page);
+      after = nextCursor;
+    } while (after && analyses.length < CONFIG.TIMESERIES_MAX_ANALYSES);
+
+    // Older analyses in the range were not read
+    return { analyses, truncated: !!after };
   }
+}
+
+/**
+ * Service Initialization
+ *
+ * Initialize the main Black Swan analysis service instance.
+ * This service coordinates all analysis operations and data aggregation.
+ */
+const blackSwanService = new BlackSwanAnalysisService(storage);
+
+/**
+ * Alerting Initialization
+ *
+ * Subscribes the alert manager to analysis events so configured rules fire on
+ * every completed or failed analysis.
+ */
+const alertManager = new AlertManager({
+  rules: {
+    scoreThresholds: CONFIG.ALERT_SCORE_THRESHOLDS,
+    scoreDelta: CONFIG.ALERT_SCORE_DELTA,
+    consecutiveFailures: CONFIG.ALERT_CONSECUTIVE_FAILURES,
+  },
+  channels: createAlertChannels({
+    webhookUrls: CONFIG.ALERT_WEBHOOK_URLS,
+    slackWebhookUrl: CONFIG.ALERT_SLACK_WEBHOOK_URL,
+    telegram: {
+      botToken: CONFIG.ALERT_TELEGRAM_BOT_TOKEN,
+      chatId: CONFIG.ALERT_TELEGRAM_CHAT_ID,
+      apiUrl: CONFIG.ALERT_TELEGRAM_API_URL,
+    },
+  }),
+  cooldownMs: CONFIG.ALERT_COOLDOWN_MS,
+  getHistoricalAnalyses: () =>
+    blackSwanService.dataAggregator.historicalAnalyses,
 });
+alertManager.attach(eventEmitter);
 
 /**
- * Get Latest Analysis Endpoint
+ * Live Stream Initialization
  *
- * Retrieves the most recent Black Swan analysis from Firestore.
- * Returns null if no analyses are available.
+ * Forwards analysis and source listener events to Server-Sent Events clients.
+ */
+const eventStream = new EventStreamHub({
+  heartbeatMs: CONFIG.STREAM_HEARTBEAT_MS,
+  maxClients: CONFIG.STREAM_MAX_CLIENTS,
+});
+eventStream.attach(eventEmitter);
+
+/**
+ * Metrics Initialization
+ *
+ * Counts analysis runs, LLM requests, validation failures and listener
+ * errors from service events; source health and the latest score are read
+ * on every scrape.
+ */
+const metrics = new ServiceMetrics({
+  getSourceHealth: () => blackSwanService.dataAggregator.getSourceHealth(),
+  getLatestAnalysis: () =>
+    blackSwanService.dataAggregator.historicalAnalyses[0] || null,
+  defaultMetrics: CONFIG.METRICS_DEFAULT_METRICS,
+});
+metrics.attach(eventEmitter);
+
+/**
+ * Health Monitor Initialization
+ *
+ * Combines listener, source, storage, provider and pipeline state into the
+ * liveness and readiness reports served by /health/live and /health/ready.
+ */
+const healthMonitor = new HealthMonitor({
+  storage,
+  sources,
+  getListenerStates: () => blackSwanService.dataAggregator.getListenerStates(),
+  getSourceHealth: () => blackSwanService.dataAggregator.getSourceHealth(),
+  getProviders: () =>
+    blackSwanService.llm
+      .getConfiguredProviders()
+      .map((provider) => provider.name),
+  getLatestAnalysis: () =>
+    blackSwanService.dataAggregator.historicalAnalyses[0] || null,
+  getStartupState: () => blackSwanService.dataAggregator.getStartupState(),
+  maxConsecutiveFailures: CONFIG.HEALTH_MAX_CONSECUTIVE_FAILURES,
+  maxAnalysisAgeMs: CONFIG.HEALTH_MAX_ANALYSIS_AGE_MS,
+});
+healthMonitor.attach(eventEmitter);
+
+/**
+ * Analysis Job Queue Initialization
+ *
+ * Every analysis run (API trigger or cron) goes through this queue, so only
+ * one run executes at a time and duplicate triggers are coalesced.
+ */
+const analysisJobs = new AnalysisJobQueue({
+  run: (job) => blackSwanService.performBlackSwanAnalysis({ runId: job.id }),
+  summarize: (result) =>
+    result.success
+      ? {
+          analysis_id: result.storage?.documentId || null,
+          blackswan_score: result.analysis.blackswan_score,
+          certainty: result.analysis.certainty,
+          provisional: result.analysis.provisional,
+        }
+      : null,
+  historySize: CONFIG.JOB_HISTORY_SIZE,
+});
+
+/**
+ * API Routes
+ *
+ * RESTful API endpoints for interacting with the Black Swan analysis service.
+ * Includes health checks, manual triggers, and data retrieval endpoints.
  */
-app.get("/api/analysis/latest", async (req, res) => {
-  try {
-    // Get the most recent analysis
-    const { analyses } = await blackSwanService.getRecentAnalyses(1);
 
-    if (analyses.length === 0) {
-      return res.json({
-        latest: null,
-        message: "No analyses available",
+/**
+ * Health Check Endpoint
+ *
+ * Provides service health status and configuration information.
+ * Useful for monitoring and service discovery. The status is the readiness
+ * status (starting, healthy, degraded or unhealthy); see /health/ready for
+ * details.
+ */
+app.get("/health", (req, res) => {
+  res.json({
+    status: healthMonitor.getReadiness().status,
+    service: "macro-blackswan-analysis-service",
+    version: "1.0.0",
+    timestamp: new Date().toISOString(),
+    firestore: storage.name === "firestore" && storage.isAvailable(), // Firestore availability status
+    storage: { backend: storage.name, available: storage.isAvailable() }, // Storage backend status
+    openrouter: !!CONFIG.OPENROUTER_API_KEY, // OpenRouter API key status
+    llm_providers: blackSwanService.llm
+      .getConfiguredProviders()
+      .map((provider) => provider.name), // Usable providers in fallback order
+  });
+});
+
+/**
+ * Liveness Endpoint
+ *
+ * Answers as long as the process is up and serving requests. Orchestrators
+ * restart the service when this fails.
+ */
+app.get("/health/live", (req, res) => {
+  res.json(healthMonitor.getLiveness());
+});
+
+/**
+ * Readiness Endpoint
+ *
+ * Per-listener state, source freshness, startup barrier, pipeline state
+ * (last successful analysis, failure streak) and the next scheduled run,
+ * with an overall starting/healthy/degraded/unhealthy status. Starting and
+ * unhealthy respond with 503 so orchestrators keep the instance out of
+ * rotation.
+ */
+app.get("/health/ready", (req, res) => {
+  const readiness = healthMonitor.getReadiness();
+  res
+    .status(["unhealthy", "starting"].includes(readiness.status) ? 503 : 200)
+    .json(readiness);
+});
+
+/**
+ * Prometheus Metrics Endpoint
+ *
+ * Analysis run, LLM, validation, listener and source health metrics in the
+ * Prometheus text format. Requires the reader role like the analysis routes.
+ */
+if (CONFIG.METRICS_ENABLED) {
+  app.get("/metrics", auth.requireRole("reader"), async (req, res) => {
+    try {
+      res.set("Content-Type", metrics.contentType);
+      res.send(await metrics.render());
+    } catch (error) {
+      log.api.error("Render metrics failed", { error: error.message });
+      res.status(500).json({
+        error: error.message,
         timestamp: new Date().toISOString(),
       });
     }
+  });
+}
 
-    res.json({
-      latest: analyses[0],
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    console.error("❌ [API] Get latest analysis failed:", error.message);
-    res.status(500).json({
-      error: error.message,
+/**
+ * Manual Analysis Trigger Endpoint
+ *
+ * Allows manual triggering of Black Swan analysis via API call.
+ * Useful for testing, debugging, or on-demand analysis requests.
+ * The run goes through the job queue; with `?async=true` the endpoint
+ * returns 202 with the job right away instead of waiting for the result.
+ */
+app.post(
+  "/api/analysis/trigger",
+  auth.requireRole("operator"),
+  async (req, res) => {
+    try {
+      log.api.info("Analysis triggered via API", {
+        caller: req.principal.name,
+      });
+
+      const { job, coalesced } = analysisJobs.enqueue(
+        "api",
+        req.principal.name
+      );
+      await auditLog.record(req, "analysis.trigger", {
+        job_id: job.id,
+        coalesced,
+        async: req.query.async === "true",
+      });
+
+      if (req.query.async === "true") {
+        return res.status(202).json({
+          success: true,
+          triggered: true,
+          coalesced,
+          job: analysisJobs.toJSON(job),
+          status_url: `/api/analysis/jobs/${job.id}`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      // Wait for the (possibly shared) run to finish
+      const result = await job.done;
+
+      res.json({
+        success: true,
+        triggered: true,
+        job_id: job.id,
+        coalesced,
+        timestamp: new Date().toISOString(),
+        result,
+      });
+    } catch (error) {
+      log.api.error("Trigger analysis failed", { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+);
+
+/**
+ * Analysis Jobs Endpoints
+ *
+ * List recent analysis runs, or get the state of one run by job ID.
+ */
+app.get("/api/analysis/jobs", auth.requireRole("reader"), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  res.json({
+    jobs: analysisJobs.list(limit),
+    ...analysisJobs.getStatus(),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+app.get("/api/analysis/jobs/:id", auth.requireRole("reader"), (req, res) => {
+  const job = analysisJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: `Job ${req.params.id} not found`,
       timestamp: new Date().toISOString(),
     });
   }
+
+  res.json({ job, timestamp: new Date().toISOString() });
 });
 
+/**
+ * Get Latest Analysis Endpoint
+ *
+ * Retrieves the most recent Black Swan analysis from Firestore.
+ * Returns null if no analyses are available.
+ */
+app.get(
+  "/api/analysis/latest",
+  auth.requireRole("reader"),
+  async (req, res) => {
+    try {
+      // Get the most recent analysis
+      const { analyses } = await blackSwanService.getRecentAnalyses(1);
+
+      if (analyses.length === 0) {
+        return res.json({
+          latest: null,
+          message: "No analyses available",
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      res.json({
+        latest: analyses[0],
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      log.api.error("Get latest analysis failed", { error: error.message });
+      res.status(500).json({
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+);
+
 /**
  * Get Recent Analyses Endpoint
  *
- * Retrieves multiple recent Black Swan analyses from Firestore.
- * Supports a limit query parameter (max 50, default 10).
+ * Retrieves Black Swan analyses from Firestore, newest first.
+ * Query parameters:
+ * - limit: page size (default 10, max 50; max 1000 when `fields` is given)
+ * - from / to: ISO date range on the analysis timestamp
+ * - min_score, model, prompt_version: result filters
+ * - fields: comma-separated projection (`id` and `timestamp` are always returned)
+ * - cursor: `next_cursor` from the previous page
  */
-app.get("/api/analysis/recent", async (req, res) => {
-  try {
-    // Parse and validate limit parameter
-    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+app.get(
+  "/api/analysis/recent",
+  auth.requireRole("reader"),
+  async (req, res) => {
+    try {
+      // Parse and validate query parameters
+      let options;
+      try {
+        options = parseHistoryQuery(req.query, {
+          defaultLimit: 10,
+          maxLimit: 50,
+          maxProjectedLimit: 1000,
+        });
+      } catch (error) {
+        return res.status(error.status || 400).json({
+          error: error.message,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const { limit, ...filters } = options;
+
+      // Get recent analyses
+      const { analyses, nextCursor, error } =
+        await blackSwanService.getRecentAnalyses(limit, filters);
+
+      if (error) {
+        return res.status(500).json({ error });
+      }
+
+      res.json({
+        analyses,
+        count: analyses.length,
+        next_cursor: nextCursor,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      log.api.error("Get recent analyses failed", { error: error.message });
+      res.status(500).json({
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+);
+
+/**
+ * Analysis Provenance Endpoint
+ *
+ * Returns how an analysis was produced: input document IDs and timestamps,
+ * the filled prompt, every raw model response, token usage, latency and the
+ * prompt version.
+ */
+app.get(
+  "/api/analysis/:id/provenance",
+  auth.requireRole("reader"),
+  async (req, res) => {
+    try {
+      const { provenance, error } = await blackSwanService.getProvenance(
+        req.params.id
+      );
+
+      if (error) {
+        return res.status(500).json({ error });
+      }
+
+      if (!provenance) {
+        return res.status(404).json({
+          error: `No provenance stored for analysis ${req.params.id}`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      res.json({
+        provenance,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      log.api.error("Get analysis provenance failed", { error: error.message });
+      res.status(500).json({
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+);
+
+/**
+ * Analysis Replay Endpoint
+ *
+ * Re-runs a stored analysis (`analysis_id`) or every analysis in a date range
+ * (`from`/`to`, up to `limit`) on the exact input documents it consumed, with
+ * a chosen `model` and/or `prompt_version`. Replays are never stored; the
+ * response compares scores and risk factors side by side.
+ */
+app.post(
+  "/api/analysis/replay",
+  auth.requireRole("operator"),
+  async (req, res) => {
+    try {
+      const {
+        analysis_id: analysisId,
+        model,
+        prompt_version: promptVersion,
+      } = req.body || {};
+      const options = { model, promptVersion };
+
+      await auditLog.record(req, "analysis.replay", {
+        analysis_id: analysisId || null,
+        from: req.body?.from || null,
+        to: req.body?.to || null,
+        model: model || null,
+        prompt_version: promptVersion || null,
+      });
+
+      if (analysisId) {
+        const replay = await blackSwanService.replayAnalysis(
+          String(analysisId),
+          options
+        );
+        return res.json({ ...replay, timestamp: new Date().toISOString() });
+      }
+
+      const { from, to, limit } = req.body || {};
+      if (!from && !to) {
+        return res.status(400).json({
+          error: "analysis_id or a from/to date range is required",
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const range = parseHistoryQuery(
+        { from, to, limit },
+        {
+          defaultLimit: CONFIG.REPLAY_MAX_ANALYSES,
+          maxLimit: CONFIG.REPLAY_MAX_ANALYSES,
+          maxProjectedLimit: CONFIG.REPLAY_MAX_ANALYSES,
+        }
+      );
+      const result = await blackSwanService.replayAnalyses(
+        { from: range.from, to: range.to },
+        range.limit,
+        options
+      );
+
+      if (result.error) {
+        return res.status(500).json({ error: result.error });
+      }
+
+      res.json({ ...result, timestamp: new Date().toISOString() });
+    } catch (error) {
+      log.api.error("Analysis replay failed", { error: error.message });
+      res.status(error.status || 500).json({
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+);
+
+/**
+ * Score Time Series Endpoint
+ *
+ * Returns blackswan_score and certainty bucketed by hour, day or week with
+ * min/max/mean/last per bucket, plus moving average and volatility of the score.
+ * Query parameters:
+ * - interval: hour | day | week (default: day)
+ * - window: buckets used for moving statistics (default 7, max 100)
+ * - from / to: ISO date range (default: a range suited to the interval, up to now)
+ * - model, prompt_version: result filters
+ */
+app.get(
+  "/api/analysis/timeseries",
+  auth.requireRole("reader"),
+  async (req, res) => {
+    try {
+      const interval = req.query.interval || "day";
+      if (!TIMESERIES_INTERVALS[interval]) {
+        return res.status(400).json({
+          error: `interval must be one of: ${Object.keys(
+            TIMESERIES_INTERVALS
+          ).join(", ")}`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const window = parseInt(req.query.window ?? "7");
+      if (!Number.isInteger(window) || window < 1 || window > 100) {
+        return res.status(400).json({
+          error: "window must be an integer between 1 and 100",
+          timestamp: new Date().toISOString(),
+        });
+      }
 
-    // Get recent analyses
-    const { analyses, error } = await blackSwanService.getRecentAnalyses(limit);
+      // Reuse the history parser for date and filter validation
+      let filters;
+      try {
+        const { from, to, model, promptVersion } = parseHistoryQuery(
+          {
+            from: req.query.from,
+            to: req.query.to,
+            model: req.query.model,
+            prompt_version: req.query.prompt_version,
+          },
+          { defaultLimit: 1, maxLimit: 1, maxProjectedLimit: 1 }
+        );
+        const end = to ? Date.parse(to) : Date.now();
+        filters = {
+          from:
+            from ||
+            new Date(
+              end - TIMESERIES_INTERVALS[interval].defaultRangeMs
+            ).toISOString(),
+          to,
+          model,
+          promptVersion,
+        };
+      } catch (error) {
+        return res.status(error.status || 400).json({
+          error: error.message,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const series = await blackSwanService.getScoreTimeSeries({
+        interval,
+        window,
+        filters,
+      });
 
-    if (error) {
-      return res.status(500).json({ error });
+      if (series.error) {
+        return res.status(500).json({ error: series.error });
+      }
+
+      res.json({
+        ...series,
+        from: filters.from,
+        to: filters.to || null,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      log.api.error("Get score time series failed", { error: error.message });
+      res.status(500).json({
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      });
     }
+  }
+);
+
+/**
+ * Prompt Versions Endpoint
+ *
+ * Lists available prompt versions with their template hashes, the production
+ * version and the versions currently running in shadow.
+ */
+app.get("/api/prompts", auth.requireRole("reader"), (req, res) => {
+  try {
+    const { promptManager } = blackSwanService;
+    const versions = promptManager.getAvailableVersions().map((version) => ({
+      version,
+      template_hash: promptManager.getTemplateHash(
+        "blackswan-analysis",
+        version
+      ),
+      role:
+        version === CONFIG.PROMPT_VERSION
+          ? "production"
+          : CONFIG.SHADOW_PROMPT_VERSIONS.includes(version)
+          ? "shadow"
+          : "inactive",
+    }));
 
     res.json({
-      analyses,
-      count: analyses.length,
+      production_version: CONFIG.PROMPT_VERSION,
+      shadow_versions: CONFIG.SHADOW_PROMPT_VERSIONS,
+      versions,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
-    console.error("❌ [API] Get recent analyses failed:", error.message);
+    log.api.error("List prompt versions failed", { error: error.message });
     res.status(500).json({
       error: error.message,
       timestamp: new Date().toISOString(),
@@ -1180,13 +3076,89 @@ app.get("/api/analysis/recent", async (req, res) => {
   }
 });
 
+/**
+ * Prompt Comparison Endpoint
+ *
+ * Compares score distributions between prompt versions, in production and in
+ * shadow, before a candidate version is promoted.
+ * Query parameters:
+ * - versions: comma-separated versions (default: production and shadow versions)
+ * - from / to: ISO date range (default: the last 30 days)
+ */
+app.get(
+  "/api/prompts/compare",
+  auth.requireRole("reader"),
+  async (req, res) => {
+    try {
+      const versions = req.query.versions
+        ? parseList(req.query.versions)
+        : [CONFIG.PROMPT_VERSION, ...CONFIG.SHADOW_PROMPT_VERSIONS];
+
+      let filters;
+      try {
+        const { from, to } = parseHistoryQuery(
+          { from: req.query.from, to: req.query.to },
+          { defaultLimit: 1, maxLimit: 1, maxProjectedLimit: 1 }
+        );
+        const end = to ? Date.parse(to) : Date.now();
+        filters = {
+          from: from || new Date(end - 30 * 24 * 60 * 60 * 1000).toISOString(),
+          to,
+        };
+      } catch (error) {
+        return res.status(error.status || 400).json({
+          error: error.message,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const comparison = await blackSwanService.comparePromptVersions(
+        Array.from(new Set(versions)),
+        filters
+      );
+
+      if (comparison.error) {
+        return res.status(500).json({ error: comparison.error });
+      }
+
+      res.json({
+        ...comparison,
+        from: filters.from,
+        to: filters.to || null,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      log.api.error("Compare prompt versions failed", { error: error.message });
+      res.status(500).json({
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+);
+
+/**
+ * Live Stream Endpoint
+ *
+ * Server-Sent Events stream that pushes each new analysis as it completes and,
+ * optionally, source listener updates. Use `?topics=analysis` or
+ * `?topics=sources` to subscribe to a single topic (default: both).
+ */
+app.get(
+  "/api/stream",
+  auth.requireRole("reader", { allowQueryKey: true }),
+  (req, res) => {
+    eventStream.handleRequest(req, res);
+  }
+);
+
 /**
  * Service Status Endpoint
  *
  * Provides detailed service status, configuration, and runtime information.
  * Useful for monitoring and debugging service operations.
  */
-app.get("/api/status", (req, res) => {
+app.get("/api/status", auth.requireRole("operator"), (req, res) => {
   res.json({
     service: "macro-blackswan-analysis-service",
     version: "1.0.0",
@@ -1194,92 +3166,176 @@ app.get("/api/status", (req, res) => {
     configuration: {
       analysisInterval: CONFIG.ANALYSIS_INTERVAL, // Cron schedule
       model: CONFIG.MODEL, // AI model used
+      promptVersion: CONFIG.PROMPT_VERSION, // Production prompt version
+      shadowPromptVersions: CONFIG.SHADOW_PROMPT_VERSIONS, // Prompt versions run in shadow
+      ensembleModels: CONFIG.ENSEMBLE_MODELS, // Ensemble models (if enabled)
+      llmProviders: CONFIG.LLM_PROVIDERS, // Provider fallback chain
       collection: CONFIG.BLACKSWAN_COLLECTION, // Firestore collection
-      services: Object.keys(CONFIG.COLLECTIONS), // Available data sources
+      storageBackend: storage.name, // Active storage backend
+      services: sources.map((source) => source.name), // Registered data sources
     },
+    alerts: alertManager.getStatus(), // Alert rules and channels
+    streamClients: eventStream.getClientCount(), // Connected SSE clients
+    jobs: analysisJobs.getStatus(), // Running and queued analysis jobs
+    auth: auth.getStatus(), // Authentication settings
+    effectiveConfig: describeConfig(loadedConfig), // All settings, secrets redacted
     uptime: process.uptime(), // Service uptime in seconds
   });
 });
 
 /**
- * Automated Analysis Scheduling
+ * Audit Log Endpoint
  *
- * Sets up a cron job to automatically trigger Black Swan analysis
- * at regular intervals. The schedule is configurable via CONFIG.ANALYSIS_INTERVAL.
+ * Lists recorded operator actions (who triggered which run, replays), newest
+ * first. Supports `limit` (max 500) and `action` filters.
  */
-console.log(`⏰ [CRON] Scheduling Black Swan analysis every hour`);
-cron.schedule(CONFIG.ANALYSIS_INTERVAL, async () => {
-  console.log("⏰ [CRON] Triggered scheduled Black Swan analysis");
+app.get("/api/audit", auth.requireRole("operator"), async (req, res) => {
   try {
-    // Perform automated analysis
-    await blackSwanService.performBlackSwanAnalysis();
+    if (!storage.isAvailable()) {
+      return res.status(503).json({
+        error: "Firestore not available",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const entries = await auditLog.list({
+      limit: Math.min(parseInt(req.query.limit) || 50, 500),
+      action: req.query.action || undefined,
+    });
+
+    res.json({
+      entries,
+      count: entries.length,
+      timestamp: new Date().toISOString(),
+    });
   } catch (error) {
-    console.error("❌ [CRON] Scheduled analysis failed:", error);
+    log.api.error("Get audit log failed", { error: error.message });
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
   }
 });
 
 /**
- * Server Startup
+ * Release listeners, storage and open event streams
  *
- * Starts the Express.js server and displays configuration information.
- * The server listens on the configured port and provides API endpoints.
+ * Used by graceful shutdown and by scripts that load the service without
+ * starting the server.
+ *
+ * @returns {Promise<void>} Resolves once the storage backend is closed
+ *   (pending local store writes are on disk)
  */
-const server = app.listen(CONFIG.PORT, () => {
-  console.log("🦢 [SERVER] Macro Black Swan Analysis Service started");
-  console.log(`📍 [SERVER] Running on port ${CONFIG.PORT}`);
-  console.log(`⏰ [CONFIG] Analysis every hour`);
-  console.log(
-    `🔧 [CONFIG] Monitoring ${
-      Object.keys(CONFIG.COLLECTIONS).length
-    } Firestore collections`
-  );
-  console.log(
-    `📊 [CONFIG] Firestore integration: ${db ? "enabled" : "disabled"}`
-  );
-  if (db) {
-    console.log(
-      `📡 [CONFIG] Collections: ${Object.values(CONFIG.COLLECTIONS).join(", ")}`
-    );
-  }
-});
+async function closeService() {
+  // Clean up Firestore listeners and close open event streams so the server
+  // can shut down
+  blackSwanService.dataAggregator.cleanup();
+  eventStream.close();
+
+  // Release the storage backend
+  await storage.close();
+}
 
 /**
- * Graceful Shutdown Handling
+ * Start live data collection, the scheduler and the HTTP server
+ *
+ * Only runs when index.js is the entry point, so scripts (e.g. replay) can
+ * require the service without listeners, the warm-start cache, serving
+ * traffic or scheduling analyses.
  *
- * Implements graceful shutdown procedures to ensure proper cleanup
- * of resources when the service is terminated. This includes:
- * - Cleaning up Firestore listeners
- * - Closing the HTTP server
- * - Exiting the process cleanly
+ * @returns {http.Server} The listening server
  */
+function startServer() {
+  blackSwanService.start();
 
-// Handle SIGINT (Ctrl+C) signal
-process.on("SIGINT", () => {
-  console.log("🛑 [SERVER] Received SIGINT, shutting down gracefully");
+  /**
+   * Automated Analysis Scheduling
+   *
+   * Sets up a cron job to automatically trigger Black Swan analysis
+   * at regular intervals. The schedule is configurable via CONFIG.ANALYSIS_INTERVAL.
+   */
+  log.cron.info("Scheduling Black Swan analysis", {
+    schedule: CONFIG.ANALYSIS_INTERVAL,
+  });
+  healthMonitor.setSchedule(CONFIG.ANALYSIS_INTERVAL);
+  cron.schedule(CONFIG.ANALYSIS_INTERVAL, async () => {
+    log.cron.info("Scheduled analysis triggered");
+    try {
+      // Runs that fire before the initial snapshots arrived would analyze
+      // partial or cached data: wait for the startup barrier, or skip
+      const aggregator = blackSwanService.dataAggregator;
+      const startup = aggregator.getStartupState();
+      if (!startup.ready) {
+        if (CONFIG.STARTUP_CRON_POLICY === "skip") {
+          log.cron.warn("Skipping scheduled analysis, service not ready", {
+            waiting_for: startup.waiting_for,
+          });
+          return;
+        }
+        log.cron.info("Delaying scheduled analysis until service is ready", {
+          waiting_for: startup.waiting_for,
+        });
+        await aggregator.whenReady();
+      }
 
-  // Clean up Firestore listeners
-  blackSwanService.dataAggregator.cleanup();
+      // Queue automated analysis (coalesced with any pending API trigger)
+      const { job } = analysisJobs.enqueue("cron");
+      await job.done;
+    } catch (error) {
+      log.cron.error("Scheduled analysis failed", { error: error.message });
+    }
+  });
 
-  // Close HTTP server
-  server.close(() => {
-    console.log("✅ [SERVER] Server closed");
-    process.exit(0);
+  /**
+   * Server Startup
+   *
+   * Starts the Express.js server and displays configuration information.
+   * The server listens on the configured port and provides API endpoints.
+   */
+  const server = app.listen(CONFIG.PORT, () => {
+    log.server.info("Macro Black Swan Analysis Service started", {
+      port: CONFIG.PORT,
+      analysis_interval: CONFIG.ANALYSIS_INTERVAL,
+      sources: sources.length,
+      storage_backend: storage.name,
+      storage_available: storage.isAvailable(),
+      collections: storage.isAvailable()
+        ? Array.from(new Set(sources.map((source) => source.collection)))
+        : [],
+    });
   });
-});
 
-// Handle SIGTERM signal (used by process managers)
-process.on("SIGTERM", () => {
-  console.log("🛑 [SERVER] Received SIGTERM, shutting down gracefully");
+  /**
+   * Graceful Shutdown Handling
+   *
+   * Implements graceful shutdown procedures to ensure proper cleanup
+   * of resources when the service is terminated. This includes:
+   * - Cleaning up Firestore listeners and the storage backend
+   * - Closing the HTTP server
+   * - Exiting the process cleanly
+   */
+  const shutdown = async (signal) => {
+    log.server.info("Shutting down gracefully", { signal });
 
-  // Clean up Firestore listeners
-  blackSwanService.dataAggregator.cleanup();
+    await closeService();
 
-  // Close HTTP server
-  server.close(() => {
-    console.log("✅ [SERVER] Server closed");
-    process.exit(0);
-  });
-});
+    // Close HTTP server
+    server.close(() => {
+      log.server.info("Server closed");
+      process.exit(0);
+    });
+  };
+
+  // Handle SIGINT (Ctrl+C) and SIGTERM (used by process managers)
+  process.on("SIGINT", () => shutdown("SIGINT"));
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+  return server;
+}
+
+if (require.main === module) {
+  startServer();
+}
 
 /**
  * Module Exports
@@ -1287,4 +3343,4 @@ process.on("SIGTERM", () => {
  * Exports the main service instance and Express app for testing
  * and external integration purposes.
  */
-module.exports = { blackSwanService, app };
+module.exports = { blackSwanService, app, CONFIG, startServer, closeService };
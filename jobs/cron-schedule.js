@@ -0,0 +1,139 @@
+/**
+ * Cron Schedule
+ * Computes when a node-cron expression fires next. node-cron has no public
+ * API for this, so expressions are expanded here following node-cron's own
+ * rules, keeping the result in step with the scheduler: an optional seconds
+ * field, month and weekday names, weekday 7 read as 0 before ranges are
+ * expanded (so 5-7 means 0-5, as node-cron runs it), step values that keep
+ * the values divisible by the step, and day of month and day of week that
+ * must both match. Expressions are validated with cron.validate beforehand.
+ */
+
+// Search horizon; covers expressions that only fire on February 29
+const MAX_DAYS = 366 * 8;
+
+const MONTH_NAMES = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+];
+const WEEKDAY_NAMES = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+// Fields in expression order, with their ranges and names
+const FIELDS = [
+  { name: "seconds", min: 0, max: 59 },
+  { name: "minutes", min: 0, max: 59 },
+  { name: "hours", min: 0, max: 23 },
+  { name: "days", min: 1, max: 31 },
+  { name: "months", min: 1, max: 12, names: MONTH_NAMES, firstName: 1 },
+  { name: "weekdays", min: 0, max: 6, names: WEEKDAY_NAMES, firstName: 0 },
+];
+
+/**
+ * Expand one field into its allowed values
+ *
+ * @param {string} field - Field of the expression, e.g. "1-5", "*\/15", "mon,fri"
+ * @param {Object} spec - Entry of FIELDS
+ * @returns {Array<number>} Sorted allowed values
+ */
+function expandField(field, spec) {
+  // Full or three-letter names become their numbers
+  const numeric = field.toLowerCase().replace(/[a-z]+/g, (name) => {
+    const index = (spec.names || []).findIndex(
+      (full) => full === name || full.slice(0, 3) === name
+    );
+    return index === -1 ? name : String(index + spec.firstName);
+  });
+
+  const [list, step] = (
+    spec.name === "weekdays" ? numeric.replace(/\b7\b/g, "0") : numeric
+  ).split("/");
+  let values = list.split(",").flatMap((part) => {
+    if (part === "*") part = `${spec.min}-${spec.max}`;
+    const [from, to = from] = part.split("-").map(Number);
+    const [low, high] = from <= to ? [from, to] : [to, from];
+    return Array.from({ length: high - low + 1 }, (_, i) => low + i);
+  });
+  if (step !== undefined) {
+    values = values.filter((value) => value % Number(step) === 0);
+  }
+  return [...new Set(values)].sort((a, b) => a - b);
+}
+
+/**
+ * Expand an expression into the allowed values of each field
+ *
+ * @param {string} expression - Cron expression (5 or 6 fields)
+ * @returns {Object} { seconds, minutes, hours, days, months, weekdays }
+ */
+function expandCronExpression(expression) {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length === 5) fields.unshift("0");
+  return Object.fromEntries(
+    FIELDS.map((spec, index) => [spec.name, expandField(fields[index], spec)])
+  );
+}
+
+/**
+ * Next time an expression fires, in local time like node-cron
+ *
+ * @param {string} expression - Cron expression (5 or 6 fields)
+ * @param {Date} after - Start of the search (exclusive, default: now)
+ * @returns {Date|null} Next run, or null if none within the search horizon
+ */
+function nextCronRun(expression, after = new Date()) {
+  const fields = expandCronExpression(expression);
+  const start = new Date(after.getTime() + 1000);
+  start.setMilliseconds(0);
+
+  for (let offset = 0; offset < MAX_DAYS; offset++) {
+    const day = new Date(
+      start.getFullYear(),
+      start.getMonth(),
+      start.getDate() + offset
+    );
+    if (
+      !fields.months.includes(day.getMonth() + 1) ||
+      !fields.days.includes(day.getDate()) ||
+      !fields.weekdays.includes(day.getDay())
+    ) {
+      continue;
+    }
+
+    for (const hour of fields.hours) {
+      for (const minute of fields.minutes) {
+        for (const second of fields.seconds) {
+          const run = new Date(
+            day.getFullYear(),
+            day.getMonth(),
+            day.getDate(),
+            hour,
+            minute,
+            second
+          );
+          if (run >= start) return run;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = { expandCronExpression, nextCronRun };
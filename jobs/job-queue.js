@@ -0,0 +1,192 @@
+/**
+ * Analysis Job Queue
+ * Single-flight queue for analysis runs: at most one run executes at a time,
+ * and triggers that arrive while a run is already waiting are coalesced into
+ * it, so concurrent API calls and the cron job never start parallel
+ * (and paid) LLM runs.
+ */
+
+const crypto = require("crypto");
+const { createLogger } = require("../logging/logger");
+
+const log = createLogger("jobs");
+
+/**
+ * Jobs move through the states queued -> running -> succeeded | failed.
+ * Finished jobs are kept in memory for status lookups.
+ */
+class AnalysisJobQueue {
+  /**
+   * @param {Object} options
+   * @param {Function} options.run - async (job) => result; a result with
+   *   `success: false` (or a thrown error) marks the job failed
+   * @param {Function} [options.summarize] - (result) => summary stored on the job
+   * @param {number} [options.historySize] - Finished jobs kept for status lookups
+   */
+  constructor({ run, summarize = () => null, historySize = 100 }) {
+    this.run = run;
+    this.summarize = summarize;
+    this.historySize = historySize;
+
+    // All known jobs by ID, oldest first (Map keeps insertion order)
+    this.jobs = new Map();
+
+    // Job currently executing, and the job waiting to run after it
+    this.running = null;
+    this.queued = null;
+  }
+
+  /**
+   * Request an analysis run
+   *
+   * Returns the already queued job if there is one (the trigger is coalesced
+   * into it); otherwise queues a new job, which starts immediately when
+   * nothing is running.
+   *
+   * @param {string} source - What triggered the run (e.g. 'api', 'cron')
+   * @param {string|null} [actor] - Who triggered the run (API caller name)
+   * @returns {Object} { job, coalesced } - job is the internal job record; use toJSON() for output
+   */
+  enqueue(source, actor = null) {
+    const trigger = { source, actor, at: new Date().toISOString() };
+
+    if (this.queued) {
+      this.queued.triggers.push(trigger);
+      log.info("Trigger coalesced into queued job", {
+        job_id: this.queued.id,
+        source,
+        actor,
+      });
+      return { job: this.queued, coalesced: true };
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      state: "queued",
+      source,
+      triggered_by: actor,
+      triggers: [trigger],
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      duration_ms: null,
+      result: null,
+      error: null,
+    };
+    job.done = new Promise((resolve) => {
+      job.resolve = resolve;
+    });
+
+    this.jobs.set(job.id, job);
+    this.queued = job;
+    log.info("Job queued", { job_id: job.id, source, actor });
+
+    this.drain();
+    return { job, coalesced: false };
+  }
+
+  /**
+   * Start the queued job if nothing is running
+   */
+  drain() {
+    if (this.running || !this.queued) return;
+
+    const job = this.queued;
+    this.queued = null;
+    this.running = job;
+    this.execute(job).finally(() => {
+      this.running = null;
+      this.prune();
+      this.drain();
+    });
+  }
+
+  /**
+   * Run a job and record its outcome
+   * @param {Object} job - Job record
+   */
+  async execute(job) {
+    job.state = "running";
+    job.started_at = new Date().toISOString();
+    log.info("Job running", { job_id: job.id });
+
+    let result;
+    try {
+      result = await this.run(job);
+      job.state = result?.success === false ? "failed" : "succeeded";
+      job.error = result?.success === false ? result.error || null : null;
+      job.result = this.summarize(result);
+    } catch (error) {
+      job.state = "failed";
+      job.error = error.message;
+      result = { success: false, error: error.message };
+    }
+
+    job.finished_at = new Date().toISOString();
+    job.duration_ms = Date.parse(job.finished_at) - Date.parse(job.started_at);
+    log[job.state === "failed" ? "warn" : "info"](`Job ${job.state}`, {
+      job_id: job.id,
+      duration_ms: job.duration_ms,
+      error: job.error,
+    });
+    job.resolve(result);
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond the history size
+   */
+  prune() {
+    const finished = Array.from(this.jobs.values()).filter(
+      (job) => job.state === "succeeded" || job.state === "failed"
+    );
+    finished
+      .slice(0, Math.max(0, finished.length - this.historySize))
+      .forEach((job) => this.jobs.delete(job.id));
+  }
+
+  /**
+   * Look up a job
+   * @param {string} id - Job ID
+   * @returns {Object|null} Job as JSON, or null if unknown (or pruned)
+   */
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.toJSON(job) : null;
+  }
+
+  /**
+   * Most recent jobs, newest first
+   * @param {number} limit - Maximum number of jobs
+   * @returns {Array<Object>} Jobs as JSON
+   */
+  list(limit = 20) {
+    return Array.from(this.jobs.values())
+      .reverse()
+      .slice(0, limit)
+      .map((job) => this.toJSON(job));
+  }
+
+  /**
+   * Public view of a job, without its internal promise
+   * @param {Object} job - Job record
+   * @returns {Object}
+   */
+  toJSON(job) {
+    const { done, resolve, ...publicFields } = job;
+    return { ...publicFields, triggers: [...job.triggers] };
+  }
+
+  /**
+   * Queue status for /api/status
+   * @returns {Object} { running, queued, tracked }
+   */
+  getStatus() {
+    return {
+      running: this.running?.id || null,
+      queued: this.queued?.id || null,
+      tracked: this.jobs.size,
+    };
+  }
+}
+
+module.exports = { AnalysisJobQueue };
@@ -0,0 +1,293 @@
+/**
+ * Structured Logger
+ * Leveled logging as one JSON object per line (or a readable single-line
+ * format for local development), with secrets redacted and large payloads
+ * truncated before anything is written.
+ *
+ * Context set with `withLogContext` (e.g. the analysis run ID) is attached to
+ * every entry logged inside it, including entries from async work started
+ * there.
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+const util = require("util");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_FORMATS = ["json", "pretty"];
+
+// Field names whose values are never logged, matched against the lowercased
+// name without separators (so apiKey, api_key and bot_token all match, but
+// prompt_tokens does not)
+const SECRET_FIELD_PATTERN =
+  /(password|passwd|secret|token|apikey|authorization|cookie|credentials?|privatekey)$/;
+
+// Secrets embedded in free text: bearer credentials, service API keys,
+// OpenRouter-style keys and JWTs
+const SECRET_TEXT_PATTERNS = [
+  [/\b(Bearer\s+)[\w.~+/-]+=*/gi, "$1[REDACTED]"],
+  [/\bbsk_[\w-]{8,}/g, "[REDACTED]"],
+  [/\bsk-[\w-]{16,}/g, "[REDACTED]"],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, "[REDACTED]"],
+  [/([?&](?:api_key|token|key)=)[^&\s]+/gi, "$1[REDACTED]"],
+];
+
+const MAX_DEPTH = 4;
+const MAX_ARRAY_ITEMS = 20;
+
+const settings = {
+  level: "info",
+  format: "json",
+  maxStringLength: 1000,
+  destination: null, // null: debug/info to stdout, warn/error to stderr
+};
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Update logging settings; only the given settings change
+ *
+ * @param {Object} options
+ * @param {string} [options.level] - Minimum level: debug, info, warn or error
+ * @param {string} [options.format] - 'json' or 'pretty'
+ * @param {number} [options.maxStringLength] - Longer strings are truncated
+ * @param {string} [options.destination] - 'stderr' to write every entry to stderr
+ * @throws {Error} On an unknown level or format
+ */
+function configureLogging(options) {
+  const { level, format } = options;
+  if (level !== undefined && !LEVELS[level]) {
+    throw new Error(
+      `Unknown log level "${level}" (expected one of: ${Object.keys(
+        LEVELS
+      ).join(", ")})`
+    );
+  }
+  if (format !== undefined && !LOG_FORMATS.includes(format)) {
+    throw new Error(
+      `Unknown log format "${format}" (expected one of: ${LOG_FORMATS.join(
+        ", "
+      )})`
+    );
+  }
+
+  Object.entries(options)
+    .filter(([, value]) => value !== undefined)
+    .forEach(([key, value]) => {
+      settings[key] = value;
+    });
+}
+
+/**
+ * Run a function with fields attached to every entry logged inside it
+ *
+ * @param {Object} fields - Context fields, e.g. { run_id }
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Current log context fields
+ * @returns {Object}
+ */
+function getLogContext() {
+  return context.getStore() || {};
+}
+
+/**
+ * Whether a field name holds a secret
+ * @param {string} key - Field name
+ * @returns {boolean}
+ */
+function isSecretField(key) {
+  return SECRET_FIELD_PATTERN.test(key.toLowerCase().replace(/[_-]/g, ""));
+}
+
+/**
+ * Redact secrets in free text and truncate it
+ * @param {string} text - Text to sanitize
+ * @returns {string}
+ */
+function sanitizeText(text) {
+  const redacted = SECRET_TEXT_PATTERNS.reduce(
+    (result, [pattern, replacement]) => result.replace(pattern, replacement),
+    text
+  );
+  if (redacted.length <= settings.maxStringLength) return redacted;
+  return `${redacted.slice(0, settings.maxStringLength)}…[truncated ${
+    redacted.length - settings.maxStringLength
+  } chars]`;
+}
+
+/**
+ * Make a value safe to log: secrets redacted, long strings and arrays
+ * truncated, deep objects collapsed, errors reduced to name and message
+ *
+ * @param {*} value - Value to sanitize
+ * @param {number} depth - Current nesting depth
+ * @returns {*}
+ */
+function sanitize(value, depth = 0) {
+  if (typeof value === "string") return sanitizeText(value);
+  if (value === null || typeof value !== "object") return value;
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: sanitizeText(value.message),
+      ...(value.stage && { stage: value.stage }),
+    };
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? "[Array]" : "[Object]";
+
+  if (Array.isArray(value)) {
+    const items = value
+      .slice(0, MAX_ARRAY_ITEMS)
+      .map((item) => sanitize(item, depth + 1));
+    if (value.length > MAX_ARRAY_ITEMS) {
+      items.push(`…[${value.length - MAX_ARRAY_ITEMS} more items]`);
+    }
+    return items;
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, entry]) => [
+      key,
+      isSecretField(key) && entry !== null && entry !== undefined
+        ? "[REDACTED]"
+        : sanitize(entry, depth + 1),
+    ])
+  );
+}
+
+/**
+ * Render an entry in the pretty format
+ * @param {Object} entry - Sanitized entry
+ * @returns {string}
+ */
+function formatPretty({ time, level, component, msg, ...fields }) {
+  const details = Object.keys(fields).length
+    ? ` ${util.inspect(fields, { breakLength: Infinity, depth: MAX_DEPTH })}`
+    : "";
+  return `${time} ${level
+    .toUpperCase()
+    .padEnd(5)} [${component}] ${msg}${details}`;
+}
+
+class Logger {
+  /**
+   * @param {string} component - Part of the service logging, e.g. 'ai'
+   * @param {Object} [bindings] - Fields added to every entry
+   */
+  constructor(component, bindings = {}) {
+    this.component = component;
+    this.bindings = bindings;
+  }
+
+  /**
+   * Logger with additional fields on every entry
+   * @param {Object} bindings - Fields to add
+   * @returns {Logger}
+   */
+  child(bindings) {
+    return new Logger(this.component, { ...this.bindings, ...bindings });
+  }
+
+  /**
+   * Whether entries of a level are written
+   * @param {string} level - Log level
+   * @returns {boolean}
+   */
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[settings.level];
+  }
+
+  /**
+   * Write an entry
+   * @param {string} level - Log level
+   * @param {string} msg - Message
+   * @param {Object} [fields] - Structured fields
+   */
+  write(level, msg, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const entry = sanitize({
+      time: new Date().toISOString(),
+      level,
+      component: this.component,
+      msg,
+      ...getLogContext(),
+      ...this.bindings,
+      ...fields,
+    });
+    const line =
+      settings.format === "pretty"
+        ? formatPretty(entry)
+        : JSON.stringify(entry);
+
+    const stream =
+      settings.destination === "stderr" || LEVELS[level] >= LEVELS.warn
+        ? process.stderr
+        : process.stdout;
+    stream.write(`${line}\n`);
+  }
+
+  /**
+   * Detail for troubleshooting, hidden unless LOG_LEVEL=debug
+   * @param {string} msg - Message
+   * @param {Object} [fields] - Structured fields
+   */
+  debug(msg, fields) {
+    this.write("debug", msg, fields);
+  }
+
+  /**
+   * Normal operation
+   * @param {string} msg - Message
+   * @param {Object} [fields] - Structured fields
+   */
+  info(msg, fields) {
+    this.write("info", msg, fields);
+  }
+
+  /**
+   * Degraded but recoverable conditions
+   * @param {string} msg - Message
+   * @param {Object} [fields] - Structured fields
+   */
+  warn(msg, fields) {
+    this.write("warn", msg, fields);
+  }
+
+  /**
+   * Failed operations
+   * @param {string} msg - Message
+   * @param {Object} [fields] - Structured fields
+   */
+  error(msg, fields) {
+    this.write("error", msg, fields);
+  }
+}
+
+/**
+ * Create a logger for a component
+ * @param {string} component - Part of the service logging, e.g. 'ai'
+ * @returns {Logger}
+ */
+function createLogger(component) {
+  return new Logger(component);
+}
+
+module.exports = {
+  LEVELS,
+  LOG_FORMATS,
+  Logger,
+  configureLogging,
+  createLogger,
+  getLogContext,
+  sanitize,
+  withLogContext,
+};
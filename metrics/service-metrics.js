@@ -0,0 +1,282 @@
+/**
+ * Prometheus Metrics
+ * Subscribes to service events and exposes analysis pipeline, LLM and source
+ * health metrics in the Prometheus text format for /metrics.
+ *
+ * Counters and histograms are updated from events as they happen; source
+ * health and the latest analysis are read when the metrics are scraped.
+ */
+
+const client = require("prom-client");
+
+// Stages an analysis run can fail in (see performBlackSwanAnalysis)
+const FAILURE_STAGES = [
+  "data",
+  "prepare",
+  "generation",
+  "llm",
+  "validation",
+  "ensemble",
+  "storage",
+];
+
+class ServiceMetrics {
+  /**
+   * @param {object} options
+   * @param {Function} options.getSourceHealth - Returns { [source]: { status, age_ms } }
+   * @param {Function} options.getLatestAnalysis - Returns the most recent stored analysis, or null
+   * @param {boolean} [options.defaultMetrics] - Also collect Node.js process metrics
+   */
+  constructor({ getSourceHealth, getLatestAnalysis, defaultMetrics = true }) {
+    this.register = new client.Registry();
+    if (defaultMetrics) {
+      client.collectDefaultMetrics({ register: this.register });
+    }
+
+    const registers = [this.register];
+
+    this.analysisRuns = new client.Counter({
+      name: "blackswan_analysis_runs_total",
+      help: "Analysis runs by outcome and, for failures, the stage that failed",
+      labelNames: ["outcome", "stage"],
+      registers,
+    });
+
+    this.analysisDuration = new client.Histogram({
+      name: "blackswan_analysis_duration_seconds",
+      help: "Duration of analysis runs, from data collection to storage",
+      labelNames: ["outcome"],
+      buckets: [1, 5, 10, 30, 60, 120, 300, 600],
+      registers,
+    });
+
+    this.llmRequests = new client.Counter({
+      name: "blackswan_llm_requests_total",
+      help: "LLM requests per provider attempt, by outcome",
+      labelNames: ["provider", "outcome"],
+      registers,
+    });
+
+    this.llmLatency = new client.Histogram({
+      name: "blackswan_llm_request_duration_seconds",
+      help: "Latency of successful LLM requests",
+      labelNames: ["provider", "model"],
+      buckets: [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120],
+      registers,
+    });
+
+    this.llmTokens = new client.Counter({
+      name: "blackswan_llm_tokens_total",
+      help: "Tokens used by successful LLM requests",
+      labelNames: ["provider", "model", "type"],
+      registers,
+    });
+
+    this.validationFailures = new client.Counter({
+      name: "blackswan_response_validation_failures_total",
+      help: "AI responses that could not be parsed (parse) or failed the schema (schema)",
+      labelNames: ["kind"],
+      registers,
+    });
+
+    this.listenerErrors = new client.Counter({
+      name: "blackswan_listener_errors_total",
+      help: "Errors raised by storage snapshot listeners",
+      labelNames: ["listener"],
+      registers,
+    });
+
+    this.listenerReconnects = new client.Counter({
+      name: "blackswan_listener_reconnects_total",
+      help: "Resubscriptions of failed storage snapshot listeners",
+      labelNames: ["listener"],
+      registers,
+    });
+
+    this.scoreJumps = new client.Counter({
+      name: "blackswan_score_jumps_total",
+      help: "Scores flagged by the score guard, by outcome (confirmed, replaced or limited)",
+      labelNames: ["outcome"],
+      registers,
+    });
+
+    new client.Gauge({
+      name: "blackswan_source_up",
+      help: "Whether a source has data (1), fresh or stale, or none (0)",
+      labelNames: ["source"],
+      registers,
+      collect() {
+        Object.entries(getSourceHealth()).forEach(([source, health]) =>
+          this.set({ source }, health.status === "unavailable" ? 0 : 1)
+        );
+      },
+    });
+
+    new client.Gauge({
+      name: "blackswan_source_stale",
+      help: "Whether a source's latest data is older than its max age or its listener is reconnecting",
+      labelNames: ["source"],
+      registers,
+      collect() {
+        Object.entries(getSourceHealth()).forEach(([source, health]) =>
+          this.set({ source }, health.status === "stale" ? 1 : 0)
+        );
+      },
+    });
+
+    new client.Gauge({
+      name: "blackswan_source_data_age_seconds",
+      help: "Age of each source's latest document (absent when unknown)",
+      labelNames: ["source"],
+      registers,
+      collect() {
+        this.reset();
+        Object.entries(getSourceHealth())
+          .filter(([, health]) => health.age_ms !== null)
+          .forEach(([source, health]) =>
+            this.set({ source }, health.age_ms / 1000)
+          );
+      },
+    });
+
+    // Labeled by the model that produced the analysis, so no sample is
+    // exported before the first analysis (an unlabeled gauge would read 0)
+    const latestGauge = (name, help, read) =>
+      new client.Gauge({
+        name,
+        help,
+        labelNames: ["model"],
+        registers,
+        collect() {
+          this.reset();
+          const analysis = getLatestAnalysis();
+          const value = read(analysis);
+          if (Number.isFinite(value)) {
+            this.set(
+              { model: analysis.analysis_metadata?.model || "unknown" },
+              value
+            );
+          }
+        },
+      });
+
+    latestGauge(
+      "blackswan_score",
+      "Black Swan score of the latest stored analysis",
+      (analysis) => analysis?.blackswan_score
+    );
+    latestGauge(
+      "blackswan_certainty",
+      "Certainty of the latest stored analysis",
+      (analysis) => analysis?.certainty
+    );
+    latestGauge(
+      "blackswan_latest_analysis_timestamp_seconds",
+      "Unix time of the latest stored analysis",
+      (analysis) =>
+        analysis?.timestamp ? Date.parse(analysis.timestamp) / 1000 : null
+    );
+
+    // Export every failure stage from the start, so rate() works on the
+    // first failure
+    FAILURE_STAGES.forEach((stage) =>
+      this.analysisRuns.inc({ outcome: "failure", stage }, 0)
+    );
+    this.analysisRuns.inc({ outcome: "success", stage: "" }, 0);
+  }
+
+  /**
+   * Subscribe to service events
+   * @param {EventEmitter} eventEmitter - Service event emitter
+   */
+  attach(eventEmitter) {
+    eventEmitter.on("analysisComplete", (analysis, storage, run) => {
+      this.recordRun("success", "", run);
+      const guard = analysis.analysis_metadata?.score_guard;
+      if (guard?.flagged) this.scoreJumps.inc({ outcome: guard.outcome });
+    });
+    eventEmitter.on("analysisError", (error, run) =>
+      this.recordRun("failure", run?.stage || "unknown", run)
+    );
+    eventEmitter.on("llmCompletion", (completion) =>
+      this.recordCompletion(completion)
+    );
+    eventEmitter.on("llmError", ({ attempts }) =>
+      this.recordFailedAttempts(attempts)
+    );
+    eventEmitter.on("responseInvalid", ({ kind }) =>
+      this.validationFailures.inc({ kind })
+    );
+    eventEmitter.on("listenerError", ({ listener }) =>
+      this.listenerErrors.inc({ listener })
+    );
+    eventEmitter.on("listenerReconnect", ({ listener }) =>
+      this.listenerReconnects.inc({ listener })
+    );
+  }
+
+  /**
+   * Record a finished analysis run
+   * @param {string} outcome - 'success' or 'failure'
+   * @param {string} stage - Failed stage ('' for successful runs)
+   * @param {object} [run] - { duration_ms }
+   */
+  recordRun(outcome, stage, run) {
+    this.analysisRuns.inc({ outcome, stage });
+    if (typeof run?.duration_ms === "number") {
+      this.analysisDuration.observe({ outcome }, run.duration_ms / 1000);
+    }
+  }
+
+  /**
+   * Record a successful completion and the provider attempts that failed before it
+   * @param {object} completion - { provider, model, usage, latency_ms, attempts }
+   */
+  recordCompletion(completion) {
+    this.recordFailedAttempts(completion.attempts);
+
+    const labels = { provider: completion.provider, model: completion.model };
+    this.llmRequests.inc({ provider: completion.provider, outcome: "success" });
+    if (typeof completion.latency_ms === "number") {
+      this.llmLatency.observe(labels, completion.latency_ms / 1000);
+    }
+
+    const usage = completion.usage || {};
+    [
+      ["prompt", usage.prompt_tokens],
+      ["completion", usage.completion_tokens],
+    ]
+      .filter(([, tokens]) => typeof tokens === "number")
+      .forEach(([type, tokens]) =>
+        this.llmTokens.inc({ ...labels, type }, tokens)
+      );
+  }
+
+  /**
+   * Record failed provider attempts
+   * @param {Array<object>} [attempts] - [{ provider, error }]
+   */
+  recordFailedAttempts(attempts = []) {
+    attempts.forEach(({ provider }) =>
+      this.llmRequests.inc({ provider, outcome: "error" })
+    );
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   * @returns {Promise<string>}
+   */
+  async render() {
+    return this.register.metrics();
+  }
+
+  /**
+   * Content type of the rendered metrics
+   * @returns {string}
+   */
+  get contentType() {
+    return this.register.contentType;
+  }
+}
+
+module.exports = { ServiceMetrics, FAILURE_STAGES };
@@ -3,8 +3,12 @@
  * Handles loading, versioning, and templating of Black Swan analysis prompts
  */
 
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
+const { createLogger } = require("../logging/logger");
+
+const log = createLogger("prompt");
 
 class PromptManager {
   constructor() {
@@ -37,14 +41,16 @@ class PromptManager {
 
       // Cache the template
       this.promptCache.set(cacheKey, template);
-      console.log(`📝 [PROMPT] Loaded ${promptName}-${promptVersion}.md`);
+      log.info("Prompt template loaded", {
+        template: `${promptName}-${promptVersion}.md`,
+      });
 
       return template;
     } catch (error) {
-      console.error(
-        `❌ [PROMPT] Failed to load ${promptName}-${promptVersion}.md:`,
-        error.message
-      );
+      log.error("Failed to load prompt template", {
+        template: `${promptName}-${promptVersion}.md`,
+        error: error.message,
+      });
       throw new Error(
         `Prompt template not found: ${promptName}-${promptVersion}.md`
       );
@@ -92,6 +98,22 @@ class PromptManager {
     return this.fillTemplate(template, templateData);
   }
 
+  /**
+   * Short content hash of a template, so results can be traced to the exact
+   * template text even if a version file is edited in place
+   * @param {string} promptName - Optional prompt name
+   * @param {string} version - Optional version
+   * @returns {string} First 12 hex characters of the SHA-256 hash
+   */
+  getTemplateHash(promptName = "blackswan-analysis", version = null) {
+    const template = this.loadPromptTemplate(promptName, version);
+    return crypto
+      .createHash("sha256")
+      .update(template)
+      .digest("hex")
+      .slice(0, 12);
+  }
+
   /**
    * List available prompt versions
    * @param {string} promptName - Name of the prompt
@@ -109,7 +131,7 @@ class PromptManager {
 
       return versions;
     } catch (error) {
-      console.error(`❌ [PROMPT] Error listing versions:`, error.message);
+      log.error("Failed to list prompt versions", { error: error.message });
       return [];
     }
   }
@@ -119,7 +141,7 @@ class PromptManager {
    */
   clearCache() {
     this.promptCache.clear();
-    console.log(`🧹 [PROMPT] Cache cleared`);
+    log.info("Prompt cache cleared");
   }
 
   /**
@@ -128,7 +150,7 @@ class PromptManager {
    */
   setDefaultVersion(version) {
     this.currentVersion = version;
-    console.log(`📝 [PROMPT] Default version set to: ${version}`);
+    log.info("Default prompt version set", { version });
   }
 }
 
@@ -0,0 +1,114 @@
+/**
+ * Prompt Token Budget
+ * Estimates prompt size and shrinks the largest sections first so a prompt
+ * stays within a token budget
+ */
+
+// Roughly four characters per token for English text and JSON
+const CHARS_PER_TOKEN = 4;
+
+// Sections are never truncated below this size
+const MIN_SECTION_TOKENS = 50;
+
+// Room left for the marker appended to truncated sections
+const TRUNCATION_MARKER_TOKENS = 20;
+
+/**
+ * Estimate the number of tokens in a text
+ *
+ * A character-count heuristic: no tokenizer is bundled, and the budget only
+ * needs to bound the prompt, not match the model's count exactly.
+ *
+ * @param {string} text - Any text
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Truncate a section to roughly the given number of tokens
+ * @param {string} content - Section content
+ * @param {number} tokens - Target size in tokens
+ * @returns {string} Truncated content with a marker
+ */
+function truncateToTokens(content, tokens) {
+  const keep = tokens * CHARS_PER_TOKEN;
+  return `${content.slice(0, keep)}\n… [truncated ${
+    content.length - keep
+  } characters to fit the prompt budget]`;
+}
+
+/**
+ * Fit sections into a token budget
+ *
+ * While the total is over budget, the largest section is shrunk: first by
+ * switching to its compact form (if it has one and it is smaller), then by
+ * truncating it once, never below MIN_SECTION_TOKENS. If every section is
+ * already reduced, the result is returned over budget.
+ *
+ * @param {Array<{name: string, full: string, compact?: string}>} sections - Sections in prompt order
+ * @param {number} budget - Token budget for all sections together
+ * @returns {Object} { sections: [{ name, content, tokens, reduction }], total_tokens, budget, within_budget }
+ */
+function fitToBudget(sections, budget) {
+  const fitted = sections.map((section) => ({
+    name: section.name,
+    content: section.full,
+    compact: section.compact,
+    tokens: estimateTokens(section.full),
+    reduction: "none",
+  }));
+  const total = () => fitted.reduce((sum, section) => sum + section.tokens, 0);
+
+  while (total() > budget) {
+    const shrinkable = fitted
+      .filter(
+        (section) =>
+          section.reduction !== "truncated" &&
+          section.tokens > MIN_SECTION_TOKENS + TRUNCATION_MARKER_TOKENS
+      )
+      .sort((a, b) => b.tokens - a.tokens);
+    if (shrinkable.length === 0) break;
+
+    const largest = shrinkable[0];
+    const compactTokens =
+      largest.compact !== undefined ? estimateTokens(largest.compact) : null;
+
+    if (
+      largest.reduction === "none" &&
+      compactTokens !== null &&
+      compactTokens < largest.tokens
+    ) {
+      largest.content = largest.compact;
+      largest.tokens = compactTokens;
+      largest.reduction = "compacted";
+    } else {
+      const target = Math.max(
+        MIN_SECTION_TOKENS,
+        largest.tokens - (total() - budget) - TRUNCATION_MARKER_TOKENS
+      );
+      largest.content = truncateToTokens(largest.content, target);
+      largest.tokens = estimateTokens(largest.content);
+      largest.reduction = "truncated";
+    }
+  }
+
+  return {
+    sections: fitted.map(({ name, content, tokens, reduction }) => ({
+      name,
+      content,
+      tokens,
+      reduction,
+    })),
+    total_tokens: total(),
+    budget,
+    within_budget: total() <= budget,
+  };
+}
+
+module.exports = {
+  MIN_SECTION_TOKENS,
+  estimateTokens,
+  fitToBudget,
+};
@@ -0,0 +1,130 @@
+/**
+ * LLM Provider Layer
+ * Builds the ordered provider fallback chain used for all AI requests.
+ *
+ * Every provider implements:
+ * - name
+ * - isConfigured()
+ * - complete({ messages, model, temperature, maxTokens })
+ *     -> { content, provider, model, usage, latency_ms }
+ */
+
+const OpenRouterProvider = require("./openrouter-provider");
+const OpenAICompatibleProvider = require("./openai-compatible-provider");
+const StubProvider = require("./stub-provider");
+const { createLogger } = require("../logging/logger");
+
+const log = createLogger("ai");
+
+const PROVIDER_NAMES = ["openrouter", "local", "stub"];
+
+class ProviderChain {
+  /**
+   * @param {Array<object>} providers - Providers in fallback order
+   */
+  constructor(providers) {
+    this.providers = providers;
+  }
+
+  /**
+   * Providers that have enough configuration to be used
+   * @returns {Array<object>}
+   */
+  getConfiguredProviders() {
+    return this.providers.filter((provider) => provider.isConfigured());
+  }
+
+  /**
+   * Send a completion request, falling back to the next provider on timeouts,
+   * network errors, 429 and 5xx responses
+   *
+   * @param {object} request - { messages, model, temperature, maxTokens }
+   * @returns {Promise<object>} Completion result, with `attempts` listing failed providers
+   * @throws {Error} If no provider is configured, a provider fails with a
+   *   non-retryable error, or every provider fails; the error's `attempts`
+   *   lists the failed providers
+   */
+  async complete(request) {
+    const providers = this.getConfiguredProviders();
+    if (providers.length === 0) {
+      throw Object.assign(
+        new Error(
+          `No LLM provider configured (chain: ${this.providers
+            .map((provider) => provider.name)
+            .join(", ")}; OpenRouter API key not configured)`
+        ),
+        { attempts: [] }
+      );
+    }
+
+    const attempts = [];
+    for (const provider of providers) {
+      try {
+        const result = await provider.complete(request);
+        return { ...result, attempts };
+      } catch (error) {
+        attempts.push({ provider: provider.name, error: error.message });
+
+        if (!error.retryable) {
+          throw Object.assign(new Error(`${provider.name}: ${error.message}`), {
+            attempts,
+          });
+        }
+        log.warn("Provider failed, trying next provider", {
+          provider: provider.name,
+          error: error.message,
+        });
+      }
+    }
+
+    throw Object.assign(
+      new Error(
+        `All LLM providers failed: ${attempts
+          .map((attempt) => `${attempt.provider}: ${attempt.error}`)
+          .join("; ")}`
+      ),
+      { attempts }
+    );
+  }
+}
+
+/**
+ * Create the provider chain from configuration
+ * @param {object} options
+ * @param {Array<string>} options.providers - Provider names in fallback order
+ * @param {object} options.openrouter - { url, apiKey }
+ * @param {object} options.local - { baseUrl, apiKey, model }
+ * @param {object} options.stub - { responseFile }
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {ProviderChain}
+ */
+function createProviderChain({ providers, openrouter, local, stub, timeout }) {
+  return new ProviderChain(
+    providers.map((name) => {
+      switch (name) {
+        case "openrouter":
+          return new OpenRouterProvider({ ...openrouter, timeout });
+        case "local":
+          return new OpenAICompatibleProvider({
+            name: "local",
+            url: local.baseUrl
+              ? `${local.baseUrl.replace(/\/+$/, "")}/chat/completions`
+              : null,
+            apiKey: local.apiKey,
+            model: local.model,
+            timeout,
+          });
+        case "stub":
+          return new StubProvider(stub);
+        default:
+          throw new Error(
+            `Unknown LLM provider "${name}" (expected one of: ${PROVIDER_NAMES.join(
+              ", "
+            )})`
+          );
+      }
+    })
+  );
+}
+
+module.exports = { createProviderChain, ProviderChain, PROVIDER_NAMES };
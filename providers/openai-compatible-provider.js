@@ -0,0 +1,106 @@
+/**
+ * OpenAI-Compatible LLM Provider
+ * Sends chat completion requests to any endpoint implementing the OpenAI
+ * chat completions API (OpenRouter, llama.cpp server, Ollama, vLLM, ...)
+ */
+
+const axios = require("axios");
+
+/**
+ * Decide whether a failed request should fall through to the next provider
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for timeouts, network errors, 429 and 5xx responses
+ */
+function isRetryableError(error) {
+  const status = error.response?.status;
+  if (!status) return true; // Timeout or network failure
+  return status === 429 || status >= 500;
+}
+
+class OpenAICompatibleProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.name - Provider name used in logs and metadata
+   * @param {string} options.url - Full chat completions endpoint URL
+   * @param {string} [options.apiKey] - Bearer token (optional for local servers)
+   * @param {string} [options.model] - Fixed model that overrides the requested one
+   * @param {number} options.timeout - Request timeout in milliseconds
+   */
+  constructor({ name, url, apiKey = null, model = null, timeout }) {
+    this.name = name;
+    this.url = url;
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Whether the provider has enough configuration to send requests
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !!this.url;
+  }
+
+  /**
+   * Build request headers
+   * @returns {object}
+   */
+  getHeaders() {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+    return headers;
+  }
+
+  /**
+   * Send a chat completion request
+   * @param {object} request
+   * @param {Array<object>} request.messages - Chat messages ({ role, content })
+   * @param {string} request.model - Requested model
+   * @param {number} request.temperature - Sampling temperature
+   * @param {number} request.maxTokens - Maximum tokens for the response
+   * @returns {Promise<object>} { content, provider, model, usage, latency_ms }
+   * @throws {Error} With `retryable` set when the next provider should be tried
+   */
+  async complete({ messages, model, temperature, maxTokens }) {
+    const requestModel = this.model || model;
+    const startTime = Date.now();
+
+    try {
+      const response = await axios.post(
+        this.url,
+        {
+          model: requestModel,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+        },
+        { headers: this.getHeaders(), timeout: this.timeout }
+      );
+
+      const content = response.data?.choices?.[0]?.message?.content;
+      if (!content) {
+        throw Object.assign(new Error("No response from AI"), {
+          retryable: true,
+        });
+      }
+
+      return {
+        content,
+        provider: this.name,
+        model: response.data?.model || requestModel,
+        usage: response.data?.usage || null,
+        latency_ms: Date.now() - startTime,
+      };
+    } catch (error) {
+      if (error.retryable !== undefined) throw error;
+
+      throw Object.assign(new Error(error.message), {
+        retryable: isRetryableError(error),
+        status: error.response?.status || null,
+      });
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,28 @@
+/**
+ * OpenRouter LLM Provider
+ * OpenAI-compatible provider for the hosted OpenRouter API
+ */
+
+const OpenAICompatibleProvider = require("./openai-compatible-provider");
+
+class OpenRouterProvider extends OpenAICompatibleProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.url - OpenRouter chat completions endpoint
+   * @param {string} options.apiKey - OpenRouter API key
+   * @param {number} options.timeout - Request timeout in milliseconds
+   */
+  constructor({ url, apiKey, timeout }) {
+    super({ name: "openrouter", url, apiKey, timeout });
+  }
+
+  /**
+   * OpenRouter requires an API key
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !!this.url && !!this.apiKey;
+  }
+}
+
+module.exports = OpenRouterProvider;
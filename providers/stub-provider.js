@@ -0,0 +1,65 @@
+/**
+ * Stub LLM Provider
+ * Deterministic provider for tests and offline runs. Returns a fixed, valid
+ * analysis response (or the contents of a response file) without network access.
+ */
+
+const fs = require("fs");
+
+const DEFAULT_STUB_RESPONSE = {
+  blackswan_score: 3,
+  analysis:
+    "Stub analysis generated without a language model. Inputs were received and the pipeline completed normally.",
+  certainty: 50,
+  primary_risk_factors: [],
+  current_market_indicators: [
+    "Stub provider active",
+    "No model assessment performed",
+  ],
+  reasoning:
+    "Deterministic stub response; the score does not reflect the input data.",
+};
+
+class StubProvider {
+  /**
+   * @param {object} options
+   * @param {string} [options.responseFile] - File whose contents are returned verbatim
+   */
+  constructor({ responseFile = null } = {}) {
+    this.name = "stub";
+    this.responseFile = responseFile;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Return the stub response
+   * @param {object} request - Same shape as OpenAICompatibleProvider.complete
+   * @returns {Promise<object>} { content, provider, model, usage, latency_ms }
+   */
+  async complete({ messages }) {
+    const content = this.responseFile
+      ? fs.readFileSync(this.responseFile, "utf8")
+      : JSON.stringify(DEFAULT_STUB_RESPONSE, null, 2);
+    const promptLength = messages.reduce(
+      (total, message) => total + message.content.length,
+      0
+    );
+
+    return {
+      content,
+      provider: this.name,
+      model: "stub",
+      usage: {
+        prompt_tokens: Math.ceil(promptLength / 4),
+        completion_tokens: Math.ceil(content.length / 4),
+        total_tokens: Math.ceil((promptLength + content.length) / 4),
+      },
+      latency_ms: 0,
+    };
+  }
+}
+
+module.exports = StubProvider;
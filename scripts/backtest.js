@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/**
+ * Backtest CLI
+ *
+ * Walks the historical documents of every registered source and runs the
+ * analysis at each tick between two dates, on the data the live service would
+ * have seen at that time. The score series is written as JSON Lines (one
+ * entry per tick) to a separate file and never to the analyses collection,
+ * so prompt or model changes can be evaluated against known stress periods.
+ *
+ * Usage:
+ *   node scripts/backtest.js --from <date> [--to <date>] [options]
+ *
+ * Options:
+ *   --interval <interval>       Time between ticks, e.g. 30m, 1h, 1d (default: 1h)
+ *   --model <model>             Model to use (default: production model or ensemble)
+ *   --prompt-version <version>  Prompt version to use (default: PROMPT_VERSION)
+ *   --output <file>             Score series file (default: ./backtests/backtest-<start time>.jsonl)
+ *   --max-ticks <n>             Refuse to run more ticks than this (default: BACKTEST_MAX_TICKS)
+ */
+
+// Service logs go to stderr so stdout only carries the report
+const { configureLogging } = require("../logging/logger");
+configureLogging({ destination: "stderr" });
+
+const fs = require("fs");
+const path = require("path");
+
+const { blackSwanService, CONFIG, closeService } = require("../index");
+const { buildTicks, parseInterval } = require("../analysis/backtest");
+const { parseArgs } = require("./cli-args");
+
+const USAGE = `Usage:
+  node scripts/backtest.js --from <date> [--to <date>] [--interval 1h] [--model <model>] [--prompt-version <version>] [--output <file>] [--max-ticks <n>]`;
+
+/**
+ * Parse a date argument
+ * @param {string} value - Date or date-time string
+ * @param {string} name - Option name, used in error messages
+ * @returns {number} Time in ms
+ * @throws {Error} If the date is invalid
+ */
+function parseDateArg(value, name) {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`${name} must be a valid date, got "${value}"`);
+  }
+  return time;
+}
+
+/**
+ * Parse the backtest arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { from, to, stepMs, model, promptVersion, output, maxTicks }
+ * @throws {Error} On invalid arguments
+ */
+function parseBacktestArgs(argv) {
+  const { options, positional } = parseArgs(argv, {
+    values: {
+      "--from": "from",
+      "--to": "to",
+      "--interval": "interval",
+      "--model": "model",
+      "--prompt-version": "promptVersion",
+      "--output": "output",
+      "--max-ticks": "maxTicks",
+    },
+  });
+
+  if (positional.length > 0) {
+    throw new Error(`Unexpected argument ${positional[0]}`);
+  }
+  if (!options.from) throw new Error("--from is required");
+
+  const from = parseDateArg(options.from, "--from");
+  const to = options.to ? parseDateArg(options.to, "--to") : Date.now();
+  if (from > to) throw new Error("--from must be before --to");
+
+  return {
+    from,
+    to,
+    stepMs: parseInterval(options.interval || "1h"),
+    model: options.model,
+    promptVersion: options.promptVersion,
+    output:
+      options.output ||
+      path.join(
+        "backtests",
+        `backtest-${new Date().toISOString().replace(/[:.]/g, "-")}.jsonl`
+      ),
+    maxTicks: parseInt(options.maxTicks) || CONFIG.BACKTEST_MAX_TICKS,
+  };
+}
+
+/**
+ * Run the backtest, write the score series and print a summary
+ * @returns {Promise<number>} Process exit code
+ */
+async function main() {
+  let options;
+  try {
+    options = parseBacktestArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const tickCount = buildTicks(options.from, options.to, options.stepMs).length;
+  if (tickCount > options.maxTicks) {
+    console.error(
+      `${tickCount} ticks exceed the limit of ${options.maxTicks}; use a longer --interval, a shorter range or --max-ticks`
+    );
+    return 2;
+  }
+
+  // Start with an empty file so an interrupted run leaves the ticks so far
+  fs.mkdirSync(path.dirname(path.resolve(options.output)), {
+    recursive: true,
+  });
+  fs.writeFileSync(options.output, "");
+
+  const { summary, warnings } = await blackSwanService.runBacktest({
+    ...options,
+    onTick: (entry) =>
+      fs.appendFileSync(options.output, `${JSON.stringify(entry)}\n`),
+  });
+
+  const lines = [
+    `Backtest ${new Date(options.from).toISOString()} - ${new Date(
+      options.to
+    ).toISOString()}`,
+    `  ticks         ${summary.analyzed}/${summary.ticks} analyzed (${summary.failed} failed)`,
+  ];
+  if (summary.score) {
+    lines.push(
+      `  score         min ${summary.score.min}, mean ${summary.score.mean}, max ${summary.score.max} (stddev ${summary.score.stddev})`,
+      `  peak          ${summary.peak.blackswan_score} at ${summary.peak.tick}`
+    );
+  }
+  lines.push(
+    ...warnings.map((warning) => `  warning: ${warning}`),
+    `  output        ${options.output}`
+  );
+
+  process.stdout.write(`${lines.join("\n")}\n`);
+  return 0;
+}
+
+main()
+  .catch((error) => {
+    console.error(`❌ [BACKTEST] ${error.message}`);
+    return 1;
+  })
+  .then(async (exitCode) => {
+    await closeService();
+    process.exit(exitCode);
+  });
@@ -0,0 +1,40 @@
+/**
+ * Command Line Arguments
+ * Minimal parser shared by the scripts: `--name value` options, boolean
+ * flags and positional arguments
+ */
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} spec
+ * @param {Object<string, string>} spec.values - Options taking a value, e.g. { "--from": "from" }
+ * @param {Object<string, string>} [spec.flags] - Boolean flags, e.g. { "--json": "json" }
+ * @returns {Object} { options, positional }
+ * @throws {Error} On unknown options or missing values
+ */
+function parseArgs(argv, { values, flags = {} }) {
+  const options = Object.fromEntries(
+    Object.values(flags).map((name) => [name, false])
+  );
+  const positional = [];
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (flags[arg]) {
+      options[flags[arg]] = true;
+    } else if (values[arg]) {
+      const value = argv[++index];
+      if (value === undefined) throw new Error(`${arg} requires a value`);
+      options[values[arg]] = value;
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { options, positional };
+}
+
+module.exports = { parseArgs };
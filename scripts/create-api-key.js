@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * API Key Generator
+ *
+ * Generates a new API key and prints it together with the entry to add to
+ * the API keys file (API_KEYS_FILE). Only the key's SHA-256 hash goes into
+ * the file; the key itself is shown once and cannot be recovered.
+ *
+ * Usage:
+ *   node scripts/create-api-key.js --name <name> --role <reader|operator> [--rate-limit <n>]
+ */
+
+const { generateApiKey, hashApiKey, ROLES } = require("../auth/api-keys");
+const { parseArgs } = require("./cli-args");
+
+const USAGE = `Usage:
+  node scripts/create-api-key.js --name <name> --role <${ROLES.join(
+    "|"
+  )}> [--rate-limit <requests per window>]`;
+
+/**
+ * Parse the key generator arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { name, role, rateLimit }
+ * @throws {Error} On invalid arguments
+ */
+function parseKeyArgs(argv) {
+  const { options, positional } = parseArgs(argv, {
+    values: { "--name": "name", "--role": "role", "--rate-limit": "rateLimit" },
+  });
+
+  if (positional.length > 0) {
+    throw new Error(`Unexpected argument ${positional[0]}`);
+  }
+  if (!options.name || !/^[A-Za-z0-9_.-]+$/.test(options.name)) {
+    throw new Error("--name is required (letters, digits, . _ -)");
+  }
+  if (!ROLES.includes(options.role)) {
+    throw new Error(`--role must be one of ${ROLES.join(", ")}`);
+  }
+  if (options.rateLimit !== undefined) {
+    const rateLimit = Number(options.rateLimit);
+    if (!Number.isInteger(rateLimit) || rateLimit <= 0) {
+      throw new Error("--rate-limit must be a positive integer");
+    }
+    options.rateLimit = rateLimit;
+  }
+  return options;
+}
+
+let options;
+try {
+  options = parseKeyArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(`${error.message}\n\n${USAGE}`);
+  process.exit(2);
+}
+
+const key = generateApiKey();
+const entry = {
+  name: options.name,
+  role: options.role,
+  key_sha256: hashApiKey(key),
+  ...(options.rateLimit && { rate_limit: options.rateLimit }),
+};
+
+process.stdout.write(
+  [
+    `API key for ${options.name} (${options.role}), shown only once:`,
+    "",
+    `  ${key}`,
+    "",
+    `Add this entry to the "keys" array of your API keys file:`,
+    "",
+    JSON.stringify(entry, null, 2),
+    "",
+  ].join("\n")
+);
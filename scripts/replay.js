@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/**
+ * Analysis Replay CLI
+ *
+ * Re-runs stored analyses on the exact input documents they consumed with a
+ * different model or prompt version, and prints the original and replayed
+ * scores and risk factors side by side. Replays are never stored.
+ *
+ * Usage:
+ *   node scripts/replay.js <analysis-id> [options]
+ *   node scripts/replay.js --from <date> [--to <date>] [--limit <n>] [options]
+ *
+ * Options:
+ *   --model <model>             Model to replay with (default: original model)
+ *   --prompt-version <version>  Prompt version to replay with (default: original version)
+ *   --json                      Print the full result as JSON
+ */
+
+// Service logs go to stderr so stdout only carries the report
+const { configureLogging } = require("../logging/logger");
+configureLogging({ destination: "stderr" });
+
+const { blackSwanService, CONFIG, closeService } = require("../index");
+const { parseHistoryQuery } = require("../analysis/history-query");
+const { parseArgs } = require("./cli-args");
+
+const USAGE = `Usage:
+  node scripts/replay.js <analysis-id> [--model <model>] [--prompt-version <version>] [--json]
+  node scripts/replay.js --from <date> [--to <date>] [--limit <n>] [--model <model>] [--prompt-version <version>] [--json]`;
+
+/**
+ * Parse the replay arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { analysisId, from, to, limit, model, promptVersion, json }
+ * @throws {Error} On invalid arguments
+ */
+function parseReplayArgs(argv) {
+  const { options, positional } = parseArgs(argv, {
+    values: {
+      "--from": "from",
+      "--to": "to",
+      "--limit": "limit",
+      "--model": "model",
+      "--prompt-version": "promptVersion",
+    },
+    flags: { "--json": "json" },
+  });
+
+  if (positional.length > 1) {
+    throw new Error(`Unexpected argument ${positional[1]}`);
+  }
+  options.analysisId = positional[0];
+  if (!options.analysisId && !options.from && !options.to) {
+    throw new Error("An analysis ID or a --from/--to date range is required");
+  }
+  return options;
+}
+
+/**
+ * Format a score difference with its sign
+ * @param {number|null} difference - Replay minus original
+ * @returns {string}
+ */
+function formatDifference(difference) {
+  if (difference === null) return "";
+  return ` (${difference > 0 ? "+" : ""}${difference})`;
+}
+
+/**
+ * Render one replay as a side-by-side comparison
+ * @param {Object} result - Output of replayAnalysis, or { analysis_id, error }
+ * @returns {string}
+ */
+function renderReplay(result) {
+  if (result.error) {
+    return `Analysis ${result.analysis_id}: replay failed (${result.error})`;
+  }
+
+  const { original, replay, diff } = result;
+  const { added, removed, unchanged } = diff.risk_factors;
+  const row = (label, left, right) =>
+    `  ${label.padEnd(14)}${String(left).padEnd(32)}${right}`;
+  const lines = [
+    `Analysis ${result.analysis_id} (${original.timestamp})`,
+    row("", "original", "replay"),
+    row("model", original.model, replay.model),
+    row("prompt", original.prompt_version, replay.prompt_version),
+    row(
+      "score",
+      diff.score.original,
+      `${diff.score.replay}${formatDifference(diff.score.difference)}`
+    ),
+    row(
+      "certainty",
+      diff.certainty.original,
+      `${diff.certainty.replay}${formatDifference(diff.certainty.difference)}`
+    ),
+    `  risk factors${
+      added.length + removed.length + unchanged.length ? "" : "  (none)"
+    }`,
+    ...unchanged.map((factor) => `    = ${factor}`),
+    ...removed.map((factor) => `    - ${factor}`),
+    ...added.map((factor) => `    + ${factor}`),
+    ...result.warnings.map((warning) => `  warning: ${warning}`),
+  ];
+  return lines.join("\n");
+}
+
+/**
+ * Run the requested replay and print the report
+ * @returns {Promise<number>} Process exit code
+ */
+async function main() {
+  let options;
+  try {
+    options = parseReplayArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const replayOptions = {
+    model: options.model,
+    promptVersion: options.promptVersion,
+  };
+
+  let output;
+  if (options.analysisId) {
+    const result = await blackSwanService.replayAnalysis(
+      options.analysisId,
+      replayOptions
+    );
+    output = options.json
+      ? JSON.stringify(result, null, 2)
+      : renderReplay(result);
+  } else {
+    const range = parseHistoryQuery(
+      { from: options.from, to: options.to, limit: options.limit },
+      {
+        defaultLimit: CONFIG.REPLAY_MAX_ANALYSES,
+        maxLimit: CONFIG.REPLAY_MAX_ANALYSES,
+        maxProjectedLimit: CONFIG.REPLAY_MAX_ANALYSES,
+      }
+    );
+    const result = await blackSwanService.replayAnalyses(
+      { from: range.from, to: range.to },
+      range.limit,
+      replayOptions
+    );
+    if (result.error) throw new Error(result.error);
+
+    const { summary } = result;
+    output = options.json
+      ? JSON.stringify(result, null, 2)
+      : [
+          ...result.replays.map(renderReplay),
+          `Replayed ${summary.replayed}/${summary.count} analyses (${
+            summary.failed
+          } failed)${
+            summary.absolute_score_difference
+              ? `, mean absolute score difference ${summary.absolute_score_difference.mean}`
+              : ""
+          }${result.truncated ? ", more analyses in range not replayed" : ""}`,
+        ].join("\n\n");
+  }
+
+  process.stdout.write(`${output}\n`);
+  return 0;
+}
+
+main()
+  .catch((error) => {
+    console.error(`❌ [REPLAY] ${error.message}`);
+    return 1;
+  })
+  .then(async (exitCode) => {
+    await closeService();
+    process.exit(exitCode);
+  });
@@ -0,0 +1,204 @@
+/**
+ * Source Aggregation
+ * Combines the latest document of every registered source into the
+ * aggregated data an analysis runs on, with per-source status and data age
+ */
+
+const { getSourceTimestamp } = require("./registry");
+const { createLogger } = require("../logging/logger");
+
+const log = createLogger("aggregation");
+
+/**
+ * Format a duration as a compact human-readable age (e.g. "3h 12m")
+ *
+ * @param {number|null} ageMs - Age in milliseconds
+ * @returns {string} Human-readable age
+ */
+function formatAge(ageMs) {
+  if (ageMs === null || ageMs === undefined) return "unknown age";
+
+  const minutes = Math.max(0, Math.floor(ageMs / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  return `${minutes}m`;
+}
+
+/**
+ * Status of a source's latest document
+ *
+ * While the source's listener is reconnecting, or the document was restored
+ * from the warm-start cache and no live snapshot has arrived yet, it is
+ * reported as stale regardless of its age, since newer data may exist.
+ *
+ * @param {Object} source - Source definition from the registry
+ * @param {Object|null} data - Latest document (null if none)
+ * @param {number} now - Reference time in ms
+ * @param {Object} [flags]
+ * @param {boolean} [flags.reconnecting] - Whether the source's listener is reconnecting
+ * @param {boolean} [flags.cached] - Whether the document came from the warm-start cache
+ * @returns {Object} { status: 'available' | 'stale' | 'unavailable', timestamp, age_ms, reconnecting, cached }
+ */
+function getSourceStatus(
+  source,
+  data,
+  now,
+  { reconnecting = false, cached = false } = {}
+) {
+  const timestampValue = getSourceTimestamp(data, source);
+  if (!data || !timestampValue) {
+    return {
+      status: "unavailable",
+      timestamp: null,
+      age_ms: null,
+      reconnecting,
+      cached: false,
+    };
+  }
+
+  // Age is null if the timestamp cannot be parsed
+  const parsedTime = Date.parse(timestampValue);
+  const ageMs = Number.isNaN(parsedTime) ? null : now - parsedTime;
+  const isStale =
+    reconnecting ||
+    cached ||
+    (ageMs !== null && !!source.maxAgeMs && ageMs > source.maxAgeMs);
+
+  return {
+    status: isStale ? "stale" : "available",
+    timestamp: timestampValue,
+    age_ms: ageMs,
+    reconnecting,
+    cached,
+  };
+}
+
+/**
+ * Aggregate the latest document of every source
+ *
+ * Includes data quality metrics and service status information. Sources whose
+ * latest document is older than the source's maxAgeMs at `now`, whose
+ * listener is reconnecting, or whose document was restored from the
+ * warm-start cache, are reported as 'stale': their data is still included,
+ * together with its age.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.sources - Source definitions from the registry
+ * @param {Object} params.latestData - Latest document by source name (null if none)
+ * @param {Array<Object>} params.historicalAnalyses - Recent analyses, newest first
+ * @param {number} [params.now] - Time the data is aggregated at, in ms (default: current time)
+ * @param {Array<string>} [params.reconnecting] - Sources whose listener is reconnecting
+ * @param {Array<string>} [params.cached] - Sources whose document was restored from the warm-start cache
+ * @returns {Object} Aggregated data object with services, quality metrics, and historical data
+ */
+function aggregateSources({
+  sources,
+  latestData,
+  historicalAnalyses,
+  now = Date.now(),
+  reconnecting = [],
+  cached = [],
+}) {
+  const startTime = Date.now();
+
+  // Initialize aggregated data structure
+  const aggregatedData = {
+    timestamp: new Date(now).toISOString(), // Aggregation time
+    collection_duration_ms: 0, // Time taken to collect data
+    services: {}, // Data from each service
+    historical_analyses: historicalAnalyses, // Historical Black Swan analyses
+    data_quality: {
+      total_services: sources.length, // Total number of registered sources
+      successful_services: 0, // Services with fresh, valid data
+      stale_services: 0, // Services whose latest data exceeds its max age
+      failed_services: 0, // Services without data
+      service_status: {}, // Status of each service
+      data_age_ms: {}, // Age of each service's latest data
+    },
+  };
+
+  // Process the latest data of every source
+  sources.forEach((source) => {
+    const serviceName = source.name;
+    const data = latestData[serviceName];
+    const {
+      status,
+      timestamp: timestampValue,
+      age_ms: ageMs,
+      reconnecting: isReconnecting,
+      cached: isCached,
+    } = getSourceStatus(source, data, now, {
+      reconnecting: reconnecting.includes(serviceName),
+      cached: cached.includes(serviceName),
+    });
+
+    // Debug logging for troubleshooting
+    if (data) {
+      log.debug("Source timestamp resolved", {
+        source: serviceName,
+        fields: source.timestampFields,
+        timestamp: timestampValue,
+      });
+    }
+
+    // Check if service has valid data with timestamp
+    if (status !== "unavailable") {
+      const maxAgeMs = source.maxAgeMs;
+      const isStale = status === "stale";
+
+      // Service has valid data (possibly stale)
+      aggregatedData.services[serviceName] = {
+        status: isStale ? "stale" : "success",
+        data: data,
+        service: serviceName,
+        timestamp: timestampValue,
+        age_ms: ageMs,
+        max_age_ms: maxAgeMs || null,
+        ...(isReconnecting && { reconnecting: true }),
+        ...(isCached && { cached: true }),
+      };
+      aggregatedData.data_quality.data_age_ms[serviceName] = ageMs;
+
+      if (isStale) {
+        aggregatedData.data_quality.stale_services++;
+        aggregatedData.data_quality.service_status[serviceName] = "stale";
+        log.warn("Source data is stale", {
+          source: serviceName,
+          age: formatAge(ageMs),
+          max_age: formatAge(maxAgeMs),
+          reconnecting: isReconnecting,
+          cached: isCached,
+        });
+      } else {
+        aggregatedData.data_quality.successful_services++;
+        aggregatedData.data_quality.service_status[serviceName] = "available";
+      }
+    } else {
+      // Service has no data or invalid timestamp
+      aggregatedData.services[serviceName] = {
+        status: "failed",
+        error: data ? "No timestamp found" : "No data available",
+        service: serviceName,
+      };
+      aggregatedData.data_quality.failed_services++;
+      aggregatedData.data_quality.service_status[serviceName] = "unavailable";
+      aggregatedData.data_quality.data_age_ms[serviceName] = null;
+    }
+  });
+
+  aggregatedData.collection_duration_ms = Date.now() - startTime;
+
+  // Log data quality summary
+  log.info("Source data aggregated", {
+    fresh: aggregatedData.data_quality.successful_services,
+    stale: aggregatedData.data_quality.stale_services,
+    total: aggregatedData.data_quality.total_services,
+  });
+
+  return aggregatedData;
+}
+
+module.exports = { aggregateSources, formatAge, getSourceStatus };
@@ -0,0 +1,39 @@
+/**
+ * BTC/ETH Summaries Formatter
+ * Reduces the BTC/ETH anomaly analysis to the per-asset summaries, plus any
+ * other top-level fields listed in the source's `fields`
+ */
+
+const { pickFields, shortenValue, stripInternalFields } = require("./utils");
+
+/**
+ * Build the BTC/ETH prompt content
+ * @param {object} data - BTC/ETH analysis document
+ * @param {object} source - Source definition
+ * @returns {object} Summaries and selected fields
+ */
+function selectContent(data, source) {
+  const cleanData = stripInternalFields(data);
+  return {
+    ...(source.fields ? pickFields(cleanData, source.fields) : {}),
+    bitcoin: cleanData.bitcoin?.summary ?? null,
+    ethereum: cleanData.ethereum?.summary ?? null,
+  };
+}
+
+module.exports = {
+  fence: "json",
+
+  format(data, source) {
+    return JSON.stringify(selectContent(data, source), null, 2);
+  },
+
+  compact(data, source) {
+    return JSON.stringify(
+      shortenValue(selectContent(data, source), {
+        maxStringLength: 600,
+        maxArrayItems: 5,
+      })
+    );
+  },
+};
@@ -0,0 +1,52 @@
+/**
+ * Source Formatters
+ * Turn the latest document of a source into the text placed in its prompt
+ * section.
+ *
+ * A formatter module exports:
+ * - format(data, source) -> string: full content
+ * - compact(data, source) -> string: optional shorter form used when the
+ *   prompt exceeds its token budget
+ * - fence: code fence language around the content ('' for plain text)
+ *
+ * Sources name a built-in formatter or a path to their own module, relative to
+ * the registry file.
+ */
+
+const path = require("path");
+
+const BUILTIN_FORMATTERS = {
+  json: require("./json"),
+  btc_eth_summaries: require("./btc-eth-summaries"),
+  indicator_flags: require("./indicator-flags"),
+};
+
+/**
+ * Resolve a formatter by built-in name or module path
+ * @param {string} name - Built-in name, or a path starting with '.' or '/'
+ * @param {string} baseDir - Directory that relative module paths are resolved from
+ * @returns {object} Formatter module
+ * @throws {Error} If the formatter is unknown or does not export format()
+ */
+function resolveFormatter(name, baseDir) {
+  let formatter = BUILTIN_FORMATTERS[name];
+
+  if (!formatter && /^[./]/.test(name)) {
+    formatter = require(path.resolve(baseDir, name));
+  }
+
+  if (!formatter) {
+    throw new Error(
+      `unknown formatter "${name}" (available: ${Object.keys(
+        BUILTIN_FORMATTERS
+      ).join(", ")}, or a module path)`
+    );
+  }
+  if (typeof formatter.format !== "function") {
+    throw new Error(`formatter "${name}" does not export format()`);
+  }
+
+  return formatter;
+}
+
+module.exports = { BUILTIN_FORMATTERS, resolveFormatter };
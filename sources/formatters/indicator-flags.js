@@ -0,0 +1,40 @@
+/**
+ * Indicator Flags Formatter
+ * Renders an `indicators` list as one "Name: true/false" line per indicator.
+ * The compact form only names the triggered indicators.
+ */
+
+/**
+ * Read the indicator list of a document
+ * @param {object} data - Source document
+ * @returns {Array<{name: string, hit: boolean}>|null} Indicators, or null if missing
+ */
+function readIndicators(data) {
+  if (!Array.isArray(data.indicators)) return null;
+  return data.indicators.map((indicator) => ({
+    name: indicator?.indicator_name || "Unknown Indicator",
+    hit: !!indicator?.hit_status,
+  }));
+}
+
+module.exports = {
+  fence: "",
+
+  format(data) {
+    const indicators = readIndicators(data);
+    if (!indicators) return "No indicators available";
+    return indicators.map(({ name, hit }) => `${name}: ${hit}`).join("\n");
+  },
+
+  compact(data) {
+    const indicators = readIndicators(data);
+    if (!indicators) return "No indicators available";
+
+    const triggered = indicators.filter(({ hit }) => hit);
+    return `${triggered.length} of ${indicators.length} indicators triggered${
+      triggered.length
+        ? `: ${triggered.map(({ name }) => name).join(", ")}`
+        : ""
+    }`;
+  },
+};
@@ -0,0 +1,36 @@
+/**
+ * JSON Formatter
+ * Default formatter: the document (or the fields listed in the source's
+ * `fields`) as JSON. The compact form drops indentation and shortens long
+ * strings and lists.
+ */
+
+const { pickFields, shortenValue, stripInternalFields } = require("./utils");
+
+/**
+ * Select the fields of a source document that go into the prompt
+ * @param {object} data - Source document
+ * @param {object} source - Source definition
+ * @returns {object} Selected fields
+ */
+function selectContent(data, source) {
+  const cleanData = stripInternalFields(data);
+  return source.fields ? pickFields(cleanData, source.fields) : cleanData;
+}
+
+module.exports = {
+  fence: "json",
+
+  format(data, source) {
+    return JSON.stringify(selectContent(data, source), null, 2);
+  },
+
+  compact(data, source) {
+    return JSON.stringify(
+      shortenValue(selectContent(data, source), {
+        maxStringLength: 400,
+        maxArrayItems: 10,
+      })
+    );
+  },
+};
@@ -0,0 +1,78 @@
+/**
+ * Formatter Helpers
+ * Shared field selection and shortening helpers for source formatters
+ */
+
+/**
+ * Remove storage and bookkeeping fields that carry no analytical content
+ * @param {object} data - Source document
+ * @returns {object} Shallow copy without internal fields
+ */
+function stripInternalFields(data) {
+  const cleanData = { ...data };
+  delete cleanData.id;
+  delete cleanData.createdAt;
+  delete cleanData.timestamp;
+  delete cleanData.service;
+  return cleanData;
+}
+
+/**
+ * Keep only the listed fields of a document
+ * @param {object} data - Source document
+ * @param {Array<string>} fields - Field paths in dot notation, e.g. 'bitcoin.summary'
+ * @returns {object} Document with the selected fields, nested as in the original
+ */
+function pickFields(data, fields) {
+  const picked = {};
+  fields.forEach((fieldPath) => {
+    const keys = fieldPath.split(".");
+    const value = keys.reduce(
+      (current, key) => (current == null ? undefined : current[key]),
+      data
+    );
+    if (value === undefined) return;
+
+    const parent = keys
+      .slice(0, -1)
+      .reduce((target, key) => (target[key] = target[key] || {}), picked);
+    parent[keys[keys.length - 1]] = value;
+  });
+  return picked;
+}
+
+/**
+ * Shorten long strings and arrays anywhere in a value
+ * @param {*} value - Any JSON value
+ * @param {object} limits
+ * @param {number} limits.maxStringLength - Strings are cut to this many characters
+ * @param {number} limits.maxArrayItems - Arrays keep this many leading items
+ * @returns {*} Shortened copy
+ */
+function shortenValue(value, { maxStringLength, maxArrayItems }) {
+  if (typeof value === "string") {
+    return value.length > maxStringLength
+      ? `${value.slice(0, maxStringLength)}…`
+      : value;
+  }
+  if (Array.isArray(value)) {
+    const kept = value
+      .slice(0, maxArrayItems)
+      .map((item) => shortenValue(item, { maxStringLength, maxArrayItems }));
+    if (value.length > maxArrayItems) {
+      kept.push(`… ${value.length - maxArrayItems} more`);
+    }
+    return kept;
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        shortenValue(item, { maxStringLength, maxArrayItems }),
+      ])
+    );
+  }
+  return value;
+}
+
+module.exports = { pickFields, shortenValue, stripInternalFields };
@@ -0,0 +1,236 @@
+/**
+ * Source Registry
+ * Loads the data sources the service listens to from a JSON config file and
+ * renders one prompt section per registered source
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { resolveFormatter } = require("./formatters");
+const { fitToBudget } = require("../prompts/token-budget");
+
+const SOURCE_NAME_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+/**
+ * Validate and normalize one source entry
+ * @param {object} entry - Raw entry from the config file
+ * @param {number} index - Position in the file, used in error messages
+ * @param {object} maxAgeOverrides - Validated max ages (ms) by source name
+ * @param {string} baseDir - Directory of the registry file, for formatter module paths
+ * @returns {{ source: object|null, errors: Array<string> }}
+ */
+function normalizeSource(entry, index, maxAgeOverrides, baseDir) {
+  const errors = [];
+  const where = `sources[${index}]${entry?.name ? ` (${entry.name})` : ""}`;
+
+  if (!entry || typeof entry !== "object") {
+    return { source: null, errors: [`${where}: must be an object`] };
+  }
+  if (!SOURCE_NAME_PATTERN.test(entry.name || "")) {
+    errors.push(`${where}: name must be UPPER_SNAKE_CASE`);
+  }
+  if (typeof entry.collection !== "string" || !entry.collection) {
+    errors.push(`${where}: collection is required`);
+  }
+  if (entry.document !== undefined && typeof entry.document !== "string") {
+    errors.push(`${where}: document must be a string`);
+  }
+
+  const timestampFields = [].concat(entry.timestampField || "timestamp");
+  if (timestampFields.some((field) => typeof field !== "string" || !field)) {
+    errors.push(`${where}: timestampField must be a string or list of strings`);
+  }
+
+  const formatter = entry.formatter || "json";
+  let formatterModule = null;
+  try {
+    formatterModule = resolveFormatter(formatter, baseDir);
+  } catch (error) {
+    errors.push(`${where}: ${error.message}`);
+  }
+
+  if (
+    entry.fields !== undefined &&
+    !(Array.isArray(entry.fields) && entry.fields.every(Boolean))
+  ) {
+    errors.push(`${where}: fields must be a list of field paths`);
+  }
+
+  // <NAME>_MAX_AGE_MS (validated by the config module) overrides the registry
+  const maxAgeMs = maxAgeOverrides[entry.name] || entry.maxAgeMs || null;
+  if (maxAgeMs !== null && !(Number.isFinite(maxAgeMs) && maxAgeMs > 0)) {
+    errors.push(`${where}: maxAgeMs must be a positive number`);
+  }
+
+  return {
+    source: {
+      name: entry.name,
+      label: entry.label || entry.name,
+      description: entry.description || null,
+      collection: entry.collection,
+      document: entry.document || null,
+      timestampFields,
+      formatter,
+      formatterModule,
+      fields: entry.fields || null,
+      required: entry.required === true,
+      maxAgeMs,
+      placeholder: entry.placeholder || null,
+    },
+    errors,
+  };
+}
+
+/**
+ * Load the source registry from a JSON file
+ *
+ * The file has the form `{ "sources": [ { name, collection, ... } ] }`.
+ * Each source is either the latest document of a collection (ordered by the
+ * first timestamp field) or a fixed document when `document` is set.
+ *
+ * @param {string} filePath - Path to the registry file
+ * @param {object} maxAgeOverrides - Max ages (ms) by source name from
+ *   `<NAME>_MAX_AGE_MS`; names without a registered source are errors
+ * @returns {Array<object>} Normalized source definitions
+ * @throws {Error} If the file cannot be read or contains invalid entries
+ */
+function loadSourceRegistry(filePath, maxAgeOverrides = {}) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(
+      `Cannot read source registry ${filePath}: ${error.message}`
+    );
+  }
+  if (!Array.isArray(config?.sources) || config.sources.length === 0) {
+    throw new Error(`${filePath}: "sources" must be a non-empty list`);
+  }
+
+  const errors = [];
+  const sources = config.sources.map((entry, index) => {
+    const normalized = normalizeSource(
+      entry,
+      index,
+      maxAgeOverrides,
+      path.dirname(path.resolve(filePath))
+    );
+    errors.push(...normalized.errors);
+    return normalized.source;
+  });
+
+  const names = sources.filter(Boolean).map((source) => source.name);
+  names
+    .filter((name, index) => names.indexOf(name) !== index)
+    .forEach((name) => errors.push(`duplicate source name "${name}"`));
+  Object.keys(maxAgeOverrides)
+    .filter((name) => !names.includes(name))
+    .forEach((name) =>
+      errors.push(`${name}_MAX_AGE_MS set but no source is named "${name}"`)
+    );
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid source registry ${filePath}: ${errors.join("; ")}`
+    );
+  }
+
+  return sources;
+}
+
+/**
+ * Read the timestamp of a source document
+ * @param {object} data - Source document
+ * @param {object} source - Source definition
+ * @returns {string|null} Timestamp as ISO string (or raw value), or null
+ */
+function getSourceTimestamp(data, source) {
+  if (!data) return null;
+
+  for (const field of source.timestampFields) {
+    const value = data[field];
+    // Handle Firestore Timestamp objects (convert to ISO string)
+    if (value && typeof value.toDate === "function") {
+      return value.toDate().toISOString();
+    }
+    if (value) return value;
+  }
+  return null;
+}
+
+/**
+ * Format the content of a source for the prompt
+ * @param {object} source - Source definition
+ * @param {object} service - Service entry from aggregated data
+ * @returns {{ full: string, compact?: string }} Full and (if supported) compact content
+ */
+function formatSourceContent(source, service) {
+  if (!["success", "stale"].includes(service?.status)) {
+    return { full: `${source.label} unavailable` };
+  }
+
+  const { format, compact } = source.formatterModule;
+  return {
+    full: format(service.data, source),
+    ...(compact ? { compact: compact(service.data, source) } : {}),
+  };
+}
+
+/**
+ * Render one prompt section per registered source within a token budget
+ *
+ * Content is formatted by each source's formatter, then fitted into the
+ * budget (largest sections are compacted or truncated first).
+ *
+ * @param {Array<object>} sources - Source definitions
+ * @param {object} services - Service entries from aggregated data
+ * @param {number} tokenBudget - Token budget for the content of all sources
+ * @returns {Object} { text, contents, budget } - Markdown sections for
+ *   `{{source_sections}}`, fitted content by source name, and the budget report
+ */
+function renderSourceSections(sources, services, tokenBudget) {
+  const fitted = fitToBudget(
+    sources.map((source) => ({
+      name: source.name,
+      ...formatSourceContent(source, services[source.name]),
+    })),
+    tokenBudget
+  );
+
+  const contents = Object.fromEntries(
+    fitted.sections.map((section) => [section.name, section.content])
+  );
+
+  const text = sources
+    .map((source) =>
+      [
+        `### ${source.label}`,
+        ...(source.description ? ["", source.description] : []),
+        "",
+        "```" + (source.formatterModule.fence || ""),
+        contents[source.name],
+        "```",
+      ].join("\n")
+    )
+    .join("\n\n");
+
+  return {
+    text,
+    contents,
+    budget: {
+      budget: fitted.budget,
+      estimated_tokens: fitted.total_tokens,
+      within_budget: fitted.within_budget,
+      reduced_sources: fitted.sections
+        .filter((section) => section.reduction !== "none")
+        .map(({ name, reduction, tokens }) => ({ name, reduction, tokens })),
+    },
+  };
+}
+
+module.exports = {
+  formatSourceContent,
+  getSourceTimestamp,
+  loadSourceRegistry,
+  renderSourceSections,
+};
@@ -0,0 +1,162 @@
+/**
+ * Supervised Listener
+ * Wraps a storage snapshot subscription and resubscribes with exponential
+ * backoff when it fails. Snapshot listeners stop delivering after their error
+ * callback fires, so without this one transient error would silence a source
+ * until the process restarts.
+ *
+ * The delay doubles with every failure in a row (with jitter, capped at
+ * maxDelayMs) and resets once a snapshot arrives again.
+ */
+
+const BACKOFF_MULTIPLIER = 2;
+const BACKOFF_JITTER = 0.2; // +/- 20% so listeners do not retry in lockstep
+
+class SupervisedListener {
+  /**
+   * @param {object} options
+   * @param {Function} options.subscribe - (onSnapshot, onError) => unsubscribe
+   * @param {Function} options.onSnapshot - Receives every snapshot
+   * @param {Function} options.onError - (error, { attempt, delayMs }) when the
+   *   subscription fails and a resubscription is scheduled
+   * @param {Function} [options.onReconnect] - (attempt) before each resubscription
+   * @param {number} options.initialDelayMs - Delay before the first resubscription
+   * @param {number} options.maxDelayMs - Upper bound for the delay
+   */
+  constructor({
+    subscribe,
+    onSnapshot,
+    onError,
+    onReconnect = () => {},
+    initialDelayMs,
+    maxDelayMs,
+  }) {
+    this.subscribe = subscribe;
+    this.onSnapshot = onSnapshot;
+    this.onError = onError;
+    this.onReconnect = onReconnect;
+    this.initialDelayMs = initialDelayMs;
+    this.maxDelayMs = maxDelayMs;
+
+    this.unsubscribe = null;
+    this.retryTimer = null;
+    this.stopped = true;
+
+    // Incremented per subscription, so callbacks of a failed subscription
+    // that fire late are ignored
+    this.generation = 0;
+
+    this.reconnects = 0; // Resubscriptions since start
+    this.consecutiveFailures = 0; // Failures since the last snapshot
+    this.nextRetryAt = null;
+  }
+
+  /**
+   * Subscribe; failures from here on are retried until stop()
+   */
+  start() {
+    this.stopped = false;
+    this.connect();
+  }
+
+  /**
+   * Unsubscribe and cancel any pending resubscription
+   */
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.nextRetryAt = null;
+    this.detach();
+  }
+
+  /**
+   * Open a new subscription
+   */
+  connect() {
+    const generation = ++this.generation;
+    const current = () => !this.stopped && generation === this.generation;
+
+    try {
+      this.unsubscribe = this.subscribe(
+        (snapshot) => {
+          if (!current()) return;
+          this.consecutiveFailures = 0;
+          this.onSnapshot(snapshot);
+        },
+        (error) => {
+          if (current()) this.handleFailure(error);
+        }
+      );
+    } catch (error) {
+      if (current()) this.handleFailure(error);
+    }
+  }
+
+  /**
+   * Release the current subscription, ignoring errors from an already failed one
+   */
+  detach() {
+    const unsubscribe = this.unsubscribe;
+    this.unsubscribe = null;
+    if (typeof unsubscribe !== "function") return;
+    try {
+      unsubscribe();
+    } catch {
+      // The subscription is already gone
+    }
+  }
+
+  /**
+   * Drop the failed subscription and schedule a new one
+   * @param {Error} error - Subscription error
+   */
+  handleFailure(error) {
+    this.generation++;
+    this.detach();
+    this.consecutiveFailures++;
+
+    const delayMs = this.getRetryDelay(this.consecutiveFailures);
+    this.nextRetryAt = new Date(Date.now() + delayMs).toISOString();
+    this.onError(error, { attempt: this.consecutiveFailures, delayMs });
+
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.nextRetryAt = null;
+      this.reconnects++;
+      this.onReconnect(this.consecutiveFailures);
+      this.connect();
+    }, delayMs);
+    // Pending retries should not keep scripts alive
+    this.retryTimer.unref?.();
+  }
+
+  /**
+   * Backoff delay for a failure streak
+   * @param {number} failures - Failures in a row (1 for the first)
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(failures) {
+    const base = Math.min(
+      this.maxDelayMs,
+      this.initialDelayMs * BACKOFF_MULTIPLIER ** (failures - 1)
+    );
+    const jitter = 1 + BACKOFF_JITTER * (Math.random() * 2 - 1);
+    return Math.round(Math.min(this.maxDelayMs, base * jitter));
+  }
+
+  /**
+   * Reconnection state
+   * @returns {object} { reconnects, consecutive_failures, next_retry_at }
+   */
+  getState() {
+    return {
+      reconnects: this.reconnects,
+      consecutive_failures: this.consecutiveFailures,
+      next_retry_at: this.nextRetryAt,
+    };
+  }
+}
+
+module.exports = { SupervisedListener };
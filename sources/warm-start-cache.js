@@ -0,0 +1,153 @@
+/**
+ * Warm-Start Cache
+ * Persists the latest document of every source and the recent analyses to a
+ * local JSON file, so a restarted service has last-known data before its
+ * snapshot listeners deliver. Restored documents are only a fallback: the
+ * aggregator reports them as stale until live data arrives.
+ *
+ * File format:
+ * {
+ *   "saved_at": "2026-01-01T00:00:00.000Z",
+ *   "sources": { "SOURCE_NAME": { ...document } },
+ *   "historical": [ ...analyses, newest first ]
+ * }
+ *
+ * Firestore Timestamps are written as ISO strings, which every timestamp
+ * reader in the service accepts.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createLogger } = require("../logging/logger");
+
+const log = createLogger("warm-start");
+
+// Updates arriving within this window are written together
+const SAVE_DELAY_MS = 1000;
+
+/**
+ * JSON.stringify replacer that writes Firestore Timestamps as ISO strings
+ *
+ * Uses the raw value (`this[key]`), since Timestamps may define their own
+ * toJSON which runs before the replacer sees the value.
+ */
+function serializeTimestamps(key, value) {
+  const raw = this[key];
+  if (raw && typeof raw.toDate === "function") {
+    return raw.toDate().toISOString();
+  }
+  return value;
+}
+
+class WarmStartCache {
+  /**
+   * @param {object} options
+   * @param {string} options.filePath - JSON file holding the cache
+   * @param {number} [options.saveDelayMs] - Debounce window for writes
+   */
+  constructor({ filePath, saveDelayMs = SAVE_DELAY_MS }) {
+    this.filePath = path.resolve(filePath);
+    this.saveDelayMs = saveDelayMs;
+
+    // Snapshot provider registered by schedule(), and the pending write
+    this.getSnapshot = null;
+    this.saveTimer = null;
+  }
+
+  /**
+   * Read the cache file
+   *
+   * A missing file means a cold start; an unreadable one is logged and
+   * ignored, since the listeners will deliver the data anyway.
+   *
+   * @returns {{ saved_at: string|null, sources: Object, historical: Array<Object> }|null}
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      log.info("No warm-start cache found, starting cold", {
+        file: this.filePath,
+      });
+      return null;
+    }
+
+    try {
+      const content = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      if (!content || typeof content.sources !== "object") {
+        throw new Error("missing 'sources' object");
+      }
+      return {
+        saved_at: content.saved_at || null,
+        sources: content.sources || {},
+        historical: Array.isArray(content.historical) ? content.historical : [],
+      };
+    } catch (error) {
+      log.warn("Ignoring unreadable warm-start cache", {
+        file: this.filePath,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Write a snapshot atomically (temp file, then rename)
+   *
+   * @param {{ sources: Object, historical: Array<Object> }} snapshot
+   */
+  save({ sources, historical }) {
+    const tempPath = `${this.filePath}.tmp`;
+    const content = {
+      saved_at: new Date().toISOString(),
+      sources,
+      historical,
+    };
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(
+        tempPath,
+        JSON.stringify(content, serializeTimestamps, 2)
+      );
+      fs.renameSync(tempPath, this.filePath);
+      log.debug("Warm-start cache saved", {
+        file: this.filePath,
+        sources: Object.keys(sources).length,
+        historical: historical.length,
+      });
+    } catch (error) {
+      log.error("Failed to write warm-start cache", {
+        file: this.filePath,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Schedule a write of the current data
+   *
+   * @param {Function} getSnapshot - Returns { sources, historical } at write time
+   */
+  schedule(getSnapshot) {
+    this.getSnapshot = getSnapshot;
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save(this.getSnapshot());
+    }, this.saveDelayMs);
+    // A pending write should not keep scripts alive; flush() covers shutdown
+    this.saveTimer.unref?.();
+  }
+
+  /**
+   * Write a pending snapshot immediately (used on shutdown)
+   */
+  flush() {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.save(this.getSnapshot());
+  }
+}
+
+module.exports = { WarmStartCache };
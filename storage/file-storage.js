@@ -0,0 +1,134 @@
+/**
+ * File Storage Adapter
+ * In-memory storage persisted to a local JSON file. The file is watched for
+ * external edits, so source documents can be dropped in while the service runs
+ * and snapshot listeners fire just like they would against Firestore.
+ *
+ * Writes are asynchronous so they don't block listeners and HTTP requests,
+ * and go through a temp file that is renamed over the store, so a crash
+ * mid-write leaves the previous version intact.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const MemoryStorage = require("./memory-storage");
+const { createLogger } = require("../logging/logger");
+
+const log = createLogger("storage");
+
+class FileStorage extends MemoryStorage {
+  /**
+   * @param {object} options
+   * @param {string} options.filePath - JSON file that holds all collections
+   * @param {number} [options.watchInterval] - Polling interval for external edits (ms)
+   */
+  constructor({ filePath, watchInterval = 2000 }) {
+    super();
+    this.name = "file";
+    this.filePath = path.resolve(filePath);
+    this.lastWriteMtime = 0;
+
+    // Running write loop, and whether changes are waiting to be written
+    this.writing = null;
+    this.dirty = false;
+
+    if (fs.existsSync(this.filePath)) {
+      this.loadSnapshot(this.readSnapshotFile(this.filePath));
+      log.info("Loaded local store", { file: this.filePath });
+    } else {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      this.persist();
+      log.info("Created local store", { file: this.filePath });
+    }
+
+    // Pick up documents written to the file by other processes
+    this.watcher = fs.watchFile(
+      this.filePath,
+      { interval: watchInterval, persistent: false },
+      (current) => this.handleExternalChange(current)
+    );
+  }
+
+  /**
+   * Reload the store when the file was modified by someone else
+   * @param {fs.Stats} stats - Current file stats
+   */
+  handleExternalChange(stats) {
+    // Changes seen while writing are our own
+    if (this.writing) return;
+    if (!stats.mtimeMs || stats.mtimeMs === this.lastWriteMtime) return;
+
+    try {
+      const previous = new Set(this.collections.keys());
+      this.loadSnapshot(this.readSnapshotFile(this.filePath));
+      this.lastWriteMtime = stats.mtimeMs;
+
+      log.info("Reloaded local store after external change", {
+        file: this.filePath,
+      });
+      new Set([...previous, ...this.collections.keys()]).forEach((name) =>
+        super.notify(name)
+      );
+    } catch (error) {
+      log.error("Failed to reload local store", {
+        file: this.filePath,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Write all collections to disk
+   *
+   * One write runs at a time; changes made while it runs are written
+   * together by the next one.
+   *
+   * @returns {Promise<void>} Resolves once the current data is on disk
+   */
+  persist() {
+    this.dirty = true;
+    if (!this.writing) {
+      this.writing = this.writeLoop().finally(() => {
+        this.writing = null;
+      });
+    }
+    return this.writing;
+  }
+
+  /**
+   * Write snapshots until no changes are pending (errors are logged)
+   */
+  async writeLoop() {
+    const tempPath = `${this.filePath}.tmp`;
+    while (this.dirty) {
+      this.dirty = false;
+      try {
+        await fs.promises.writeFile(
+          tempPath,
+          JSON.stringify(this.toSnapshot(), null, 2)
+        );
+        await fs.promises.rename(tempPath, this.filePath);
+        this.lastWriteMtime = (await fs.promises.stat(this.filePath)).mtimeMs;
+      } catch (error) {
+        log.error("Failed to write local store", {
+          file: this.filePath,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  notify(collection) {
+    this.persist();
+    super.notify(collection);
+  }
+
+  async close() {
+    fs.unwatchFile(this.filePath);
+    // Let pending changes reach the disk
+    await this.writing;
+    await super.close();
+  }
+}
+
+module.exports = FileStorage;
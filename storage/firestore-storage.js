@@ -0,0 +1,185 @@
+/**
+ * Firestore Storage Adapter
+ * Storage backend that reads and writes documents through the Firebase Admin SDK
+ */
+
+const admin = require("firebase-admin");
+const { createLogger } = require("../logging/logger");
+
+const log = createLogger("firebase");
+
+class FirestoreStorage {
+  /**
+   * @param {object} options
+   * @param {string} options.serviceAccountPath - Path to the service account key file
+   */
+  constructor({ serviceAccountPath }) {
+    this.name = "firestore";
+    this.db = null;
+
+    try {
+      // Load Firebase service account credentials from JSON file
+      const serviceAccount = require(serviceAccountPath);
+
+      // Initialize Firebase Admin SDK with service account credentials
+      if (admin.apps.length === 0) {
+        admin.initializeApp({
+          credential: admin.credential.cert(serviceAccount),
+        });
+      }
+
+      this.db = admin.firestore();
+      log.info("Admin SDK initialized");
+    } catch (error) {
+      log.error(
+        "Admin initialization failed, running without Firestore integration",
+        { error: error.message }
+      );
+    }
+  }
+
+  /**
+   * Whether the Firestore connection was initialized
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return !!this.db;
+  }
+
+  /**
+   * Current time in the backend's native timestamp format
+   * @returns {admin.firestore.Timestamp}
+   */
+  timestampNow() {
+    return admin.firestore.Timestamp.now();
+  }
+
+  /**
+   * Build a Firestore query from a generic query description
+   * @param {string} collection - Collection name
+   * @param {object} query - { where, orderBy, direction, startAfter,
+   *   startAfterId, limit, select }; `startAfterId` continues after a
+   *   document ID among documents with the `startAfter` value
+   * @returns {FirebaseFirestore.Query}
+   */
+  buildQuery(
+    collection,
+    {
+      where = [],
+      orderBy,
+      direction = "desc",
+      startAfter,
+      startAfterId,
+      limit,
+      select,
+    } = {}
+  ) {
+    let ref = this.db.collection(collection);
+
+    where.forEach(({ field, op, value }) => {
+      ref = ref.where(field, op, value);
+    });
+    if (orderBy) ref = ref.orderBy(orderBy, direction);
+    if (orderBy && startAfter !== undefined) {
+      if (startAfterId !== undefined) {
+        // Same order Firestore applies implicitly, made explicit for the cursor
+        ref = ref
+          .orderBy(admin.firestore.FieldPath.documentId(), direction)
+          .startAfter(startAfter, startAfterId);
+      } else {
+        ref = ref.startAfter(startAfter);
+      }
+    }
+    if (limit) ref = ref.limit(limit);
+    if (select) ref = ref.select(...select);
+
+    return ref;
+  }
+
+  /**
+   * Add a document with a generated ID
+   * @param {string} collection - Collection name
+   * @param {object} data - Document data
+   * @returns {Promise<{id: string}>}
+   */
+  async addDocument(collection, data) {
+    const docRef = await this.db.collection(collection).add(data);
+    return { id: docRef.id };
+  }
+
+  /**
+   * Create or replace a document with a known ID
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @param {object} data - Document data
+   * @returns {Promise<{id: string}>}
+   */
+  async setDocument(collection, id, data) {
+    await this.db.collection(collection).doc(id).set(data);
+    return { id };
+  }
+
+  /**
+   * Fetch a single document by ID
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @returns {Promise<object|null>} Document data with its ID, or null
+   */
+  async getDocument(collection, id) {
+    const doc = await this.db.collection(collection).doc(id).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  }
+
+  /**
+   * Run a one-off query
+   * @param {string} collection - Collection name
+   * @param {object} query - { where, orderBy, direction, startAfter,
+   *   startAfterId, limit, select }
+   * @returns {Promise<Array<object>>} Matching documents with their IDs
+   */
+  async queryDocuments(collection, query) {
+    const snapshot = await this.buildQuery(collection, query).get();
+    return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Subscribe to the results of a query
+   * @param {string} collection - Collection name
+   * @param {object} query - { where, orderBy, direction, limit }
+   * @param {Function} onNext - Called with the matching documents on every change
+   * @param {Function} onError - Called with the listener error
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeQuery(collection, query, onNext, onError) {
+    return this.buildQuery(collection, query).onSnapshot(
+      (snapshot) =>
+        onNext(snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }))),
+      onError
+    );
+  }
+
+  /**
+   * Subscribe to a single document
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @param {Function} onNext - Called with the document (or null) on every change
+   * @param {Function} onError - Called with the listener error
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeDocument(collection, id, onNext, onError) {
+    return this.db
+      .collection(collection)
+      .doc(id)
+      .onSnapshot(
+        (doc) => onNext(doc.exists ? { id: doc.id, ...doc.data() } : null),
+        onError
+      );
+  }
+
+  /**
+   * Release backend resources
+   */
+  async close() {}
+}
+
+module.exports = FirestoreStorage;
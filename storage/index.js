@@ -0,0 +1,53 @@
+/**
+ * Storage Backend Factory
+ * Selects the storage adapter used for source listeners and analysis history.
+ *
+ * Every adapter implements the same interface:
+ * - isAvailable() / timestampNow() / close()
+ * - addDocument(collection, data) / setDocument(collection, id, data)
+ * - getDocument(collection, id)
+ * - queryDocuments(collection, { where, orderBy, direction, startAfter,
+ *   startAfterId, limit, select })
+ * - subscribeQuery(collection, query, onNext, onError) -> unsubscribe
+ * - subscribeDocument(collection, id, onNext, onError) -> unsubscribe
+ */
+
+const path = require("path");
+
+const STORAGE_BACKENDS = ["firestore", "memory", "file"];
+
+/**
+ * Create the configured storage adapter
+ * @param {object} options
+ * @param {string} options.backend - One of 'firestore', 'memory', 'file'
+ * @param {string} [options.serviceAccountPath] - Firebase key file (firestore)
+ * @param {string} [options.filePath] - Local store file (file)
+ * @param {string} [options.seedFile] - Seed data file (memory)
+ * @returns {object} Storage adapter
+ */
+function createStorage({ backend, serviceAccountPath, filePath, seedFile }) {
+  switch (backend) {
+    case "firestore": {
+      const FirestoreStorage = require("./firestore-storage");
+      return new FirestoreStorage({
+        serviceAccountPath: path.resolve(serviceAccountPath),
+      });
+    }
+    case "memory": {
+      const MemoryStorage = require("./memory-storage");
+      return new MemoryStorage({ seedFile });
+    }
+    case "file": {
+      const FileStorage = require("./file-storage");
+      return new FileStorage({ filePath });
+    }
+    default:
+      throw new Error(
+        `Unknown storage backend "${backend}" (expected one of: ${STORAGE_BACKENDS.join(
+          ", "
+        )})`
+      );
+  }
+}
+
+module.exports = { createStorage, STORAGE_BACKENDS };
@@ -0,0 +1,290 @@
+/**
+ * In-Memory Storage Adapter
+ * Storage backend that keeps every collection in process memory. Useful for
+ * local development and CI runs without a Google project.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const { EventEmitter } = require("events");
+const { createLogger } = require("../logging/logger");
+
+const log = createLogger("storage");
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+
+/**
+ * Read a (possibly nested) field using dot notation
+ * @param {object} data - Document data
+ * @param {string} fieldPath - Field path, e.g. 'analysis_metadata.model'
+ * @returns {*} Field value or undefined
+ */
+function getFieldValue(data, fieldPath) {
+  return fieldPath
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+/**
+ * Normalize timestamps so Dates, Firestore-like Timestamps and ISO strings
+ * compare against each other
+ * @param {*} value - Raw field value
+ * @returns {*} Comparable value
+ */
+function toComparable(value) {
+  if (value && typeof value.toDate === "function") {
+    return value.toDate().getTime();
+  }
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === "string" && ISO_DATE_PATTERN.test(value)) {
+    const parsed = Date.parse(value);
+    if (!Number.isNaN(parsed)) return parsed;
+  }
+  return value;
+}
+
+function compareValues(a, b) {
+  const left = toComparable(a);
+  const right = toComparable(b);
+  if (left === right) return 0;
+  if (left === undefined || left === null) return -1;
+  if (right === undefined || right === null) return 1;
+  return left < right ? -1 : 1;
+}
+
+function matchesFilter(data, { field, op, value }) {
+  const fieldValue = getFieldValue(data, field);
+  if (op === "==") return compareValues(fieldValue, value) === 0;
+  if (fieldValue === undefined || fieldValue === null) return false;
+
+  const comparison = compareValues(fieldValue, value);
+  switch (op) {
+    case "<":
+      return comparison < 0;
+    case "<=":
+      return comparison <= 0;
+    case ">":
+      return comparison > 0;
+    case ">=":
+      return comparison >= 0;
+    default:
+      throw new Error(`Unsupported filter operator: ${op}`);
+  }
+}
+
+/**
+ * Keep only the selected fields of a document, like Firestore's select()
+ * @param {object} doc - Document with its ID
+ * @param {Array<string>} fields - Field paths to keep
+ * @returns {object} Projected document (the ID is always kept)
+ */
+function selectFields(doc, fields) {
+  const projected = { id: doc.id };
+  fields.forEach((fieldPath) => {
+    const value = getFieldValue(doc, fieldPath);
+    if (value === undefined) return;
+
+    const keys = fieldPath.split(".");
+    const parent = keys
+      .slice(0, -1)
+      .reduce((target, key) => (target[key] = target[key] || {}), projected);
+    parent[keys[keys.length - 1]] = value;
+  });
+  return projected;
+}
+
+class MemoryStorage {
+  /**
+   * @param {object} options
+   * @param {string} [options.seedFile] - Optional JSON file used to pre-populate collections
+   */
+  constructor({ seedFile } = {}) {
+    this.name = "memory";
+    this.collections = new Map();
+    this.changes = new EventEmitter();
+    this.changes.setMaxListeners(0);
+
+    if (seedFile) {
+      this.loadSnapshot(this.readSnapshotFile(seedFile));
+      log.info("Seeded in-memory storage", { seed_file: seedFile });
+    }
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Current time in the backend's native timestamp format
+   * @returns {string} ISO timestamp
+   */
+  timestampNow() {
+    return new Date().toISOString();
+  }
+
+  /**
+   * Read a snapshot file in the `{ collections: { name: { id: data } } }` format
+   * @param {string} filePath - Path to the JSON file
+   * @returns {object} Parsed snapshot
+   */
+  readSnapshotFile(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  }
+
+  /**
+   * Replace all collections with the contents of a snapshot
+   * @param {object} snapshot - Parsed snapshot
+   */
+  loadSnapshot(snapshot) {
+    this.collections = new Map();
+    Object.entries(snapshot?.collections || {}).forEach(([name, docs]) => {
+      this.collections.set(name, new Map(Object.entries(docs || {})));
+    });
+  }
+
+  /**
+   * Serialize all collections into the snapshot format
+   * @returns {object} Snapshot
+   */
+  toSnapshot() {
+    const collections = {};
+    this.collections.forEach((docs, name) => {
+      collections[name] = Object.fromEntries(docs);
+    });
+    return { collections };
+  }
+
+  getCollection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+    return this.collections.get(name);
+  }
+
+  /**
+   * Notify subscribers that a collection changed
+   * @param {string} collection - Collection name
+   */
+  notify(collection) {
+    this.changes.emit(collection);
+  }
+
+  async addDocument(collection, data) {
+    const id = crypto.randomBytes(10).toString("hex");
+    this.getCollection(collection).set(id, JSON.parse(JSON.stringify(data)));
+    this.notify(collection);
+    return { id };
+  }
+
+  async setDocument(collection, id, data) {
+    this.getCollection(collection).set(id, JSON.parse(JSON.stringify(data)));
+    this.notify(collection);
+    return { id };
+  }
+
+  async getDocument(collection, id) {
+    const data = this.getCollection(collection).get(id);
+    return data ? { id, ...data } : null;
+  }
+
+  /**
+   * Evaluate a query synchronously against the in-memory collection
+   * @param {string} collection - Collection name
+   * @param {object} query - { where, orderBy, direction, startAfter,
+   *   startAfterId, limit, select }
+   * @returns {Array<object>} Matching documents with their IDs
+   */
+  runQuery(
+    collection,
+    {
+      where = [],
+      orderBy,
+      direction = "desc",
+      startAfter,
+      startAfterId,
+      limit,
+      select,
+    } = {}
+  ) {
+    let docs = Array.from(this.getCollection(collection).entries())
+      .map(([id, data]) => ({ id, ...data }))
+      .filter((doc) => where.every((filter) => matchesFilter(doc, filter)));
+
+    if (orderBy) {
+      // Firestore excludes documents that lack the ordered field
+      docs = docs.filter((doc) => getFieldValue(doc, orderBy) !== undefined);
+      // Ties are broken by document ID, like Firestore does
+      const compareDocs = (doc, value, id) =>
+        compareValues(getFieldValue(doc, orderBy), value) ||
+        (id === undefined ? 0 : compareValues(doc.id, id));
+      docs.sort((a, b) => {
+        const comparison = compareDocs(a, getFieldValue(b, orderBy), b.id);
+        return direction === "desc" ? -comparison : comparison;
+      });
+
+      // Cursor: skip everything up to and including the startAfter value
+      // (and startAfterId among equal values)
+      if (startAfter !== undefined) {
+        docs = docs.filter((doc) => {
+          const comparison = compareDocs(doc, startAfter, startAfterId);
+          return direction === "desc" ? comparison < 0 : comparison > 0;
+        });
+      }
+    }
+
+    if (limit) docs = docs.slice(0, limit);
+    return select ? docs.map((doc) => selectFields(doc, select)) : docs;
+  }
+
+  async queryDocuments(collection, query) {
+    return this.runQuery(collection, query);
+  }
+
+  subscribeQuery(collection, query, onNext, onError) {
+    let active = true;
+    const emit = () => {
+      if (!active) return;
+      try {
+        onNext(this.runQuery(collection, query));
+      } catch (error) {
+        onError(error);
+      }
+    };
+
+    this.changes.on(collection, emit);
+    // Deliver the initial snapshot asynchronously, like Firestore does
+    setImmediate(emit);
+
+    return () => {
+      active = false;
+      this.changes.off(collection, emit);
+    };
+  }
+
+  subscribeDocument(collection, id, onNext, onError) {
+    let active = true;
+    const emit = () => {
+      if (!active) return;
+      try {
+        const data = this.getCollection(collection).get(id);
+        onNext(data ? { id, ...data } : null);
+      } catch (error) {
+        onError(error);
+      }
+    };
+
+    this.changes.on(collection, emit);
+    setImmediate(emit);
+
+    return () => {
+      active = false;
+      this.changes.off(collection, emit);
+    };
+  }
+
+  async close() {
+    this.changes.removeAllListeners();
+  }
+}
+
+module.exports = MemoryStorage;
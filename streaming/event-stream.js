@@ -0,0 +1,179 @@
+/**
+ * Server-Sent Events Stream
+ * Pushes new analyses and source listener updates to connected clients
+ *
+ * Topics:
+ * - analysis: 'analysis' and 'analysis_error' events
+ * - sources: 'source_update' and 'source_unavailable' events
+ */
+
+const { createLogger } = require("../logging/logger");
+
+const log = createLogger("stream");
+
+const STREAM_TOPICS = ["analysis", "sources"];
+
+class EventStreamHub {
+  /**
+   * @param {object} options
+   * @param {number} options.heartbeatMs - Interval between keep-alive comments
+   * @param {number} options.maxClients - Maximum concurrent connections
+   * @param {number} options.bufferSize - Recent events kept for Last-Event-ID replay
+   */
+  constructor({ heartbeatMs = 30000, maxClients = 100, bufferSize = 50 } = {}) {
+    this.maxClients = maxClients;
+    this.bufferSize = bufferSize;
+    this.clients = new Set();
+    this.recentEvents = [];
+    this.nextEventId = 1;
+
+    // Keep idle connections open through proxies
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach((client) => this.write(client.res, ": ping\n\n"));
+    }, heartbeatMs);
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Subscribe to service events
+   * @param {EventEmitter} eventEmitter - Service event emitter
+   */
+  attach(eventEmitter) {
+    eventEmitter.on("analysisComplete", (analysis, storage) =>
+      this.broadcast("analysis", "analysis", {
+        id: storage?.documentId || null,
+        ...analysis,
+      })
+    );
+    eventEmitter.on("analysisError", (error) =>
+      this.broadcast("analysis", "analysis_error", {
+        error: error?.message || String(error),
+        timestamp: new Date().toISOString(),
+      })
+    );
+    eventEmitter.on("sourceUpdated", (update) =>
+      this.broadcast("sources", "source_update", update)
+    );
+    eventEmitter.on("sourceUnavailable", (update) =>
+      this.broadcast("sources", "source_unavailable", update)
+    );
+  }
+
+  /**
+   * Write to a response, flushing through the compression middleware
+   * @param {http.ServerResponse} res - Client response
+   * @param {string} chunk - Raw SSE text
+   */
+  write(res, chunk) {
+    res.write(chunk);
+    if (typeof res.flush === "function") res.flush();
+  }
+
+  /**
+   * Serialize an event in SSE wire format
+   * @param {object} event - { id, name, data }
+   * @returns {string}
+   */
+  format(event) {
+    return `id: ${event.id}\nevent: ${event.name}\ndata: ${JSON.stringify(
+      event.data
+    )}\n\n`;
+  }
+
+  /**
+   * Open a stream for an HTTP request
+   *
+   * Query parameter `topics` (comma-separated) limits the stream to some topics.
+   * A `Last-Event-ID` header replays buffered events the client missed.
+   *
+   * @param {express.Request} req - Request
+   * @param {express.Response} res - Response
+   */
+  handleRequest(req, res) {
+    const requested = String(req.query.topics || STREAM_TOPICS.join(","))
+      .split(",")
+      .map((topic) => topic.trim())
+      .filter(Boolean);
+    const invalid = requested.filter((topic) => !STREAM_TOPICS.includes(topic));
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: `Unknown topics: ${invalid.join(", ")}`,
+        available: STREAM_TOPICS,
+      });
+    }
+    if (this.clients.size >= this.maxClients) {
+      return res.status(503).json({ error: "Too many stream clients" });
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    const client = { res, topics: new Set(requested) };
+    this.clients.add(client);
+    this.write(res, `retry: 5000\n: connected (${requested.join(", ")})\n\n`);
+
+    // Replay events the client missed while reconnecting
+    const lastEventId = parseInt(req.get("Last-Event-ID"));
+    if (!Number.isNaN(lastEventId)) {
+      this.recentEvents
+        .filter((event) => event.id > lastEventId)
+        .filter((event) => client.topics.has(event.topic))
+        .forEach((event) => this.write(res, this.format(event)));
+    }
+
+    log.info("Client connected", {
+      clients: this.clients.size,
+      topics: requested,
+    });
+
+    req.on("close", () => {
+      this.clients.delete(client);
+      log.info("Client disconnected", { clients: this.clients.size });
+    });
+  }
+
+  /**
+   * Send an event to every client subscribed to its topic
+   * @param {string} topic - Stream topic
+   * @param {string} name - SSE event name
+   * @param {object} data - Event payload
+   */
+  broadcast(topic, name, data) {
+    const event = { id: this.nextEventId++, topic, name, data };
+
+    this.recentEvents.push(event);
+    if (this.recentEvents.length > this.bufferSize) {
+      this.recentEvents.shift();
+    }
+
+    const message = this.format(event);
+    this.clients.forEach((client) => {
+      if (client.topics.has(topic)) this.write(client.res, message);
+    });
+  }
+
+  /**
+   * Number of connected clients
+   * @returns {number}
+   */
+  getClientCount() {
+    return this.clients.size;
+  }
+
+  /**
+   * Close all streams and stop the heartbeat
+   */
+  close() {
+    clearInterval(this.heartbeat);
+    this.clients.forEach((client) => client.res.end());
+    this.clients.clear();
+  }
+}
+
+module.exports = { EventStreamHub, STREAM_TOPICS };
@@ -0,0 +1,198 @@
+/**
+ * Analysis Response Schema and Validation
+ * JSON schema for the response format defined in prompts/blackswan-analysis-v1.md,
+ * plus helpers to extract JSON from model output and validate it against the schema
+ */
+
+/**
+ * Response schema (JSON Schema subset: type, required, properties,
+ * additionalProperties, minimum, maximum, minLength, items, minItems, maxItems)
+ */
+const ANALYSIS_RESPONSE_SCHEMA = {
+  type: "object",
+  required: [
+    "blackswan_score",
+    "analysis",
+    "certainty",
+    "primary_risk_factors",
+    "current_market_indicators",
+    "reasoning",
+  ],
+  additionalProperties: false,
+  properties: {
+    blackswan_score: { type: "integer", minimum: 0, maximum: 100 },
+    analysis: { type: "string", minLength: 1 },
+    certainty: { type: "integer", minimum: 1, maximum: 100 },
+    // The prompt asks for 3-5 factors "(if any)", so an empty list is valid
+    primary_risk_factors: {
+      type: "array",
+      maxItems: 5,
+      items: { type: "string", minLength: 1 },
+    },
+    current_market_indicators: {
+      type: "array",
+      minItems: 2,
+      maxItems: 3,
+      items: { type: "string", minLength: 1 },
+    },
+    reasoning: { type: "string", minLength: 1 },
+  },
+};
+
+/**
+ * Describe the JSON type of a value for error messages
+ * @param {*} value - Any value
+ * @returns {string} Type name
+ */
+function describeType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema type
+ * @param {*} value - Any value
+ * @param {string} type - Schema type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case "object":
+      return (
+        value !== null && typeof value === "object" && !Array.isArray(value)
+      );
+    case "array":
+      return Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {object} schema - Schema node
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateAgainstSchema(value, schema, path = "response") {
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${path}: expected ${schema.type}, got ${describeType(value)}`];
+  }
+
+  const errors = [];
+
+  if (schema.type === "object") {
+    (schema.required || []).forEach((field) => {
+      if (!(field in value)) {
+        errors.push(`${path}: missing required field "${field}"`);
+      }
+    });
+
+    Object.entries(value).forEach(([field, fieldValue]) => {
+      const fieldSchema = schema.properties?.[field];
+      if (fieldSchema) {
+        errors.push(
+          ...validateAgainstSchema(fieldValue, fieldSchema, `${path}.${field}`)
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected field "${field}"`);
+      }
+    });
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}, got ${value}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}, got ${value}`);
+    }
+  }
+
+  if (typeof value === "string" && schema.minLength !== undefined) {
+    if (value.trim().length < schema.minLength) {
+      errors.push(`${path}: must not be empty`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(
+        `${path}: must contain at least ${schema.minItems} items, got ${value.length}`
+      );
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(
+        `${path}: must contain at most ${schema.maxItems} items, got ${value.length}`
+      );
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(
+          ...validateAgainstSchema(item, schema.items, `${path}[${index}]`)
+        );
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Extract a JSON object from raw model output
+ *
+ * Tries, in order: a fenced ```json block, the whole text, and the first
+ * {...} span in the text.
+ *
+ * @param {string} text - Raw model output
+ * @returns {object} Parsed JSON
+ * @throws {Error} If no JSON can be parsed
+ */
+function extractJson(text) {
+  if (!text || typeof text !== "string") {
+    throw new Error("Empty AI response");
+  }
+
+  // 1) Try to extract from fenced code block (```json ... ```)
+  const fenced = text.match(/```json\s*([\s\S]*?)\s*```/i);
+  if (fenced && fenced[1]) {
+    return JSON.parse(fenced[1]);
+  }
+
+  // 2) Try parsing as plain JSON
+  try {
+    return JSON.parse(text);
+  } catch (_) {}
+
+  // 3) Extract first {...} block from text
+  const first = text.indexOf("{");
+  const last = text.lastIndexOf("}");
+  if (first !== -1 && last !== -1 && last > first) {
+    return JSON.parse(text.slice(first, last + 1));
+  }
+
+  throw new Error("No JSON found in AI response");
+}
+
+/**
+ * Validate a parsed analysis response against ANALYSIS_RESPONSE_SCHEMA
+ * @param {*} analysis - Parsed model output
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateAnalysisResponse(analysis) {
+  return validateAgainstSchema(analysis, ANALYSIS_RESPONSE_SCHEMA);
+}
+
+module.exports = {
+  ANALYSIS_RESPONSE_SCHEMA,
+  extractJson,
+  validateAgainstSchema,
+  validateAnalysisResponse,
+};